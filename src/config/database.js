@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 
 let isMongoConnected = false;
+let transactionsSupported; // unknown until the first transaction runs
 
 const connectDB = async () => {
   try {
@@ -40,4 +41,37 @@ export const isMongoDBConnected = () => {
   return isMongoConnected && mongoose.connection.readyState === 1;
 };
 
+/**
+ * Run fn inside a MongoDB transaction when the deployment supports it
+ * (replica set or mongos). Standalone servers run fn without a session.
+ * @param {(session: import('mongoose').ClientSession|null) => Promise<any>} fn - Pass session to every query
+ * @returns {Promise<any>} - Result of fn
+ */
+export const withTransaction = async (fn) => {
+  if (transactionsSupported === false) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    transactionsSupported = true;
+    return result;
+  } catch (error) {
+    // Standalone servers reject the first transactional write before anything is committed
+    const unsupported = error.code === 20 || /replica set member or mongos/i.test(error.message);
+    if (transactionsSupported === undefined && unsupported) {
+      transactionsSupported = false;
+      console.warn('⚠️  MongoDB transactions unavailable (standalone server). Multi-document updates will run without them.');
+      return fn(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
 export default connectDB;
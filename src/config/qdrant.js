@@ -3,9 +3,51 @@ import { QdrantClient } from '@qdrant/js-client-rest';
 let qdrantClient = null;
 let isQdrantAvailable = false;
 let reconnectTimeout = null;
+let migrateLegacy = null;
 const RECONNECT_INTERVAL = 30000; // 30 seconds
 
-export const initQdrant = async () => {
+// Payload fields indexed for filtered search (dates stored as epoch milliseconds)
+const PAYLOAD_INDEXES = {
+  userId: 'keyword',
+  uploadDate: 'integer',
+  captureDate: 'integer',
+  tags: 'keyword',
+  isPublic: 'bool',
+};
+
+/**
+ * Create payload indexes so searches can filter inside Qdrant
+ * (creating an index that already exists is a no-op)
+ * @param {string} collectionName - Physical collection
+ */
+const ensurePayloadIndexes = async (collectionName) => {
+  for (const [field, schema] of Object.entries(PAYLOAD_INDEXES)) {
+    try {
+      await qdrantClient.createPayloadIndex(collectionName, {
+        field_name: field,
+        field_schema: schema,
+        wait: true,
+      });
+    } catch (error) {
+      console.warn(`⚠️  Failed to create Qdrant payload index '${field}':`, error.message);
+    }
+  }
+};
+
+/**
+ * Connect to Qdrant and make sure QDRANT_COLLECTION is an alias for a versioned
+ * collection. A collection from before versioning is migrated only by a process
+ * given options.migrate; the others wait (retrying every 30 seconds) until the
+ * alias exists, so nothing writes to the old collection during the copy.
+ * @param {object} [options]
+ * @param {(migration: () => Promise<void>) => Promise<boolean>} [options.migrate] - Runs
+ *   the migration unless another process already is (returning false then)
+ * @returns {Promise<QdrantClient|null>} - null if Qdrant isn't usable yet
+ */
+export const initQdrant = async (options) => {
+  // Kept for reconnect attempts
+  if (options) migrateLegacy = options.migrate || null;
+
   try {
     // Configure Qdrant client with optional API key for Qdrant Cloud
     const config = { url: process.env.QDRANT_URL };
@@ -18,22 +60,31 @@ export const initQdrant = async () => {
     
     qdrantClient = new QdrantClient(config);
 
-    // Check if collection exists, if not create it
-    const collections = await qdrantClient.getCollections();
-    const collectionExists = collections.collections.some(
-      (col) => col.name === process.env.QDRANT_COLLECTION
-    );
-
-    if (!collectionExists) {
-      await qdrantClient.createCollection(process.env.QDRANT_COLLECTION, {
-        vectors: {
-          size: 512, // CLIP ViT-B/32 embedding size
-          distance: 'Cosine',
-        },
+    // Collections from before versioning (or a migration cut short) move behind the alias first
+    let active = await findActiveCollection();
+    if (!active?.isAlias && (active || await collectionExists(getVersionedCollectionName(0)))) {
+      const base = process.env.QDRANT_COLLECTION;
+      if (!migrateLegacy) {
+        throw new Error(`Collection '${base}' is not versioned yet; waiting for the API server to migrate it`);
+      }
+      if (!(await migrateLegacy(migrateLegacyCollection))) {
+        throw new Error(`Collection '${base}' is being migrated by another process`);
+      }
+      active = await findActiveCollection();
+    }
+
+    // Create the first versioned collection (and the alias pointing at it) if there is none
+    if (!active) {
+      const name = getVersionedCollectionName(1);
+      await createVectorCollection(name, parseInt(process.env.EMBEDDING_DIMENSION) || 512, {
+        model: process.env.EMBEDDING_MODEL || 'Xenova/clip-vit-base-patch32',
       });
-      console.log(`✅ Qdrant collection '${process.env.QDRANT_COLLECTION}' created`);
+      await switchActiveCollection(name);
+      active = { name };
     }
 
+    await ensurePayloadIndexes(active.name);
+
     isQdrantAvailable = true;
     console.log('✅ Qdrant Connected');
     return qdrantClient;
@@ -50,6 +101,149 @@ export const initQdrant = async () => {
   }
 };
 
+/**
+ * Name of versioned collection N. QDRANT_COLLECTION itself is an alias for the
+ * active version, so switching embedding models is one atomic alias update.
+ */
+export const getVersionedCollectionName = (version) => `${process.env.QDRANT_COLLECTION}_v${version}`;
+
+/**
+ * The physical collection QDRANT_COLLECTION resolves to
+ * @returns {Promise<{ name: string, isAlias: boolean }|null>} - null if there is none yet
+ */
+const findActiveCollection = async () => {
+  const base = process.env.QDRANT_COLLECTION;
+  const { aliases } = await qdrantClient.getAliases();
+  const alias = aliases.find(item => item.alias_name === base);
+  if (alias) {
+    return { name: alias.collection_name, isAlias: true };
+  }
+
+  // Collections created before versioning use the name directly
+  const { collections } = await qdrantClient.getCollections();
+  return collections.some(col => col.name === base) ? { name: base, isAlias: false } : null;
+};
+
+const collectionExists = async (name) => {
+  const { collections } = await qdrantClient.getCollections();
+  return collections.some(col => col.name === name);
+};
+
+/**
+ * Move a collection created before versioning (named QDRANT_COLLECTION itself)
+ * to version 0 behind the alias. Points are copied first and the old collection
+ * is only dropped once the copy is complete, so a failure never loses vectors:
+ * the next attempt finds the copy and finishes the job. Runs in one process at a
+ * time (see initQdrant), and no process uses Qdrant until the alias exists.
+ */
+const migrateLegacyCollection = async () => {
+  const base = process.env.QDRANT_COLLECTION;
+  const target = getVersionedCollectionName(0);
+
+  const active = await findActiveCollection();
+  if (active?.isAlias) {
+    // Finished by another process meanwhile
+    return;
+  }
+
+  if (active) {
+    console.log(`🔄 Moving unversioned collection '${base}' to '${target}'...`);
+    if (!(await collectionExists(target))) {
+      const info = await qdrantClient.getCollection(base);
+      await createVectorCollection(target, info.config.params.vectors.size, info.config.metadata || {});
+    }
+
+    // Upserts are idempotent, so a copy that was interrupted is simply redone
+    let offset = null;
+    let copied = 0;
+    do {
+      const page = await qdrantClient.scroll(base, { limit: 256, offset, with_payload: true, with_vector: true });
+      if (page.points.length > 0) {
+        await qdrantClient.upsert(target, {
+          wait: true,
+          points: page.points.map(({ id, vector, payload }) => ({ id, vector, payload })),
+        });
+      }
+      copied += page.points.length;
+      offset = page.next_page_offset ?? null;
+    } while (offset !== null);
+
+    console.log(`📊 Copied ${copied} points to '${target}'`);
+    await qdrantClient.deleteCollection(base);
+  }
+
+  await qdrantClient.updateCollectionAliases({
+    actions: [{ create_alias: { collection_name: target, alias_name: base } }],
+  });
+  console.log(`✅ Qdrant alias '${base}' now points at '${target}'`);
+};
+
+/**
+ * Active physical collection with its vector size and metadata
+ * @returns {Promise<{ name: string, isAlias: boolean, dimension: number, metadata: object }|null>}
+ */
+export const getActiveCollectionInfo = async () => {
+  if (!qdrantClient) return null;
+
+  const active = await findActiveCollection();
+  if (!active) return null;
+
+  const info = await qdrantClient.getCollection(active.name);
+  return {
+    ...active,
+    dimension: info.config?.params?.vectors?.size,
+    metadata: info.config?.metadata || {},
+  };
+};
+
+/**
+ * Create a collection for one embedding model
+ * @param {string} name - Collection name
+ * @param {number} dimension - Vector size of the model
+ * @param {object} metadata - Stored with the collection (e.g. { model })
+ */
+export const createVectorCollection = async (name, dimension, metadata = {}) => {
+  await qdrantClient.createCollection(name, {
+    vectors: {
+      size: dimension,
+      distance: 'Cosine',
+    },
+  });
+
+  // Collection metadata needs Qdrant 1.16+; the embedding index record in MongoDB has it too
+  try {
+    await qdrantClient.updateCollection(name, { metadata: { ...metadata, dimension } });
+  } catch (error) {
+    console.warn(`⚠️  Could not store metadata on Qdrant collection '${name}':`, error.message);
+  }
+
+  await ensurePayloadIndexes(name);
+  console.log(`✅ Qdrant collection '${name}' created (${dimension} dimensions)`);
+};
+
+/**
+ * Point QDRANT_COLLECTION at another collection. Searches and writes move over
+ * in one step; the previous collection is kept.
+ * @param {string} name - Collection to make active
+ */
+export const switchActiveCollection = async (name) => {
+  const base = process.env.QDRANT_COLLECTION;
+  const active = await findActiveCollection();
+
+  // initQdrant moves an unversioned collection behind the alias before anything can switch
+  if (active && !active.isAlias) {
+    throw new Error(`Collection '${base}' is not versioned yet; the API server migrates it on start`);
+  }
+
+  await qdrantClient.updateCollectionAliases({
+    actions: [
+      ...(active?.isAlias ? [{ delete_alias: { alias_name: base } }] : []),
+      { create_alias: { collection_name: name, alias_name: base } },
+    ],
+  });
+  console.log(`✅ Qdrant alias '${base}' now points at '${name}'`);
+};
+
 const scheduleReconnect = () => {
   if (reconnectTimeout) {
     clearTimeout(reconnectTimeout);
@@ -91,4 +285,13 @@ export const checkQdrantHealth = async () => {
   }
 };
 
-export default { initQdrant, getQdrantClient, isQdrantConnected, checkQdrantHealth };
+export default {
+  initQdrant,
+  getVersionedCollectionName,
+  getActiveCollectionInfo,
+  createVectorCollection,
+  switchActiveCollection,
+  getQdrantClient,
+  isQdrantConnected,
+  checkQdrantHealth,
+};
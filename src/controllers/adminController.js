@@ -0,0 +1,518 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Image from '../models/Image.js';
+import EmbeddingIndex from '../models/EmbeddingIndex.js';
+import { getEmbeddingStats, requeueFailedEmbeddings } from '../services/embeddingProcessor.js';
+import { deleteImageCompletely } from '../services/imageDeletionService.js';
+import { revokeAllSessions } from '../services/tokenService.js';
+import { requestReindex, requestPayloadSync } from '../services/reindexService.js';
+import { getActiveModelName } from '../services/embeddingIndexService.js';
+import { escapeRegex } from '../services/searchService.js';
+import vectorStore from '../services/vectorStoreService.js';
+
+const MODERATION_FILTERS = {
+  // Public and not yet reviewed
+  pending: { isPublic: true, 'moderation.status': { $exists: false } },
+  approved: { 'moderation.status': 'approved' },
+  removed: { 'moderation.status': 'removed' },
+};
+
+/**
+ * Image count and bytes stored per user
+ * @param {object} match - Image filter (e.g. { user: { $in: ids } })
+ * @returns {Promise<Map<string, { images: number, bytes: number }>>}
+ */
+const getStorageByUser = async (match = {}) => {
+  const rows = await Image.aggregate([
+    { $match: match },
+    { $group: { _id: '$user', images: { $sum: 1 }, bytes: { $sum: { $ifNull: ['$fileSize', 0] } } } },
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), { images: row.images, bytes: row.bytes }]));
+};
+
+/**
+ * Admin view of a user
+ */
+const toAdminUser = (user, storage) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isEmailVerified: user.isEmailVerified,
+  isDisabled: user.isDisabled,
+  disabledAt: user.disabledAt,
+  disabledReason: user.disabledReason,
+  createdAt: user.createdAt,
+  storage: storage || { images: 0, bytes: 0 },
+});
+
+/**
+ * Load the user named by :id, sending 404 and returning null if missing
+ */
+const findUserOr404 = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+  return user;
+};
+
+/**
+ * @desc    Overall user, storage and embedding stats
+ * @route   GET /api/admin/stats
+ * @access  Private/Admin
+ */
+export const getAdminStats = async (req, res) => {
+  try {
+    const [users, disabledUsers, admins, storageRows, embeddings] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isDisabled: true }),
+      User.countDocuments({ role: 'admin' }),
+      Image.aggregate([
+        { $group: { _id: null, images: { $sum: 1 }, bytes: { $sum: { $ifNull: ['$fileSize', 0] } } } },
+      ]),
+      getEmbeddingStats(),
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        users: { total: users, disabled: disabledUsers, admins },
+        storage: {
+          images: storageRows[0]?.images || 0,
+          bytes: storageRows[0]?.bytes || 0,
+        },
+        embeddings,
+      },
+    });
+  } catch (error) {
+    console.error('Get admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stats',
+    });
+  }
+};
+
+/**
+ * @desc    List and search users
+ * @route   GET /api/admin/users?search=&role=&disabled=&page=&limit=
+ * @access  Private/Admin
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const { search, role, disabled } = req.query;
+
+    const filter = {};
+
+    // Search in username and email (case-insensitive partial match)
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { username: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+
+    if (role) {
+      filter.role = role;
+    }
+
+    if (disabled !== undefined) {
+      filter.isDisabled = disabled === 'true' ? true : { $ne: true };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    const storage = await getStorageByUser({ user: { $in: users.map(user => user._id) } });
+
+    res.json({
+      success: true,
+      users: users.map(user => toAdminUser(user, storage.get(user._id.toString()))),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+    });
+  }
+};
+
+/**
+ * @desc    Get a user with storage and embedding stats
+ * @route   GET /api/admin/users/:id
+ * @access  Private/Admin
+ */
+export const getUser = async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    const [storage, embeddings] = await Promise.all([
+      getStorageByUser({ user: user._id }),
+      getEmbeddingStats(user._id),
+    ]);
+
+    res.json({
+      success: true,
+      user: toAdminUser(user, storage.get(user._id.toString())),
+      embeddings,
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+    });
+  }
+};
+
+/**
+ * @desc    Disable an account and sign it out everywhere
+ * @route   PUT /api/admin/users/:id/disable
+ * @access  Private/Admin
+ */
+export const disableUser = async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account',
+      });
+    }
+
+    user.isDisabled = true;
+    user.disabledAt = new Date();
+    user.disabledReason = req.body.reason;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      user: toAdminUser(user),
+    });
+  } catch (error) {
+    console.error('Disable user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling user',
+    });
+  }
+};
+
+/**
+ * @desc    Enable a disabled account
+ * @route   PUT /api/admin/users/:id/enable
+ * @access  Private/Admin
+ */
+export const enableUser = async (req, res) => {
+  try {
+    const user = await findUserOr404(req, res);
+    if (!user) return;
+
+    user.isDisabled = false;
+    user.disabledAt = undefined;
+    user.disabledReason = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      user: toAdminUser(user),
+    });
+  } catch (error) {
+    console.error('Enable user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling user',
+    });
+  }
+};
+
+/**
+ * @desc    Requeue failed embeddings (all users, or body.userId)
+ * @route   POST /api/admin/embeddings/requeue
+ * @access  Private/Admin
+ */
+export const requeueEmbeddings = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid userId',
+      });
+    }
+
+    const requeued = await requeueFailedEmbeddings(userId);
+
+    res.json({
+      success: true,
+      requeued,
+    });
+  } catch (error) {
+    console.error('Requeue embeddings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requeuing embeddings',
+    });
+  }
+};
+
+/**
+ * @desc    List embedding indexes (one per model used so far) with re-index progress
+ * @route   GET /api/admin/embeddings/indexes
+ * @access  Private/Admin
+ */
+export const getEmbeddingIndexes = async (req, res) => {
+  try {
+    const indexes = await EmbeddingIndex.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      indexes,
+    });
+  } catch (error) {
+    console.error('Get embedding indexes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching embedding indexes',
+    });
+  }
+};
+
+/**
+ * @desc    Re-embed every image with another model and switch search over when done
+ * @route   POST /api/admin/embeddings/reindex
+ * @access  Private/Admin
+ */
+export const reindexEmbeddings = async (req, res) => {
+  try {
+    const { model } = req.body;
+
+    if (!model || typeof model !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the model to re-index with',
+      });
+    }
+
+    if (model === getActiveModelName()) {
+      return res.status(400).json({
+        success: false,
+        message: `The active index already uses ${model}`,
+      });
+    }
+
+    const queued = await requestReindex(model);
+    if (!queued) {
+      return res.status(409).json({
+        success: false,
+        message: `A re-index with ${model} is already running`,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Re-index with ${model} queued; follow its progress at /api/admin/embeddings/indexes`,
+    });
+  } catch (error) {
+    console.error('Reindex embeddings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting re-index',
+    });
+  }
+};
+
+/**
+ * @desc    Rewrite the vector store payload of every embedded image
+ * @route   POST /api/admin/embeddings/sync-payloads
+ * @access  Private/Admin
+ */
+export const syncEmbeddingPayloads = async (req, res) => {
+  try {
+    const queued = await requestPayloadSync();
+    if (!queued) {
+      return res.status(409).json({
+        success: false,
+        message: 'A payload sync is already running',
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Payload sync queued',
+    });
+  } catch (error) {
+    console.error('Sync embedding payloads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting payload sync',
+    });
+  }
+};
+
+/**
+ * @desc    List public images for moderation
+ * @route   GET /api/admin/images/public?status=pending|approved|removed&page=&limit=
+ * @access  Private/Admin
+ */
+export const getPublicImages = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const status = MODERATION_FILTERS[req.query.status] ? req.query.status : 'pending';
+    const filter = MODERATION_FILTERS[status];
+
+    const [images, total] = await Promise.all([
+      Image.find(filter)
+        .sort({ uploadDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'username email'),
+      Image.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      status,
+      images,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Get public images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching public images',
+    });
+  }
+};
+
+/**
+ * @desc    Approve a public image, or remove it from public view
+ * @route   PUT /api/admin/images/:id/moderation
+ * @access  Private/Admin
+ */
+export const moderateImage = async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+
+    if (!['approve', 'remove'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be approve or remove',
+      });
+    }
+
+    const image = mongoose.isValidObjectId(req.params.id) ? await Image.findById(req.params.id) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
+    image.moderation = {
+      status: action === 'approve' ? 'approved' : 'removed',
+      reason,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+    };
+    if (action === 'remove') {
+      image.isPublic = false;
+    }
+
+    const visibilityChanged = image.isModified('isPublic');
+    await image.save();
+
+    // Keep the vector store's isPublic filter in sync
+    if (visibilityChanged && image.isEmbedded) {
+      await vectorStore.syncImagePayload(image);
+    }
+
+    res.json({
+      success: true,
+      image,
+    });
+  } catch (error) {
+    console.error('Moderate image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating image',
+    });
+  }
+};
+
+/**
+ * @desc    Delete any image
+ * @route   DELETE /api/admin/images/:id
+ * @access  Private/Admin
+ */
+export const deleteImageAsAdmin = async (req, res) => {
+  try {
+    const image = mongoose.isValidObjectId(req.params.id) ? await Image.findById(req.params.id) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
+    await deleteImageCompletely(image);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+    });
+  } catch (error) {
+    console.error('Admin delete image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting image',
+    });
+  }
+};
+
+export default {
+  getAdminStats,
+  getUsers,
+  getUser,
+  disableUser,
+  enableUser,
+  requeueEmbeddings,
+  getEmbeddingIndexes,
+  reindexEmbeddings,
+  syncEmbeddingPayloads,
+  getPublicImages,
+  moderateImage,
+  deleteImageAsAdmin,
+};
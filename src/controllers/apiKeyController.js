@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import { createApiKey as generateApiKey } from '../services/apiKeyService.js';
+
+const MAX_API_KEYS_PER_USER = 20;
+
+/**
+ * Owner's view of an API key (never includes the key itself)
+ */
+const serializeApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scope: apiKey.scope,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * @desc    Create an API key (the key is only returned in this response)
+ * @route   POST /api/auth/api-keys
+ * @access  Private
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scope = 'read', expiresAt } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name for the API key',
+      });
+    }
+
+    if (!['read', 'read-write'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be read or read-write',
+      });
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a date in the future',
+        });
+      }
+    }
+
+    // Revoked and expired keys don't count towards the limit
+    const activeCount = await ApiKey.countDocuments({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+    if (activeCount >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys`,
+      });
+    }
+
+    const { apiKey, key } = await generateApiKey(req.user._id, { name: name.trim(), scope, expiresAt: expiry });
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey: serializeApiKey(apiKey),
+      message: 'Store this key now; it will not be shown again',
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+    });
+  }
+};
+
+/**
+ * @desc    List API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(serializeApiKey),
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id)
+      ? await ApiKey.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      apiKey: serializeApiKey(apiKey),
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+    });
+  }
+};
+
+export default {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
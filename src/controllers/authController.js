@@ -1,15 +1,26 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { validationResult } from 'express-validator';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  consumeUserToken,
+} from '../services/tokenService.js';
+import { deleteUserCompletely } from '../services/accountDeletionService.js';
+import { getQuotaStatus } from '../services/quotaService.js';
+import { getLockoutRemaining, recordFailedLogin, clearFailedLogins } from '../services/loginLockoutService.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../services/accountEmailService.js';
 
 /**
- * Generate JWT Token
+ * Device details stored with a session
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
-  });
-};
+const getClientMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
 
 /**
  * @desc    Register user
@@ -44,17 +55,23 @@ export const register = async (req, res) => {
       password,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Ask the user to confirm their address (a failure here does not block sign-up)
+    await sendVerificationEmail(user);
+
+    // Start a session: short-lived access token plus refresh token
+    const { accessToken, accessTokenExpiresAt, refreshToken } = await createSession(user, getClientMeta(req));
 
     res.status(201).json({
       success: true,
-      token,
+      token: accessToken,
+      tokenExpiresAt: accessTokenExpiresAt,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
       },
     });
   } catch (error) {
@@ -92,26 +109,52 @@ export const login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is checked
+    const lockedFor = getLockoutRemaining(user);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${Math.ceil(lockedFor / 60)} minute(s).`,
+        retryAfter: lockedFor,
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailedLogin(user._id);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.failedLogins?.count) {
+      await clearFailedLogins(user._id);
+    }
+
+    if (user.isDisabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is disabled',
+      });
+    }
+
+    // Start a session: short-lived access token plus refresh token
+    const { accessToken, accessTokenExpiresAt, refreshToken } = await createSession(user, getClientMeta(req));
 
     res.json({
       success: true,
-      token,
+      token: accessToken,
+      tokenExpiresAt: accessTokenExpiresAt,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
       },
     });
   } catch (error) {
@@ -131,6 +174,7 @@ export const login = async (req, res) => {
 export const getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
+    const quota = await getQuotaStatus(user);
 
     res.json({
       success: true,
@@ -139,7 +183,9 @@ export const getMe = async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
       },
+      storage: quota,
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -150,4 +196,490 @@ export const getMe = async (req, res) => {
   }
 };
 
-export default { register, login, getMe };
+/**
+ * @desc    Update username and/or email
+ * @route   PUT /api/auth/me
+ * @access  Private
+ */
+export const updateMe = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { username, email } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const usernameChanged = username !== undefined && username !== user.username;
+    const emailChanged = email !== undefined && email !== user.email;
+
+    // Check the new username/email is not taken by someone else
+    const taken = [];
+    if (usernameChanged) taken.push({ username });
+    if (emailChanged) taken.push({ email });
+
+    if (taken.length > 0) {
+      const userExists = await User.findOne({ $or: taken, _id: { $ne: user._id } });
+      if (userExists) {
+        return res.status(400).json({
+          success: false,
+          message: userExists.email === email ? 'Email is already in use' : 'Username is already taken',
+        });
+      }
+    }
+
+    if (usernameChanged) user.username = username;
+    if (emailChanged) {
+      // The new address has to be verified again
+      user.email = email;
+      user.isEmailVerified = false;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+      },
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile',
+    });
+  }
+};
+
+/**
+ * @desc    Change password (requires the current password)
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device, then start a fresh session for this one
+    await revokeAllSessions(user._id);
+    user.tokenVersion = (user.tokenVersion || 0) + 1; // match the bumped version
+    const { accessToken, accessTokenExpiresAt, refreshToken } = await createSession(user, getClientMeta(req));
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token: accessToken,
+      tokenExpiresAt: accessTokenExpiresAt,
+      refreshToken,
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password',
+    });
+  }
+};
+
+/**
+ * @desc    Delete account with all images, collections and share links
+ * @route   DELETE /api/auth/me
+ * @access  Private
+ */
+export const deleteMe = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please confirm with your password',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    const { deletedImages, deletedCollections } = await deleteUserCompletely(user);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      deletedImages,
+      deletedCollections,
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account',
+    });
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.tokens.accessToken,
+      tokenExpiresAt: result.tokens.accessTokenExpiresAt,
+      refreshToken: result.tokens.refreshToken,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+    });
+  }
+};
+
+/**
+ * @desc    Log out: revoke the session of the given refresh token
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    // Same response whether or not the session was still active
+    await revokeRefreshToken(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+    });
+  }
+};
+
+/**
+ * @desc    Log out everywhere: revoke all sessions and issued access tokens
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked',
+      revokedCount,
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    List active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one session
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Verify email address with the emailed token
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required',
+      });
+    }
+
+    const user = await consumeUserToken(token, 'emailVerification', { isEmailVerified: true });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification',
+    });
+  }
+};
+
+/**
+ * @desc    Send a new verification email
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    const sent = await sendVerificationEmail(req.user);
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send verification email. Please try again later.',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same response either way, so the endpoint does not reveal which emails exist
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+/**
+ * @desc    Set a new password with the emailed reset token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Receiving the email proves the address too
+    const user = await consumeUserToken(token, 'passwordReset', { isEmailVerified: true });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Sign out every device that used the old password, and lift any lockout
+    await revokeAllSessions(user._id);
+    await clearFailedLogins(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+    });
+  }
+};
+
+export default {
+  register,
+  login,
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+};
@@ -1,5 +1,158 @@
+import mongoose from 'mongoose';
 import Collection from '../models/Collection.js';
 import Image from '../models/Image.js';
+import User from '../models/User.js';
+import ShareLink from '../models/ShareLink.js';
+import { withTransaction } from '../config/database.js';
+import { normalizeSmartRule, smartCollectionMatches } from '../services/smartCollectionService.js';
+import { getCollectionImages } from '../services/collectionService.js';
+
+const MAX_BULK_IMAGES = 500;
+
+/**
+ * Resolve what the user may do with a collection
+ * @returns {'owner'|'editor'|'viewer'|null}
+ */
+const getAccessRole = (collection, userId) => {
+  const id = userId.toString();
+  if (collection.user.toString() === id) return 'owner';
+
+  const share = (collection.sharedWith || []).find(entry => entry.user.toString() === id);
+  if (share) return share.role;
+
+  return collection.isPublic ? 'viewer' : null;
+};
+
+const canEdit = (role) => role === 'owner' || role === 'editor';
+
+/**
+ * Validate a list of image IDs from the request body
+ * @returns {string[]|null} - Unique IDs, or null if the list is invalid
+ */
+const parseImageIds = (imageIds) => {
+  if (!Array.isArray(imageIds) || imageIds.length === 0 || imageIds.length > MAX_BULK_IMAGES) {
+    return null;
+  }
+  const ids = [...new Set(imageIds.map(String))];
+  return ids.every(id => mongoose.isValidObjectId(id)) ? ids : null;
+};
+
+/**
+ * Load a manual collection and check the caller may edit its images
+ * Sends the error response and returns null when not allowed
+ */
+const loadEditableCollection = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection not found',
+    });
+    return null;
+  }
+
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection not found',
+    });
+    return null;
+  }
+
+  if (!canEdit(getAccessRole(collection, req.user._id))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+    return null;
+  }
+
+  if (collection.type === 'smart') {
+    res.status(400).json({
+      success: false,
+      message: 'Images in a smart collection are defined by its rule',
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+/**
+ * Add images to a collection, keeping Collection.images and Image.collections in sync
+ * @param {object} collection - Collection document
+ * @param {string[]} imageIds - Images to add (already validated)
+ * @param {number} [position] - Insert position; appended when omitted
+ * @returns {Promise<number>} - Number of images actually added
+ */
+const addImages = async (collection, imageIds, position) => {
+  const existing = new Set(collection.images.map(id => id.toString()));
+  const newIds = imageIds.filter(id => !existing.has(id));
+
+  if (newIds.length === 0) {
+    return 0;
+  }
+
+  await withTransaction(async (session) => {
+    await Collection.updateOne(
+      { _id: collection._id },
+      {
+        $push: {
+          images: {
+            $each: newIds,
+            ...(Number.isInteger(position) && { $position: position }),
+          },
+        },
+      },
+      { session }
+    );
+
+    await Image.updateMany(
+      { _id: { $in: newIds } },
+      { $addToSet: { collections: collection._id } },
+      { session }
+    );
+  });
+
+  return newIds.length;
+};
+
+/**
+ * Remove images from a collection, keeping both sides in sync and clearing
+ * the cover if it was removed
+ * @returns {Promise<number>} - Number of images actually removed
+ */
+const removeImages = async (collection, imageIds) => {
+  const existing = new Set(collection.images.map(id => id.toString()));
+  const removeIds = imageIds.filter(id => existing.has(id));
+
+  if (removeIds.length === 0) {
+    return 0;
+  }
+
+  await withTransaction(async (session) => {
+    await Collection.updateOne(
+      { _id: collection._id },
+      { $pull: { images: { $in: removeIds } } },
+      { session }
+    );
+
+    await Collection.updateOne(
+      { _id: collection._id, coverImage: { $in: removeIds } },
+      { $unset: { coverImage: 1 } },
+      { session }
+    );
+
+    await Image.updateMany(
+      { _id: { $in: removeIds } },
+      { $pull: { collections: collection._id } },
+      { session }
+    );
+  });
+
+  return removeIds.length;
+};
 
 /**
  * @desc    Create collection
@@ -8,7 +161,7 @@ import Image from '../models/Image.js';
  */
 export const createCollection = async (req, res) => {
   try {
-    const { name, description, isPublic } = req.body;
+    const { name, description, isPublic, type = 'manual' } = req.body;
 
     if (!name) {
       return res.status(400).json({
@@ -17,11 +170,33 @@ export const createCollection = async (req, res) => {
       });
     }
 
+    if (!['manual', 'smart'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection type must be manual or smart',
+      });
+    }
+
+    // Smart collections store a rule instead of an image list
+    let rule;
+    if (type === 'smart') {
+      const normalized = normalizeSmartRule(req.body.rule);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      rule = normalized.rule;
+    }
+
     const collection = await Collection.create({
       name,
       description: description || '',
       user: req.user._id,
       isPublic: isPublic || false,
+      type,
+      rule,
     });
 
     res.status(201).json({
@@ -38,20 +213,37 @@ export const createCollection = async (req, res) => {
 };
 
 /**
- * @desc    Get all collections for user
+ * @desc    Get all collections for user (own, plus shared with ?shared=true)
  * @route   GET /api/collections
  * @access  Private
  */
 export const getCollections = async (req, res) => {
   try {
-    const collections = await Collection.find({ user: req.user._id })
-      .sort({ createdAt: -1 })
-      .populate('coverImage', 'filename filePath')
-      .populate('images', 'filename filePath title');
+    const filter = req.query.shared === 'true'
+      ? { $or: [{ user: req.user._id }, { 'sharedWith.user': req.user._id }] }
+      : { user: req.user._id };
+
+    // Image lists can be large: return counts here, pages from getCollection.
+    // Smart collections are only evaluated when opened, so they have no count.
+    const collections = await Collection.aggregate([
+      { $match: filter },
+      { $sort: { createdAt: -1 } },
+      {
+        $addFields: {
+          imageCount: { $cond: [{ $eq: ['$type', 'smart'] }, null, { $size: '$images' }] },
+        },
+      },
+      { $project: { images: 0 } },
+    ]);
+
+    await Collection.populate(collections, { path: 'coverImage', select: 'filename filePath derivatives.thumbnail' });
 
     res.json({
       success: true,
-      collections,
+      collections: collections.map(collection => ({
+        ...collection,
+        access: getAccessRole(collection, req.user._id),
+      })),
     });
   } catch (error) {
     console.error('Get collections error:', error);
@@ -63,15 +255,19 @@ export const getCollections = async (req, res) => {
 };
 
 /**
- * @desc    Get single collection
- * @route   GET /api/collections/:id
+ * @desc    Get single collection with a page of its images, in collection order
+ *          (smart collections: evaluated from their rule)
+ * @route   GET /api/collections/:id?page=&limit=
  * @access  Private
  */
 export const getCollection = async (req, res) => {
   try {
-    const collection = await Collection.findById(req.params.id)
-      .populate('images')
-      .populate('coverImage', 'filename filePath');
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const collection = mongoose.isValidObjectId(req.params.id)
+      ? await Collection.findById(req.params.id).populate('coverImage', 'filename filePath derivatives.thumbnail')
+      : null;
 
     if (!collection) {
       return res.status(404).json({
@@ -80,17 +276,30 @@ export const getCollection = async (req, res) => {
       });
     }
 
-    // Check ownership or public access
-    if (collection.user.toString() !== req.user._id.toString() && !collection.isPublic) {
+    // Check ownership, share or public access
+    const access = getAccessRole(collection, req.user._id);
+    if (!access) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this collection',
       });
     }
 
+    const { images: imageIds, ...details } = collection.toObject();
+    const { images, pagination, searchType, warning } = await getCollectionImages(collection, { page, limit });
+
     res.json({
       success: true,
-      collection,
+      collection: {
+        ...details,
+        // Smart collections keep no image list, so they have no count
+        imageCount: collection.type === 'smart' ? null : imageIds.length,
+        access,
+      },
+      images,
+      pagination,
+      searchType,
+      warning,
     });
   } catch (error) {
     console.error('Get collection error:', error);
@@ -108,9 +317,11 @@ export const getCollection = async (req, res) => {
  */
 export const updateCollection = async (req, res) => {
   try {
-    const { name, description, isPublic, coverImage } = req.body;
+    const { name, description, isPublic, coverImage, rule } = req.body;
 
-    let collection = await Collection.findById(req.params.id);
+    let collection = mongoose.isValidObjectId(req.params.id)
+      ? await Collection.findById(req.params.id)
+      : null;
 
     if (!collection) {
       return res.status(404).json({
@@ -127,11 +338,43 @@ export const updateCollection = async (req, res) => {
       });
     }
 
+    if (rule !== undefined) {
+      if (collection.type !== 'smart') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only smart collections have a rule',
+        });
+      }
+
+      const normalized = normalizeSmartRule(rule);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      collection.rule = normalized.rule;
+    }
+
+    // Cover must be one of the collection's images, or match a smart rule (null clears it)
+    if (coverImage !== undefined && coverImage !== null) {
+      const belongs = collection.type === 'smart'
+        ? mongoose.isValidObjectId(coverImage) && await smartCollectionMatches(collection, coverImage)
+        : collection.images.some(id => id.toString() === String(coverImage));
+
+      if (!belongs) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cover image must belong to the collection',
+        });
+      }
+    }
+
     // Update fields
     if (name !== undefined) collection.name = name;
     if (description !== undefined) collection.description = description;
     if (isPublic !== undefined) collection.isPublic = isPublic;
-    if (coverImage !== undefined) collection.coverImage = coverImage;
+    if (coverImage !== undefined) collection.coverImage = coverImage || undefined;
 
     await collection.save();
 
@@ -155,7 +398,9 @@ export const updateCollection = async (req, res) => {
  */
 export const deleteCollection = async (req, res) => {
   try {
-    const collection = await Collection.findById(req.params.id);
+    const collection = mongoose.isValidObjectId(req.params.id)
+      ? await Collection.findById(req.params.id)
+      : null;
 
     if (!collection) {
       return res.status(404).json({
@@ -172,13 +417,18 @@ export const deleteCollection = async (req, res) => {
       });
     }
 
-    // Remove collection reference from images
-    await Image.updateMany(
-      { _id: { $in: collection.images } },
-      { $pull: { collections: collection._id } }
-    );
+    // Remove collection reference from images and its share links, and delete it together
+    await withTransaction(async (session) => {
+      await Image.updateMany(
+        { _id: { $in: collection.images } },
+        { $pull: { collections: collection._id } },
+        { session }
+      );
 
-    await collection.deleteOne();
+      await ShareLink.deleteMany({ resourceType: 'collection', resource: collection._id }, { session });
+
+      await Collection.deleteOne({ _id: collection._id }, { session });
+    });
 
     res.json({
       success: true,
@@ -193,6 +443,138 @@ export const deleteCollection = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Add many images to collection (optionally at a position)
+ * @route   POST /api/collections/:id/images
+ * @access  Private
+ */
+export const addImagesToCollection = async (req, res) => {
+  try {
+    const imageIds = parseImageIds(req.body.imageIds);
+    if (!imageIds) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide imageIds (1-${MAX_BULK_IMAGES} valid IDs)`,
+      });
+    }
+
+    const collection = await loadEditableCollection(req, res);
+    if (!collection) return;
+
+    // Only the caller's own images can be added
+    const ownedCount = await Image.countDocuments({ _id: { $in: imageIds }, user: req.user._id });
+    if (ownedCount !== imageIds.length) {
+      return res.status(403).json({
+        success: false,
+        message: 'One or more images not found or not owned by you',
+      });
+    }
+
+    const position = req.body.position !== undefined ? parseInt(req.body.position) : undefined;
+    const addedCount = await addImages(collection, imageIds, position);
+
+    res.json({
+      success: true,
+      addedCount,
+      skippedCount: imageIds.length - addedCount,
+      collection: await Collection.findById(collection._id),
+    });
+  } catch (error) {
+    console.error('Add images to collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding images to collection',
+    });
+  }
+};
+
+/**
+ * @desc    Remove many images from collection
+ * @route   DELETE /api/collections/:id/images
+ * @access  Private
+ */
+export const removeImagesFromCollection = async (req, res) => {
+  try {
+    const imageIds = parseImageIds(req.body.imageIds);
+    if (!imageIds) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide imageIds (1-${MAX_BULK_IMAGES} valid IDs)`,
+      });
+    }
+
+    const collection = await loadEditableCollection(req, res);
+    if (!collection) return;
+
+    const removedCount = await removeImages(collection, imageIds);
+
+    res.json({
+      success: true,
+      removedCount,
+      collection: await Collection.findById(collection._id),
+    });
+  } catch (error) {
+    console.error('Remove images from collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing images from collection',
+    });
+  }
+};
+
+/**
+ * @desc    Reorder collection images (body.imageIds is the full new order)
+ * @route   PUT /api/collections/:id/images/order
+ * @access  Private
+ */
+export const reorderCollectionImages = async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    const collection = await loadEditableCollection(req, res);
+    if (!collection) return;
+
+    const current = collection.images.map(id => id.toString());
+    const requested = Array.isArray(imageIds) ? imageIds.map(String) : [];
+
+    // Must be a permutation of the current images
+    const sameImages = requested.length === current.length &&
+      new Set(requested).size === requested.length &&
+      requested.every(id => current.includes(id));
+
+    if (!sameImages) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must contain every image in the collection exactly once',
+      });
+    }
+
+    // Only apply if nobody changed the list since it was read
+    const result = await Collection.updateOne(
+      { _id: collection._id, images: collection.images },
+      { $set: { images: requested } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Collection was modified meanwhile. Please reload and try again.',
+      });
+    }
+
+    res.json({
+      success: true,
+      collection: await Collection.findById(collection._id),
+    });
+  } catch (error) {
+    console.error('Reorder collection images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering collection images',
+    });
+  }
+};
+
 /**
  * @desc    Add image to collection
  * @route   POST /api/collections/:id/images/:imageId
@@ -200,12 +582,14 @@ export const deleteCollection = async (req, res) => {
  */
 export const addImageToCollection = async (req, res) => {
   try {
-    const { id, imageId } = req.params;
+    const { imageId } = req.params;
+
+    const collection = await loadEditableCollection(req, res);
+    if (!collection) return;
 
-    const collection = await Collection.findById(id);
-    const image = await Image.findById(imageId);
+    const image = mongoose.isValidObjectId(imageId) ? await Image.findById(imageId) : null;
 
-    if (!collection || !image) {
+    if (!image) {
       return res.status(404).json({
         success: false,
         message: 'Collection or image not found',
@@ -213,8 +597,7 @@ export const addImageToCollection = async (req, res) => {
     }
 
     // Check ownership
-    if (collection.user.toString() !== req.user._id.toString() ||
-        image.user.toString() !== req.user._id.toString()) {
+    if (image.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized',
@@ -222,24 +605,18 @@ export const addImageToCollection = async (req, res) => {
     }
 
     // Check if image is already in collection
-    if (collection.images.includes(imageId)) {
+    if (collection.images.some(id => id.toString() === imageId)) {
       return res.status(400).json({
         success: false,
         message: 'Image already in collection',
       });
     }
 
-    // Add image to collection
-    collection.images.push(imageId);
-    await collection.save();
-
-    // Add collection to image
-    image.collections.push(id);
-    await image.save();
+    await addImages(collection, [imageId]);
 
     res.json({
       success: true,
-      collection,
+      collection: await Collection.findById(collection._id),
     });
   } catch (error) {
     console.error('Add image to collection error:', error);
@@ -257,9 +634,45 @@ export const addImageToCollection = async (req, res) => {
  */
 export const removeImageFromCollection = async (req, res) => {
   try {
-    const { id, imageId } = req.params;
+    const { imageId } = req.params;
+
+    const collection = await loadEditableCollection(req, res);
+    if (!collection) return;
+
+    await removeImages(collection, [imageId]);
+
+    res.json({
+      success: true,
+      collection: await Collection.findById(collection._id),
+    });
+  } catch (error) {
+    console.error('Remove image from collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing image from collection',
+    });
+  }
+};
+
+/**
+ * @desc    Share collection with another user (or change their role)
+ * @route   POST /api/collections/:id/share
+ * @access  Private
+ */
+export const shareCollection = async (req, res) => {
+  try {
+    const { userId, username, email, role = 'viewer' } = req.body;
+
+    if (!['viewer', 'editor'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be viewer or editor',
+      });
+    }
 
-    const collection = await Collection.findById(id);
+    const collection = mongoose.isValidObjectId(req.params.id)
+      ? await Collection.findById(req.params.id)
+      : null;
 
     if (!collection) {
       return res.status(404).json({
@@ -268,34 +681,98 @@ export const removeImageFromCollection = async (req, res) => {
       });
     }
 
-    // Check ownership
+    // Only the owner manages sharing
     if (collection.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized',
+        message: 'Not authorized to share this collection',
       });
     }
 
-    // Remove image from collection
-    collection.images = collection.images.filter(
-      img => img.toString() !== imageId
-    );
+    let target = null;
+    if (userId && mongoose.isValidObjectId(userId)) {
+      target = await User.findById(userId);
+    } else if (username || email) {
+      target = await User.findOne(email ? { email: String(email).toLowerCase() } : { username });
+    }
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (target._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this collection',
+      });
+    }
+
+    const share = collection.sharedWith.find(entry => entry.user.toString() === target._id.toString());
+    if (share) {
+      share.role = role;
+    } else {
+      collection.sharedWith.push({ user: target._id, role });
+    }
+
     await collection.save();
 
-    // Remove collection from image
-    await Image.findByIdAndUpdate(imageId, {
-      $pull: { collections: id },
+    res.json({
+      success: true,
+      collection,
+    });
+  } catch (error) {
+    console.error('Share collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sharing collection',
     });
+  }
+};
+
+/**
+ * @desc    Stop sharing collection with a user
+ * @route   DELETE /api/collections/:id/share/:userId
+ * @access  Private
+ */
+export const unshareCollection = async (req, res) => {
+  try {
+    const collection = mongoose.isValidObjectId(req.params.id)
+      ? await Collection.findById(req.params.id)
+      : null;
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    // Owner can remove anyone; a shared user can remove themselves
+    const isOwner = collection.user.toString() === req.user._id.toString();
+    if (!isOwner && req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    collection.sharedWith = collection.sharedWith.filter(
+      entry => entry.user.toString() !== req.params.userId
+    );
+    await collection.save();
 
     res.json({
       success: true,
-      collection,
+      collection: isOwner ? collection : undefined,
     });
   } catch (error) {
-    console.error('Remove image from collection error:', error);
+    console.error('Unshare collection error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error removing image from collection',
+      message: 'Error updating collection sharing',
     });
   }
 };
@@ -306,6 +783,11 @@ export default {
   getCollection,
   updateCollection,
   deleteCollection,
+  addImagesToCollection,
+  removeImagesFromCollection,
+  reorderCollectionImages,
   addImageToCollection,
   removeImageFromCollection,
+  shareCollection,
+  unshareCollection,
 };
@@ -0,0 +1,360 @@
+import Image from '../models/Image.js';
+import vectorStore from '../services/vectorStoreService.js';
+import { deleteImageCompletely } from '../services/imageDeletionService.js';
+
+// Fields returned for each image in a duplicate group
+const GROUP_FIELDS = 'title originalName filePath derivatives.thumbnail width height fileSize uploadDate captureDate tags collections';
+
+const SEMANTIC_BATCH_SIZE = 64;
+const DEFAULT_HASH_THRESHOLD = 8;
+// Higher thresholds leave too few bits per band for bucketing to pay off
+const MAX_HASH_THRESHOLD = 10;
+
+/**
+ * Disjoint-set over image indexes, remembering why images were joined
+ */
+class DuplicateGroups {
+  constructor(size) {
+    this.parent = Array.from({ length: size }, (_, index) => index);
+    this.reasons = new Map();
+  }
+
+  find(index) {
+    while (this.parent[index] !== index) {
+      this.parent[index] = this.parent[this.parent[index]];
+      index = this.parent[index];
+    }
+    return index;
+  }
+
+  union(a, b, reason) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    const reasons = new Set([
+      ...(this.reasons.get(rootA) || []),
+      ...(this.reasons.get(rootB) || []),
+      reason,
+    ]);
+
+    if (rootA !== rootB) {
+      this.parent[rootB] = rootA;
+      this.reasons.delete(rootB);
+    }
+    this.reasons.set(rootA, reasons);
+  }
+
+  /**
+   * @returns {{ members: number[], reasons: string[] }[]} - Groups with more than one image
+   */
+  groups() {
+    const members = new Map();
+    this.parent.forEach((_, index) => {
+      const root = this.find(index);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(index);
+    });
+
+    return [...members.entries()]
+      .filter(([, indexes]) => indexes.length > 1)
+      .map(([root, indexes]) => ({ members: indexes, reasons: [...(this.reasons.get(root) || [])] }));
+  }
+}
+
+/**
+ * Count set bits in a 32-bit integer
+ */
+const popcount32 = (value) => {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+/**
+ * Split a 16-hex-character hash into two 32-bit halves for fast comparison
+ */
+const splitHash = (hash) => [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8, 16), 16)];
+
+/**
+ * Join images whose perceptual hashes differ in at most threshold bits, without
+ * comparing every pair. The 64 bits are cut into bands of at most 32 bits, few
+ * enough that two hashes within the threshold differ in at most one bit on at
+ * least one band (pigeonhole). Each hash is then only compared with hashes found
+ * under its own band value or one bit away from it.
+ */
+const groupByPerceptualHash = (images, groups, threshold) => {
+  const entries = images
+    .map((image, index) => ({ index, hash: image.perceptualHash }))
+    .filter(entry => entry.hash);
+  const count = entries.length;
+
+  const radius = threshold >= 2 ? 1 : 0;
+  const bandCount = Math.max(Math.floor(threshold / (radius + 1)) + 1, 2);
+  const bandBounds = Array.from({ length: bandCount + 1 }, (_, band) => Math.floor((band * 64) / bandCount));
+
+  const his = new Uint32Array(count);
+  const los = new Uint32Array(count);
+  const bandValues = bandBounds.slice(1).map(() => new Uint32Array(count));
+  entries.forEach((entry, position) => {
+    [his[position], los[position]] = splitHash(entry.hash);
+    const hash = BigInt(`0x${entry.hash}`);
+    for (let band = 0; band < bandCount; band++) {
+      const width = BigInt(bandBounds[band + 1] - bandBounds[band]);
+      bandValues[band][position] = Number((hash >> (64n - BigInt(bandBounds[band + 1]))) & ((1n << width) - 1n));
+    }
+  });
+
+  for (let band = 0; band < bandCount; band++) {
+    const values = bandValues[band];
+    const width = bandBounds[band + 1] - bandBounds[band];
+    const buckets = new Map();
+    for (let position = 0; position < count; position++) {
+      const bucket = buckets.get(values[position]);
+      if (bucket) bucket.push(position);
+      else buckets.set(values[position], [position]);
+    }
+
+    for (let a = 0; a < count; a++) {
+      for (let bit = -1; bit < (radius > 0 ? width : 0); bit++) {
+        const bucket = buckets.get(bit < 0 ? values[a] : (values[a] ^ (1 << bit)) >>> 0);
+        if (!bucket) continue;
+
+        for (const b of bucket) {
+          if (b <= a) continue;
+          // Pairs close enough on an earlier band were compared there
+          let seen = false;
+          for (let earlier = 0; earlier < band && !seen; earlier++) {
+            seen = popcount32(bandValues[earlier][a] ^ bandValues[earlier][b]) <= radius;
+          }
+          if (!seen && popcount32(his[a] ^ his[b]) + popcount32(los[a] ^ los[b]) <= threshold) {
+            groups.union(entries[a].index, entries[b].index, 'perceptual');
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Join images whose CLIP vectors are nearly identical, using the vector store's stored vectors.
+ * Only the first DUPLICATE_SEMANTIC_MAX_IMAGES embedded images are checked.
+ * @returns {Promise<{ checked: number, embedded: number }>}
+ */
+const groupBySemanticSimilarity = async (userId, images, groups, minSimilarity) => {
+  const indexById = new Map(images.map((image, index) => [image._id.toString(), index]));
+  const embedded = images.filter(image => image.isEmbedded && image.qdrantId);
+  const maxImages = parseInt(process.env.DUPLICATE_SEMANTIC_MAX_IMAGES) || 5000;
+  const filter = vectorStore.buildFilter(userId);
+  const checked = Math.min(embedded.length, maxImages);
+
+  for (let start = 0; start < checked; start += SEMANTIC_BATCH_SIZE) {
+    const batch = embedded.slice(start, start + SEMANTIC_BATCH_SIZE);
+
+    const results = await vectorStore.searchByIds(batch.map(image => image.qdrantId), {
+      filter,
+      limit: 5,
+      scoreThreshold: minSimilarity,
+    });
+
+    results.forEach((matches, batchIndex) => {
+      const sourceIndex = indexById.get(batch[batchIndex]._id.toString());
+      for (const match of matches) {
+        const matchIndex = indexById.get(match.payload?.imageId);
+        if (matchIndex !== undefined && matchIndex !== sourceIndex) {
+          groups.union(sourceIndex, matchIndex, 'semantic');
+        }
+      }
+    });
+  }
+
+  return { checked, embedded: embedded.length };
+};
+
+/**
+ * Pick the image to keep: highest resolution, then largest file, then oldest upload
+ */
+const pickImageToKeep = (images) => {
+  return [...images].sort((a, b) =>
+    ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)) ||
+    (b.fileSize || 0) - (a.fileSize || 0) ||
+    new Date(a.uploadDate) - new Date(b.uploadDate)
+  )[0];
+};
+
+/**
+ * @desc    List groups of duplicate and near-duplicate images
+ * @route   GET /api/images/duplicates?threshold=&semantic=&minSimilarity=&page=&limit=
+ * @access  Private
+ */
+export const getDuplicates = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    // Max differing bits (of 64) for perceptual hashes to count as near-duplicates
+    const requestedThreshold = parseInt(req.query.threshold);
+    const threshold = Number.isNaN(requestedThreshold)
+      ? DEFAULT_HASH_THRESHOLD
+      : Math.min(Math.max(requestedThreshold, 0), MAX_HASH_THRESHOLD);
+    const minSimilarity = Math.min(parseFloat(req.query.minSimilarity) || 0.95, 1);
+    const useSemantic = req.query.semantic !== 'false' &&
+      await vectorStore.checkHealth();
+
+    const images = await Image.find({ user: req.user._id })
+      .select('_id contentHash perceptualHash qdrantId isEmbedded')
+      .lean();
+
+    const groups = new DuplicateGroups(images.length);
+
+    // 1. Exact duplicates: identical file contents
+    const firstByContentHash = new Map();
+    images.forEach((image, index) => {
+      if (!image.contentHash) return;
+      if (firstByContentHash.has(image.contentHash)) {
+        groups.union(firstByContentHash.get(image.contentHash), index, 'exact');
+      } else {
+        firstByContentHash.set(image.contentHash, index);
+      }
+    });
+
+    // 2. Near duplicates: perceptual hashes within the Hamming distance threshold
+    groupByPerceptualHash(images, groups, threshold);
+
+    // 3. Semantic duplicates: nearly identical CLIP embeddings
+    let semanticError = null;
+    let semanticCoverage = null;
+    if (useSemantic) {
+      try {
+        semanticCoverage = await groupBySemanticSimilarity(req.user._id, images, groups, minSimilarity);
+      } catch (error) {
+        console.warn('⚠️  Semantic duplicate detection failed:', error.message);
+        semanticError = error.message;
+      }
+    }
+
+    const allGroups = groups.groups().sort((a, b) => b.members.length - a.members.length);
+    const pageGroups = allGroups.slice((page - 1) * limit, page * limit);
+
+    // Load display fields only for the groups on this page
+    const pageIds = pageGroups.flatMap(group => group.members.map(index => images[index]._id));
+    const details = await Image.find({ _id: { $in: pageIds } })
+      .select(GROUP_FIELDS)
+      .populate('collections', 'name');
+    const detailsById = new Map(details.map(image => [image._id.toString(), image]));
+
+    const duplicateGroups = pageGroups.map(group => {
+      const groupImages = group.members
+        .map(index => detailsById.get(images[index]._id.toString()))
+        .filter(Boolean);
+      return {
+        reasons: group.reasons,
+        count: groupImages.length,
+        suggestedKeepId: pickImageToKeep(groupImages)?._id,
+        images: groupImages,
+      };
+    });
+
+    res.json({
+      success: true,
+      groups: duplicateGroups,
+      pagination: {
+        page,
+        limit,
+        total: allGroups.length,
+        pages: Math.ceil(allGroups.length / limit),
+      },
+      criteria: {
+        exact: true,
+        perceptualThreshold: threshold,
+        semantic: useSemantic && !semanticError,
+        minSimilarity: useSemantic ? minSimilarity : undefined,
+        // Only part of the library is compared by embedding when it is large
+        semanticImagesChecked: semanticCoverage?.checked,
+        semanticTruncated: semanticCoverage ? semanticCoverage.checked < semanticCoverage.embedded : undefined,
+      },
+      unhashedCount: images.filter(image => !image.contentHash).length,
+      warning: semanticError ? 'Semantic duplicate detection failed; showing hash matches only' : null,
+    });
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error finding duplicate images',
+    });
+  }
+};
+
+/**
+ * @desc    Resolve a duplicate group: keep one image and delete the others
+ * @route   POST /api/images/duplicates/resolve
+ * @access  Private
+ */
+export const resolveDuplicates = async (req, res) => {
+  try {
+    const { keepId, deleteIds } = req.body;
+
+    if (!keepId || !Array.isArray(deleteIds) || deleteIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide keepId and a non-empty deleteIds array',
+      });
+    }
+
+    const uniqueDeleteIds = [...new Set(deleteIds.map(String))];
+    if (uniqueDeleteIds.includes(String(keepId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The image to keep cannot also be deleted',
+      });
+    }
+
+    const keepImage = await Image.findById(keepId);
+    const imagesToDelete = await Image.find({ _id: { $in: uniqueDeleteIds } });
+
+    if (!keepImage || imagesToDelete.length !== uniqueDeleteIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more images not found',
+      });
+    }
+
+    // Check ownership of every image involved
+    const userId = req.user._id.toString();
+    if ([keepImage, ...imagesToDelete].some(image => image.user.toString() !== userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify these images',
+      });
+    }
+
+    const deleted = [];
+    const errors = [];
+
+    for (const image of imagesToDelete) {
+      try {
+        await deleteImageCompletely(image);
+        deleted.push(image._id);
+      } catch (error) {
+        console.error('Error deleting duplicate:', image._id, error);
+        errors.push({ imageId: image._id, error: error.message });
+      }
+    }
+
+    res.json({
+      success: errors.length === 0,
+      kept: keepImage._id,
+      deleted,
+      deletedCount: deleted.length,
+      errors: errors.length > 0 ? errors : undefined,
+    });
+  } catch (error) {
+    console.error('Resolve duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving duplicates',
+    });
+  }
+};
+
+export default {
+  getDuplicates,
+  resolveDuplicates,
+};
@@ -0,0 +1,309 @@
+import Image from '../models/Image.js';
+
+const MAX_RADIUS_METERS = 500000; // 500 km
+
+// Widest polygon a bounding box is cut into (degrees of longitude): well under a
+// hemisphere, so MongoDB never takes the outside of a polygon for its inside
+const MAX_POLYGON_SPAN = 90;
+// Vertex spacing (degrees) along the top and bottom of a box, so those edges follow
+// lines of latitude like a map viewport instead of great circles
+const EDGE_STEP = 1;
+// Polygon edges can't run along a pole
+const MAX_POLYGON_LAT = 89.9999;
+
+// Lightweight projection for map markers
+const MAP_FIELDS = '_id title filePath derivatives.thumbnail gps captureDate uploadDate';
+
+/**
+ * Parse a coordinate query param, returning null if missing or out of range
+ */
+const parseCoordinate = (value, limit) => {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) return null;
+  return number;
+};
+
+/**
+ * GeoJSON polygon for a box at most MAX_POLYGON_SPAN wide, with extra vertices
+ * along its top and bottom edges
+ */
+const boxToPolygon = (west, south, east, north) => {
+  const steps = Math.max(Math.ceil((east - west) / EDGE_STEP), 1);
+  const bottom = [];
+  const top = [];
+  for (let step = 0; step <= steps; step++) {
+    const lng = west + ((east - west) * step) / steps;
+    bottom.push([lng, south]);
+    top.unshift([lng, north]);
+  }
+
+  return { type: 'Polygon', coordinates: [[...bottom, ...top, bottom[0]]] };
+};
+
+/**
+ * Parse minLng/minLat/maxLng/maxLat (a map viewport) into an image filter.
+ * minLng > maxLng means the box crosses the antimeridian.
+ * @returns {object|null} - Filter on geoLocation, or null if the box is invalid
+ */
+const parseBoundingBox = (query) => {
+  const minLng = parseCoordinate(query.minLng, 180);
+  const minLat = parseCoordinate(query.minLat, 90);
+  const maxLng = parseCoordinate(query.maxLng, 180);
+  const maxLat = parseCoordinate(query.maxLat, 90);
+
+  if ([minLng, minLat, maxLng, maxLat].includes(null) || minLng === maxLng || minLat >= maxLat) {
+    return null;
+  }
+
+  const south = Math.max(minLat, -MAX_POLYGON_LAT);
+  const north = Math.min(maxLat, MAX_POLYGON_LAT);
+  if (south >= north) {
+    return null;
+  }
+
+  // The whole world needs no geometry
+  if (minLng === -180 && maxLng === 180 && south === -MAX_POLYGON_LAT && north === MAX_POLYGON_LAT) {
+    return { geoLocation: { $exists: true } };
+  }
+
+  // Split at the antimeridian, then into polygons MongoDB can't misread
+  const ranges = minLng < maxLng ? [[minLng, maxLng]] : [[minLng, 180], [-180, maxLng]];
+  const polygons = ranges.flatMap(([west, east]) => {
+    const count = Math.ceil((east - west) / MAX_POLYGON_SPAN);
+    return Array.from({ length: count }, (_, index) => boxToPolygon(
+      west + ((east - west) * index) / count,
+      south,
+      west + ((east - west) * (index + 1)) / count,
+      north
+    ));
+  });
+
+  const conditions = polygons.map(polygon => ({ geoLocation: { $geoWithin: { $geometry: polygon } } }));
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+};
+
+/**
+ * MongoDB rejected a geometry (e.g. an invalid polygon)
+ */
+const isGeometryError = (error) => error.codeName === 'BadValue';
+
+/**
+ * @desc    Get images within a radius of a point, nearest first
+ * @route   GET /api/images/geo/nearby?lat=&lng=&radius=
+ * @access  Private
+ */
+export const getImagesNearby = async (req, res) => {
+  try {
+    const lat = parseCoordinate(req.query.lat, 90);
+    const lng = parseCoordinate(req.query.lng, 180);
+    const radius = Math.min(parseFloat(req.query.radius) || 1000, MAX_RADIUS_METERS);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (lat === null || lng === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid lat and lng query parameters',
+      });
+    }
+
+    const images = await Image.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          key: 'geoLocation',
+          distanceField: 'distance',
+          maxDistance: radius,
+          spherical: true,
+          query: { user: req.user._id },
+        },
+      },
+      { $limit: limit },
+      {
+        $project: {
+          title: 1,
+          filePath: 1,
+          'derivatives.thumbnail': 1,
+          gps: 1,
+          captureDate: 1,
+          uploadDate: 1,
+          distance: { $round: ['$distance', 1] },
+        },
+      },
+    ]);
+
+    res.json({
+      success: true,
+      images,
+      count: images.length,
+      center: { lat, lng },
+      radius,
+    });
+  } catch (error) {
+    console.error('Get nearby images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching nearby images',
+    });
+  }
+};
+
+/**
+ * @desc    Get images inside a bounding box
+ * @route   GET /api/images/geo/bbox?minLng=&minLat=&maxLng=&maxLat=
+ * @access  Private
+ */
+export const getImagesInBoundingBox = async (req, res) => {
+  try {
+    const boxFilter = parseBoundingBox(req.query);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    const skip = (page - 1) * limit;
+
+    if (!boxFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid bounding box (minLng, minLat, maxLng, maxLat)',
+      });
+    }
+
+    const filter = {
+      user: req.user._id,
+      ...boxFilter,
+    };
+
+    const [images, total] = await Promise.all([
+      Image.find(filter)
+        .select(MAP_FIELDS)
+        .sort({ captureDate: -1, uploadDate: -1 })
+        .skip(skip)
+        .limit(limit),
+      Image.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      images,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    if (isGeometryError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bounding box',
+      });
+    }
+    console.error('Get images in bounding box error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching images in bounding box',
+    });
+  }
+};
+
+/**
+ * @desc    Get grid-bucketed image clusters for a map view
+ * @route   GET /api/images/geo/clusters?zoom=&minLng=&minLat=&maxLng=&maxLat=
+ * @access  Private
+ */
+export const getImageClusters = async (req, res) => {
+  try {
+    // Roughly 4 cells across a 256px map tile at the given zoom level
+    const zoom = Math.min(Math.max(parseInt(req.query.zoom) || 2, 0), 20);
+    const cellSize = parseFloat(req.query.cellSize) > 0
+      ? parseFloat(req.query.cellSize)
+      : 360 / Math.pow(2, zoom) / 4;
+
+    const match = {
+      user: req.user._id,
+      geoLocation: { $exists: true },
+    };
+
+    // Bounding box is optional; without it the whole world is clustered
+    const hasBoundingBox = ['minLng', 'minLat', 'maxLng', 'maxLat'].some(key => req.query[key] !== undefined);
+    if (hasBoundingBox) {
+      const boxFilter = parseBoundingBox(req.query);
+      if (!boxFilter) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid bounding box (minLng, minLat, maxLng, maxLat)',
+        });
+      }
+      Object.assign(match, boxFilter);
+    }
+
+    const lng = { $arrayElemAt: ['$geoLocation.coordinates', 0] };
+    const lat = { $arrayElemAt: ['$geoLocation.coordinates', 1] };
+
+    const clusters = await Image.aggregate([
+      { $match: match },
+      // Newest photo in each cell becomes its representative
+      { $sort: { captureDate: -1, uploadDate: -1 } },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: [lng, cellSize] } },
+            y: { $floor: { $divide: [lat, cellSize] } },
+          },
+          count: { $sum: 1 },
+          lng: { $avg: lng },
+          lat: { $avg: lat },
+          representative: {
+            $first: {
+              _id: '$_id',
+              title: '$title',
+              filePath: '$filePath',
+              thumbnail: '$derivatives.thumbnail',
+            },
+          },
+        },
+      },
+      { $sort: { count: -1 } },
+      {
+        $project: {
+          _id: 0,
+          count: 1,
+          center: { lat: '$lat', lng: '$lng' },
+          bounds: {
+            minLng: { $multiply: ['$_id.x', cellSize] },
+            minLat: { $multiply: ['$_id.y', cellSize] },
+            maxLng: { $multiply: [{ $add: ['$_id.x', 1] }, cellSize] },
+            maxLat: { $multiply: [{ $add: ['$_id.y', 1] }, cellSize] },
+          },
+          representative: 1,
+        },
+      },
+    ]);
+
+    res.json({
+      success: true,
+      clusters,
+      count: clusters.length,
+      totalImages: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+      zoom,
+      cellSize,
+    });
+  } catch (error) {
+    if (isGeometryError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bounding box',
+      });
+    }
+    console.error('Get image clusters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching image clusters',
+    });
+  }
+};
+
+export default {
+  getImagesNearby,
+  getImagesInBoundingBox,
+  getImageClusters,
+};
@@ -1,9 +1,25 @@
+import mongoose from 'mongoose';
 import Image from '../models/Image.js';
-import Collection from '../models/Collection.js';
-import { getQdrantClient, isQdrantConnected, checkQdrantHealth } from '../config/qdrant.js';
-import { generateImageEmbedding, generateTextEmbedding, getImageMetadata, isAIModelReady } from '../services/aiService.js';
+import { generateImageEmbedding, getImageMetadata, getLoadedModel, isAIModelReady } from '../services/aiService.js';
+import { isModelCurrent, isModelActive } from '../services/embeddingIndexService.js';
 import { isMongoDBConnected } from '../config/database.js';
 import storageService from '../services/storageService.js';
+import vectorStore from '../services/vectorStoreService.js';
+import { suggestTagsForImage } from '../services/tagService.js';
+import { generateDerivatives, generateDerivativesForImage } from '../services/derivativeService.js';
+import { deleteImageCompletely } from '../services/imageDeletionService.js';
+import { computeImageHashes, computeHashesForImage } from '../services/imageHashService.js';
+import { enqueueEmbedding, isInlineEmbeddingEnabled, usesExternalWorker } from '../services/embeddingProcessor.js';
+import {
+  DATE_FIELDS,
+  buildDateSort,
+  buildSearchFilter,
+  buildVectorSearchOptions,
+  findImagesByVector,
+  searchUserImages,
+} from '../services/searchService.js';
+import { reserveQuota, releaseQuota, getQuotaStatus } from '../services/quotaService.js';
+import { getAllowedFileTypes, getMaxPresignedFileSize } from '../middleware/upload.js';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import fs from 'fs';
@@ -14,6 +30,9 @@ import fs from 'fs';
  * @access  Private
  */
 export const uploadMultipleImages = async (req, res) => {
+  // Quota reserved for files that have not become images yet
+  const reserved = { bytes: 0, images: 0 };
+
   try {
     // Check if MongoDB is connected
     if (!isMongoDBConnected()) {
@@ -30,9 +49,22 @@ export const uploadMultipleImages = async (req, res) => {
       });
     }
 
+    // Reserve quota for the whole batch before writing to storage
+    const batchSize = { bytes: req.files.reduce((sum, file) => sum + file.size, 0), images: req.files.length };
+    const quota = await reserveQuota(req.user, batchSize);
+    if (!quota.allowed) {
+      return res.status(413).json({
+        success: false,
+        message: quota.message,
+        quota: { usage: quota.usage, limits: quota.limits },
+      });
+    }
+    Object.assign(reserved, batchSize);
+
     const uploadedImages = [];
+    const pendingImageIds = [];
     const errors = [];
-    const aiModelAvailable = isAIModelReady();
+    const aiModelAvailable = isInlineEmbeddingEnabled() && await isModelActive(getLoadedModel());
 
     // Process each file
     for (const file of req.files) {
@@ -42,43 +74,45 @@ export const uploadMultipleImages = async (req, res) => {
         const filename = `${uuidv4()}${fileExt}`;
 
         // Save file to storage
-        const filePath = await storageService.saveFile(file.buffer, filename);
+        const filePath = await storageService.saveFile(file.buffer, filename, { contentType: file.mimetype });
         const fullPath = storageService.getFullPath(filePath);
 
-        // Get image metadata
-        const metadata = await getImageMetadata(fullPath);
+        // Generate responsive derivatives (the backfill job retries failures)
+        let derivatives;
+        try {
+          derivatives = await generateDerivatives(file.buffer, filename);
+        } catch (error) {
+          console.warn('⚠️  Failed to generate derivatives:', error.message);
+        }
+
+        // Get image metadata and duplicate-detection hashes
+        const metadata = await getImageMetadata(fullPath, file.buffer);
+        const hashes = await computeImageHashes(file.buffer);
 
-        // Generate Qdrant ID
+        // Generate vector point ID
         const qdrantId = uuidv4();
 
         let embeddingStatus = 'pending';
         let isEmbedded = false;
+        let embedding = null;
 
         // Try to generate embedding immediately if AI model is available
-        if (aiModelAvailable && isQdrantConnected()) {
+        if (aiModelAvailable && await vectorStore.checkHealth()) {
           try {
-            await checkQdrantHealth();
-            const embedding = await generateImageEmbedding(fullPath);
-            const qdrant = getQdrantClient();
-            
-            if (qdrant) {
-              await qdrant.upsert(process.env.QDRANT_COLLECTION, {
-                wait: true,
-                points: [
-                  {
-                    id: qdrantId,
-                    vector: embedding,
-                    payload: {
-                      imageId: null,
-                      userId: req.user._id.toString(),
-                      filename,
-                    },
-                  },
-                ],
-              });
-              embeddingStatus = 'completed';
-              isEmbedded = true;
-            }
+            embedding = await generateImageEmbedding(fullPath);
+            await vectorStore.upsert([
+              {
+                id: qdrantId,
+                vector: embedding,
+                payload: {
+                  imageId: null,
+                  userId: req.user._id.toString(),
+                  filename,
+                },
+              },
+            ]);
+            embeddingStatus = 'completed';
+            isEmbedded = true;
           } catch (error) {
             console.warn('⚠️  Failed to store embedding, will retry later:', error.message);
             embeddingStatus = 'pending';
@@ -95,6 +129,11 @@ export const uploadMultipleImages = async (req, res) => {
           mimeType: file.mimetype,
           width: metadata.width,
           height: metadata.height,
+          derivatives,
+          ...hashes,
+          captureDate: metadata.captureDate,
+          exif: metadata.exif,
+          gps: metadata.gps,
           title: titleWithoutExt,
           description: '',
           tags: [],
@@ -104,24 +143,17 @@ export const uploadMultipleImages = async (req, res) => {
           isEmbedded,
           embeddingStatus,
           embeddingAttempts: isEmbedded ? 1 : 0,
+          ...(isEmbedded && { embeddingModel: getLoadedModel().name, embeddingDimension: getLoadedModel().dimension }),
         });
-
-        // Update Qdrant payload with MongoDB image ID (if embedded)
-        if (isEmbedded && isQdrantConnected()) {
-          try {
-            const qdrant = getQdrantClient();
-            if (qdrant) {
-              await qdrant.setPayload(process.env.QDRANT_COLLECTION, {
-                wait: true,
-                points: [qdrantId],
-                payload: {
-                  imageId: image._id.toString(),
-                },
-              });
-            }
-          } catch (error) {
-            console.warn('⚠️  Failed to update Qdrant payload:', error.message);
-          }
+        reserved.bytes -= file.size;
+        reserved.images -= 1;
+
+        // Update the vector payload with MongoDB image ID and filter fields, and suggest tags (if embedded)
+        if (isEmbedded) {
+          await vectorStore.syncImagePayload(image);
+          await suggestTagsForImage(image, embedding);
+        } else {
+          pendingImageIds.push(image._id);
         }
 
         uploadedImages.push(image);
@@ -134,9 +166,18 @@ export const uploadMultipleImages = async (req, res) => {
       }
     }
 
-    // Trigger background embedding processing if there are pending images
-    const { processPendingEmbeddings } = await import('../services/embeddingProcessor.js');
-    setImmediate(() => processPendingEmbeddings().catch(err => console.error('Background embedding error:', err)));
+    // Give back quota for files that failed
+    if (reserved.images > 0) {
+      await releaseQuota(req.user._id, reserved);
+      reserved.images = 0;
+    }
+
+    // Queue background embedding for images that couldn't be embedded right away
+    // (the processor's periodic sweep catches any that fail to queue)
+    for (const imageId of pendingImageIds) {
+      await enqueueEmbedding(imageId)
+        .catch(err => console.error('Failed to queue embedding:', err.message));
+    }
 
     res.status(201).json({
       success: true,
@@ -147,6 +188,10 @@ export const uploadMultipleImages = async (req, res) => {
     });
   } catch (error) {
     console.error('Upload multiple images error:', error);
+
+    if (reserved.images > 0) {
+      releaseQuota(req.user._id, reserved).catch(err => console.error('Failed to release quota:', err.message));
+    }
     
     // Check if it's a storage configuration error
     if (error.message.includes('BLOB_READ_WRITE_TOKEN')) {
@@ -171,6 +216,9 @@ export const uploadMultipleImages = async (req, res) => {
  * @access  Private
  */
 export const uploadImage = async (req, res) => {
+  // Quota reserved until the image document exists
+  let reservation = null;
+
   try {
     // Check if MongoDB is connected
     if (!isMongoDBConnected()) {
@@ -180,8 +228,8 @@ export const uploadImage = async (req, res) => {
       });
     }
     
-    // Check if AI model is available (required for embeddings)
-    if (!isAIModelReady()) {
+    // Check if AI model is available (required for embeddings, unless the standalone worker embeds)
+    if (!usesExternalWorker() && !isAIModelReady()) {
       return res.status(503).json({
         success: false,
         message: 'AI model is currently unavailable. Image uploads are temporarily disabled.',
@@ -196,6 +244,17 @@ export const uploadImage = async (req, res) => {
       });
     }
 
+    // Reserve quota before writing to storage
+    const quota = await reserveQuota(req.user, { bytes: req.file.size, images: 1 });
+    if (!quota.allowed) {
+      return res.status(413).json({
+        success: false,
+        message: quota.message,
+        quota: { usage: quota.usage, limits: quota.limits },
+      });
+    }
+    reservation = { bytes: req.file.size, images: 1 };
+
     const { title, description, tags, isPublic } = req.body;
 
     // Generate unique filename
@@ -203,40 +262,41 @@ export const uploadImage = async (req, res) => {
     const filename = `${uuidv4()}${fileExt}`;
 
     // Save file to storage
-    const filePath = await storageService.saveFile(req.file.buffer, filename);
+    const filePath = await storageService.saveFile(req.file.buffer, filename, { contentType: req.file.mimetype });
     const fullPath = storageService.getFullPath(filePath);
 
-    // Get image metadata
-    const metadata = await getImageMetadata(fullPath);
+    // Generate responsive derivatives (the backfill job retries failures)
+    let derivatives;
+    try {
+      derivatives = await generateDerivatives(req.file.buffer, filename);
+    } catch (error) {
+      console.warn('⚠️  Failed to generate derivatives:', error.message);
+    }
 
-    // Generate Qdrant ID
+    // Get image metadata and duplicate-detection hashes
+    const metadata = await getImageMetadata(fullPath, req.file.buffer);
+    const hashes = await computeImageHashes(req.file.buffer);
+
+    // Generate vector point ID
     const qdrantId = uuidv4();
 
-    // Try to store embedding in Qdrant if available
-    if (isQdrantConnected()) {
+    // Try to store embedding in the vector store if available
+    if (isInlineEmbeddingEnabled() && await isModelActive(getLoadedModel()) && await vectorStore.checkHealth()) {
       try {
-        await checkQdrantHealth();
         const embedding = await generateImageEmbedding(fullPath);
-        const qdrant = getQdrantClient();
-        
-        if (qdrant) {
-          await qdrant.upsert(process.env.QDRANT_COLLECTION, {
-            wait: true,
-            points: [
-              {
-                id: qdrantId,
-                vector: embedding,
-                payload: {
-                  imageId: null,
-                  userId: req.user._id.toString(),
-                  filename,
-                },
-              },
-            ],
-          });
-        }
+        await vectorStore.upsert([
+          {
+            id: qdrantId,
+            vector: embedding,
+            payload: {
+              imageId: null,
+              userId: req.user._id.toString(),
+              filename,
+            },
+          },
+        ]);
       } catch (error) {
-        console.warn('⚠️  Failed to store embedding in Qdrant:', error.message);
+        console.warn('⚠️  Failed to store embedding in the vector store:', error.message);
         console.warn('⚠️  Image will be saved without AI search capability');
       }
     }
@@ -250,6 +310,11 @@ export const uploadImage = async (req, res) => {
       mimeType: req.file.mimetype,
       width: metadata.width,
       height: metadata.height,
+      derivatives,
+      ...hashes,
+      captureDate: metadata.captureDate,
+      exif: metadata.exif,
+      gps: metadata.gps,
       title: title || req.file.originalname,
       description: description || '',
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
@@ -257,24 +322,14 @@ export const uploadImage = async (req, res) => {
       user: req.user._id,
       isPublic: isPublic === 'true',
     });
+    reservation = null;
 
-    // Update Qdrant payload with MongoDB image ID (if Qdrant is available)
-    if (isQdrantConnected()) {
-      try {
-        const qdrant = getQdrantClient();
-        if (qdrant) {
-          await qdrant.setPayload(process.env.QDRANT_COLLECTION, {
-            wait: true,
-            points: [qdrantId],
-            payload: {
-              imageId: image._id.toString(),
-            },
-          });
-        }
-      } catch (error) {
-        console.warn('⚠️  Failed to update Qdrant payload:', error.message);
-      }
-    }
+    // Update the vector payload with MongoDB image ID and filter fields (if the store is available)
+    await vectorStore.syncImagePayload(image);
+
+    // The embedding worker marks the image embedded and suggests tags
+    await enqueueEmbedding(image._id)
+      .catch(err => console.error('Failed to queue embedding:', err.message));
 
     res.status(201).json({
       success: true,
@@ -282,6 +337,10 @@ export const uploadImage = async (req, res) => {
     });
   } catch (error) {
     console.error('Upload image error:', error);
+
+    if (reservation) {
+      releaseQuota(req.user._id, reservation).catch(err => console.error('Failed to release quota:', err.message));
+    }
     
     // Check if it's a storage configuration error
     if (error.message.includes('BLOB_READ_WRITE_TOKEN')) {
@@ -300,6 +359,209 @@ export const uploadImage = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get presigned URL for uploading an image directly to storage
+ * @route   POST /api/images/upload-url
+ * @access  Private
+ */
+export const getUploadUrl = async (req, res) => {
+  try {
+    if (!storageService.supportsPresignedUploads()) {
+      return res.status(501).json({
+        success: false,
+        message: 'Direct uploads are not supported by the configured storage. Use /api/images/upload instead.',
+      });
+    }
+
+    const { filename, contentType, fileSize } = req.body;
+
+    if (!filename || !contentType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide filename and contentType',
+      });
+    }
+
+    if (!getAllowedFileTypes().includes(contentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file type. Only JPEG, PNG, JPG and WebP images are allowed.',
+      });
+    }
+
+    const maxSize = getMaxPresignedFileSize();
+    if (fileSize !== undefined && parseInt(fileSize) > maxSize) {
+      return res.status(400).json({
+        success: false,
+        message: `File size too large. Maximum size is ${Math.round(maxSize / 1048576)}MB per file.`,
+      });
+    }
+
+    // Fail early when the file cannot fit; finalize reserves the actual size
+    const { remaining } = await getQuotaStatus(req.user);
+    if (remaining.images === 0 || (remaining.bytes !== null && fileSize !== undefined && parseInt(fileSize) > remaining.bytes)) {
+      return res.status(413).json({
+        success: false,
+        message: remaining.images === 0 ? 'Image limit reached' : 'Storage quota exceeded',
+        quota: { remaining },
+      });
+    }
+
+    // Keys are namespaced by user so finalize can verify ownership
+    const fileExt = path.extname(filename);
+    const key = `${req.user._id}/${uuidv4()}${fileExt}`;
+    const expiresIn = parseInt(process.env.PRESIGNED_URL_EXPIRY) || 900; // 15 minutes default
+
+    const { uploadUrl, expiresAt } = await storageService.createUploadUrl(key, {
+      contentType,
+      expiresIn,
+    });
+
+    res.json({
+      success: true,
+      uploadUrl,
+      key,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      expiresAt,
+    });
+  } catch (error) {
+    console.error('Get upload URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating upload URL',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Finalize a direct upload: create the image and queue embedding
+ * @route   POST /api/images/upload-url/finalize
+ * @access  Private
+ */
+export const finalizeUpload = async (req, res) => {
+  // Quota reserved until the image document exists
+  let reservation = null;
+
+  try {
+    if (!storageService.supportsPresignedUploads()) {
+      return res.status(501).json({
+        success: false,
+        message: 'Direct uploads are not supported by the configured storage. Use /api/images/upload instead.',
+      });
+    }
+
+    const { key, originalName, title, description, tags, isPublic } = req.body;
+
+    if (!key || !key.startsWith(`${req.user._id}/`) || key.includes('..')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload key',
+      });
+    }
+
+    const filePath = storageService.getPublicUrl(key);
+
+    // Prevent finalizing the same upload twice
+    const existingImage = await Image.findOne({ filePath });
+    if (existingImage) {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload already finalized',
+        image: existingImage,
+      });
+    }
+
+    const fileInfo = await storageService.getFileInfo(filePath);
+    if (!fileInfo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Uploaded file not found. Upload to the presigned URL before finalizing.',
+      });
+    }
+
+    // The presigned URL cannot enforce these, so check what actually landed
+    const maxSize = getMaxPresignedFileSize();
+    if (!getAllowedFileTypes().includes(fileInfo.contentType) || fileInfo.size > maxSize) {
+      await storageService.deleteFile(filePath).catch(err =>
+        console.warn('⚠️  Failed to delete rejected upload:', err.message)
+      );
+      return res.status(400).json({
+        success: false,
+        message: fileInfo.size > maxSize
+          ? `File size too large. Maximum size is ${Math.round(maxSize / 1048576)}MB per file.`
+          : 'Invalid file type. Only JPEG, PNG, JPG and WebP images are allowed.',
+      });
+    }
+
+    const quota = await reserveQuota(req.user, { bytes: fileInfo.size, images: 1 });
+    if (!quota.allowed) {
+      await storageService.deleteFile(filePath).catch(err =>
+        console.warn('⚠️  Failed to delete rejected upload:', err.message)
+      );
+      return res.status(413).json({
+        success: false,
+        message: quota.message,
+        quota: { usage: quota.usage, limits: quota.limits },
+      });
+    }
+    reservation = { bytes: fileInfo.size, images: 1 };
+
+    // Get image metadata
+    const metadata = await getImageMetadata(storageService.getFullPath(filePath));
+
+    const filename = path.basename(key);
+    const fileExt = path.extname(filename);
+    const displayName = originalName || filename;
+
+    // Embedding is always done by the background processor for direct uploads
+    const image = await Image.create({
+      filename,
+      originalName: displayName,
+      filePath,
+      fileSize: fileInfo.size,
+      mimeType: fileInfo.contentType,
+      width: metadata.width,
+      height: metadata.height,
+      captureDate: metadata.captureDate,
+      exif: metadata.exif,
+      gps: metadata.gps,
+      title: title || path.basename(displayName, path.extname(displayName) || fileExt),
+      description: description || '',
+      tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
+      qdrantId: uuidv4(),
+      user: req.user._id,
+      isPublic: isPublic === true || isPublic === 'true',
+      isEmbedded: false,
+      embeddingStatus: 'pending',
+    });
+    reservation = null;
+
+    // Queue background embedding; trigger derivative generation and hashing
+    await enqueueEmbedding(image._id)
+      .catch(err => console.error('Failed to queue embedding:', err.message));
+    setImmediate(() => generateDerivativesForImage(image));
+    setImmediate(() => computeHashesForImage(image));
+
+    res.status(201).json({
+      success: true,
+      image,
+    });
+  } catch (error) {
+    console.error('Finalize upload error:', error);
+
+    if (reservation) {
+      releaseQuota(req.user._id, reservation).catch(err => console.error('Failed to release quota:', err.message));
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error finalizing upload',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * @desc    Get all images for user
  * @route   GET /api/images
@@ -318,37 +580,16 @@ export const getImages = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
-    const { startDate, endDate, location, name } = req.query;
-
-    // Build filter query
-    const filter = { user: req.user._id };
-    
-    // Date range filter
-    if (startDate || endDate) {
-      filter.uploadDate = {};
-      if (startDate) filter.uploadDate.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        filter.uploadDate.$lte = end;
-      }
-    }
-    
-    // Location filter (case-insensitive partial match)
-    if (location) {
-      filter.location = { $regex: location, $options: 'i' };
-    }
+    const { startDate, endDate, location, name, camera } = req.query;
+    const dateField = DATE_FIELDS.includes(req.query.dateField) ? req.query.dateField : 'uploadDate';
+    const sortBy = DATE_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : 'uploadDate';
+    const sortOrder = req.query.order === 'asc' ? 1 : -1;
 
-    // Name filter (search in title and originalName, case-insensitive partial match)
-    if (name) {
-      filter.$or = [
-        { title: { $regex: name, $options: 'i' } },
-        { originalName: { $regex: name, $options: 'i' } },
-      ];
-    }
+    // Date range, location, name and camera filters (same filter as search)
+    const filter = buildSearchFilter(req.user._id, { startDate, endDate, dateField, location, name, camera });
 
     const images = await Image.find(filter)
-      .sort({ uploadDate: -1 })
+      .sort(buildDateSort(sortBy, sortOrder))
       .skip(skip)
       .limit(limit)
       .populate('collections', 'name');
@@ -364,7 +605,8 @@ export const getImages = async (req, res) => {
         total,
         pages: Math.ceil(total / limit),
       },
-      filters: { startDate, endDate, location, name },
+      filters: { startDate, endDate, dateField, location, name, camera },
+      sort: { sortBy, order: sortOrder === 1 ? 'asc' : 'desc' },
     });
   } catch (error) {
     console.error('Get images error:', error);
@@ -438,6 +680,14 @@ export const updateImage = async (req, res) => {
       });
     }
 
+    // Images removed by a moderator stay private
+    if (isPublic && image.moderation?.status === 'removed') {
+      return res.status(403).json({
+        success: false,
+        message: 'This image was removed from public view by a moderator',
+      });
+    }
+
     // Update fields
     if (title !== undefined) image.title = title;
     if (description !== undefined) image.description = description;
@@ -446,8 +696,15 @@ export const updateImage = async (req, res) => {
     }
     if (isPublic !== undefined) image.isPublic = isPublic;
 
+    const payloadChanged = image.isModified('tags') || image.isModified('isPublic');
+
     await image.save();
 
+    // Keep the vector store's filter fields in sync
+    if (payloadChanged && image.isEmbedded) {
+      await vectorStore.syncImagePayload(image);
+    }
+
     res.json({
       success: true,
       image,
@@ -485,40 +742,8 @@ export const deleteImage = async (req, res) => {
       });
     }
 
-    // Delete from Vercel Blob storage
-    try {
-      console.log(`Deleting file from storage: ${image.filePath}`);
-      await storageService.deleteFile(image.filePath);
-      console.log(`✅ File deleted from storage: ${image.filePath}`);
-    } catch (error) {
-      console.error('❌ Failed to delete file from storage:', error.message);
-      // Continue with other deletions even if blob deletion fails
-    }
-
-    // Delete from Qdrant (if available)
-    if (isQdrantConnected() && image.qdrantId) {
-      try {
-        const qdrant = getQdrantClient();
-        if (qdrant) {
-          await qdrant.delete(process.env.QDRANT_COLLECTION, {
-            wait: true,
-            points: [image.qdrantId],
-          });
-          console.log(`✅ Embedding deleted from Qdrant: ${image.qdrantId}`);
-        }
-      } catch (error) {
-        console.warn('⚠️  Failed to delete from Qdrant:', error.message);
-      }
-    }
-
-    // Remove from collections
-    await Collection.updateMany(
-      { images: image._id },
-      { $pull: { images: image._id } }
-    );
-
-    // Delete from MongoDB
-    await image.deleteOne();
+    // Delete file, derivatives, embedding, collection memberships and document
+    await deleteImageCompletely(image);
 
     res.json({
       success: true,
@@ -535,191 +760,161 @@ export const deleteImage = async (req, res) => {
 };
 
 /**
- * @desc    Search images by similarity or name
+ * @desc    Search images: semantic + keyword (hybrid), AI-only or keyword-only
  * @route   POST /api/images/search
  * @access  Private
  */
 export const searchImages = async (req, res) => {
   try {
-    const { query, limit = 20, startDate, endDate, name } = req.body;
-
-    // Build base filter
-    const baseFilter = { user: req.user._id };
-
-    // Apply date filter
-    if (startDate || endDate) {
-      baseFilter.uploadDate = {};
-      if (startDate) baseFilter.uploadDate.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        baseFilter.uploadDate.$lte = end;
-      }
+    const { query } = req.body;
+
+    if (query !== undefined && query !== null && typeof query !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be a string',
+      });
+    }
+
+    const { images, searchType, limit, offset, unembeddedCount, warning } =
+      await searchUserImages(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      query: searchType === 'all' ? '' : query,
+      images,
+      count: images.length,
+      pagination: { offset, limit },
+      searchType,
+      unembeddedCount,
+      warning,
+      message: searchType === 'all' ? 'Showing all images' : undefined,
+    });
+  } catch (error) {
+    console.error('Search images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching images',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Find images visually similar to an existing image
+ * @route   GET /api/images/:id/similar
+ * @access  Private
+ */
+export const getSimilarImages = async (req, res) => {
+  try {
+    const image = mongoose.isValidObjectId(req.params.id) ? await Image.findById(req.params.id) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
     }
 
-    // Apply name filter
-    if (name) {
-      baseFilter.$or = [
-        { title: { $regex: name, $options: 'i' } },
-        { originalName: { $regex: name, $options: 'i' } },
-      ];
+    // Check ownership or public access
+    if (image.user.toString() !== req.user._id.toString() && !image.isPublic) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this image',
+      });
     }
 
-    // If no query provided, return filtered images
-    if (!query || !query.trim()) {
-      const images = await Image.find(baseFilter)
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .populate('collections', 'name');
-      
-      return res.json({
-        success: true,
-        query: '',
-        images,
-        count: images.length,
-        searchType: 'all',
-        message: 'Showing all images',
+    if (!image.isEmbedded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Image has not been indexed for AI search yet. Please try again later.',
+        embeddingStatus: image.embeddingStatus,
       });
     }
 
-    // Check how many images are not yet embedded
-    const unembeddedCount = await Image.countDocuments({
-      user: req.user._id,
-      isEmbedded: false,
-    });
+    // Reuses the stored vector, so only the vector store is needed (not the AI model)
+    if (!(await vectorStore.checkHealth())) {
+      return res.status(503).json({
+        success: false,
+        message: 'AI search is currently unavailable',
+        error: 'Vector database is not ready. Please try again later.',
+        searchType: 'unavailable',
+      });
+    }
 
-    // Check if Qdrant is available for AI search
-    const useAISearch = isQdrantConnected() && await checkQdrantHealth() && isAIModelReady();
+    const point = await vectorStore.retrieve(image.qdrantId);
 
-    let embedding = null; // Declare outside try block for error logging
+    if (!point?.vector) {
+      return res.status(409).json({
+        success: false,
+        message: 'Image embedding not found in the vector database. It will be re-indexed.',
+      });
+    }
 
-    if (useAISearch) {
-      try {
-        // AI-powered semantic search with Qdrant (only searches embedded images)
-        console.log('Generating text embedding for query:', query);
-        embedding = await generateTextEmbedding(query);
-        console.log('Embedding generated, length:', embedding.length);
-        
-        // Validate embedding
-        if (!Array.isArray(embedding) || embedding.length === 0) {
-          throw new Error('Invalid embedding generated');
-        }
-        
-        const qdrant = getQdrantClient();
-        console.log('Searching Qdrant collection:', process.env.QDRANT_COLLECTION);
-        
-        // Check if there are any points in the collection first
-        const collectionInfo = await qdrant.getCollection(process.env.QDRANT_COLLECTION);
-        console.log('Collection points count:', collectionInfo.points_count);
-        
-        if (collectionInfo.points_count === 0) {
-          console.log('No points in collection, falling back to text search');
-          throw new Error('No embedded images available for AI search');
-        }
-        
-        // Search without filter (filter by userId in MongoDB instead since Qdrant doesn't have index)
-        const searchResults = await qdrant.search(process.env.QDRANT_COLLECTION, {
-          vector: embedding,
-          limit: parseInt(limit) * 3, // Get more results to filter by user
-          with_payload: true,
-        });
+    const options = buildVectorSearchOptions(req.user._id, req.query);
+    const images = await findImagesByVector(point.vector, {
+      ...options,
+      excludePointIds: [image.qdrantId],
+    });
 
-        console.log('Qdrant search completed, results:', searchResults.length);
+    res.json({
+      success: true,
+      sourceImageId: image._id,
+      images,
+      count: images.length,
+      pagination: { offset: options.offset, limit: options.limit },
+      searchType: 'similar',
+    });
+  } catch (error) {
+    console.error('Get similar images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error finding similar images',
+      error: error.message,
+    });
+  }
+};
 
-        // Get image details from MongoDB
-        const imageIds = searchResults.map(result => result.payload.imageId).filter(id => id);
-        
-        if (imageIds.length === 0) {
-          console.log('No matching images found in Qdrant, falling back to text search');
-          throw new Error('No AI search results found');
-        }
-        
-        // Filter by user and additional filters, get images from MongoDB
-        const mongoFilter = { 
-          _id: { $in: imageIds },
-          ...baseFilter // Apply date and name filters
-        };
-        
-        const images = await Image.find(mongoFilter)
-          .populate('collections', 'name');
-
-        // Sort images by Qdrant score and limit results
-        const sortedImages = images
-          .sort((a, b) => {
-            const scoreA = searchResults.find(r => r.payload.imageId === a._id.toString())?.score || 0;
-            const scoreB = searchResults.find(r => r.payload.imageId === b._id.toString())?.score || 0;
-            return scoreB - scoreA;
-          })
-          .slice(0, parseInt(limit)); // Apply user's requested limit
-
-        return res.json({
-          success: true,
-          query,
-          images: sortedImages,
-          count: sortedImages.length,
-          searchType: 'ai',
-          unembeddedCount,
-          warning: unembeddedCount > 0 ? `${unembeddedCount} image(s) not yet indexed for AI search` : null,
-        });
-      } catch (error) {
-        console.error('❌ AI search failed:', error);
-        console.error('Error details:', {
-          message: error.message,
-          stack: error.stack?.split('\n').slice(0, 3).join('\n'), // Only first 3 lines of stack
-          name: error.name,
-          code: error.code,
-          status: error.status,
-          data: error.data,
-          response: error.response?.data,
-        });
-        
-        // Log embedding details for debugging
-        if (embedding) {
-          console.error('Embedding details:', {
-            length: embedding.length,
-            firstValues: embedding.slice(0, 5),
-            type: typeof embedding[0],
-          });
-        }
-        
-        // If it's a Qdrant-specific error, return error to frontend
-        if (error.message?.includes('Bad Request') || error.status === 400) {
-          console.error('Qdrant Bad Request - possible causes:');
-          console.error('1. Vector dimension mismatch (collection expects 512)');
-          console.error('2. Invalid filter structure');
-          console.error('3. Collection configuration issue');
-          console.error('4. Embedding contains NaN or invalid values');
-          
-          return res.status(400).json({
-            success: false,
-            message: 'AI search failed. The search service may be experiencing issues.',
-            error: 'Please try again later or contact support if the issue persists.',
-            searchType: 'ai',
-          });
-        }
-        
-        // For other errors, return error (no fallback)
-        return res.status(500).json({
-          success: false,
-          message: 'AI search encountered an error. Please try again later.',
-          error: error.message,
-          searchType: 'ai',
-        });
-      }
+/**
+ * @desc    Search images using an uploaded query photo
+ * @route   POST /api/images/search/by-image
+ * @access  Private
+ */
+export const searchByImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a query image',
+      });
     }
 
-    // If AI search is not available, return error
-    return res.status(503).json({
-      success: false,
-      message: 'AI search is currently unavailable',
-      error: 'AI model or vector database is not ready. Please use filters to browse images.',
-      searchType: 'unavailable',
+    if (!(await vectorStore.checkHealth() && isAIModelReady() && isModelCurrent())) {
+      return res.status(503).json({
+        success: false,
+        message: 'AI search is currently unavailable',
+        error: 'AI model or vector database is not ready. Please use filters to browse images.',
+        searchType: 'unavailable',
+      });
+    }
+
+    // The query photo is only embedded, never stored
+    const embedding = await generateImageEmbedding(req.file.buffer);
+
+    const options = buildVectorSearchOptions(req.user._id, req.body);
+    const images = await findImagesByVector(embedding, options);
+
+    res.json({
+      success: true,
+      images,
+      count: images.length,
+      pagination: { offset: options.offset, limit: options.limit },
+      searchType: 'image',
     });
   } catch (error) {
-    console.error('Search images error:', error);
+    console.error('Search by image error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error searching images',
+      message: 'Error searching by image',
       error: error.message,
     });
   }
@@ -728,9 +923,13 @@ export const searchImages = async (req, res) => {
 export default {
   uploadImage,
   uploadMultipleImages,
+  getUploadUrl,
+  finalizeUpload,
   getImages,
   getImage,
   updateImage,
   deleteImage,
   searchImages,
+  getSimilarImages,
+  searchByImage,
 };
@@ -0,0 +1,416 @@
+import mongoose from 'mongoose';
+import ShareLink from '../models/ShareLink.js';
+import Image from '../models/Image.js';
+import Collection from '../models/Collection.js';
+import { getCollectionImages } from '../services/collectionService.js';
+
+// Image fields visible through a share link (no owner, GPS or EXIF details)
+const PUBLIC_IMAGE_FIELDS = [
+  '_id', 'title', 'description', 'tags', 'filePath', 'derivatives',
+  'width', 'height', 'mimeType', 'captureDate', 'uploadDate',
+];
+
+const MIN_PASSWORD_LENGTH = 4;
+const MINUTE_MS = 60 * 1000;
+
+const getPasswordLockoutSettings = () => ({
+  // Wrong passwords allowed before the link is locked
+  maxAttempts: parseInt(process.env.SHARE_PASSWORD_MAX_ATTEMPTS) || 10,
+  lockoutMs: (parseInt(process.env.SHARE_PASSWORD_LOCKOUT_MINUTES) || 15) * MINUTE_MS,
+});
+
+/**
+ * Seconds until a link accepts passwords again, or 0 if it is not locked
+ */
+const getPasswordLockoutRemaining = (link) => {
+  const lockedUntil = link.failedPasswords?.lockedUntil;
+  if (!lockedUntil) return 0;
+  return Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+/**
+ * Count a wrong password and lock the link once too many have failed.
+ * Failures older than the lockout period no longer count.
+ */
+const recordFailedPassword = async (linkId) => {
+  const { maxAttempts, lockoutMs } = getPasswordLockoutSettings();
+  const now = new Date();
+
+  // Increment atomically, starting over when the last failure is stale
+  const link = await ShareLink.findOneAndUpdate(
+    { _id: linkId },
+    [{
+      $set: {
+        'failedPasswords.count': {
+          $cond: [
+            { $gt: ['$failedPasswords.lastFailedAt', new Date(now.getTime() - lockoutMs)] },
+            { $add: [{ $ifNull: ['$failedPasswords.count', 0] }, 1] },
+            1,
+          ],
+        },
+        'failedPasswords.lastFailedAt': now,
+      },
+    }],
+    { new: true }
+  ).select('failedPasswords');
+
+  if ((link?.failedPasswords?.count || 0) >= maxAttempts) {
+    const lockedUntil = new Date(now.getTime() + lockoutMs);
+    await ShareLink.updateOne(
+      { _id: linkId },
+      { 'failedPasswords.lockedUntil': lockedUntil, 'failedPasswords.count': 0 }
+    );
+    console.warn(`⚠️  Share link ${linkId} locked until ${lockedUntil.toISOString()} after ${maxAttempts} wrong passwords`);
+  }
+};
+
+/**
+ * Keep only the fields a share link may expose
+ */
+const toPublicImage = (image) => {
+  if (!image) return null;
+  const source = typeof image.toObject === 'function' ? image.toObject() : image;
+  return Object.fromEntries(
+    PUBLIC_IMAGE_FIELDS
+      .filter(field => source[field] !== undefined)
+      .map(field => [field, source[field]])
+  );
+};
+
+/**
+ * Build the URL handed out for a share token (SHARE_BASE_URL points at the frontend)
+ */
+const getShareUrl = (token) => {
+  const base = (process.env.SHARE_BASE_URL || '/api/share').replace(/\/+$/, '');
+  return `${base}/${token}`;
+};
+
+/**
+ * Owner's view of a share link (password must be selected to report hasPassword)
+ */
+const serializeShareLink = (link) => ({
+  id: link._id,
+  token: link.token,
+  url: getShareUrl(link.token),
+  resourceType: link.resourceType,
+  resource: link.resource,
+  hasPassword: Boolean(link.password),
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  isActive: link.isActive,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  createdAt: link.createdAt,
+});
+
+/**
+ * Parse expiresAt (date) or expiresIn (seconds) from the request body
+ * @returns {{ expiresAt?: Date, error?: string }}
+ */
+const parseExpiry = ({ expiresAt, expiresIn }) => {
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      return { error: 'expiresAt must be a date in the future' };
+    }
+    return { expiresAt: date };
+  }
+
+  if (expiresIn !== undefined && expiresIn !== null) {
+    const seconds = parseInt(expiresIn);
+    if (!(seconds > 0)) {
+      return { error: 'expiresIn must be a positive number of seconds' };
+    }
+    return { expiresAt: new Date(Date.now() + seconds * 1000) };
+  }
+
+  return {};
+};
+
+/**
+ * @desc    Create a share link for an image or collection
+ * @route   POST /api/share
+ * @access  Private
+ */
+export const createShareLink = async (req, res) => {
+  try {
+    const { imageId, collectionId, password } = req.body;
+
+    if (Boolean(imageId) === Boolean(collectionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide either imageId or collectionId',
+      });
+    }
+
+    const resourceType = imageId ? 'image' : 'collection';
+    const resourceId = imageId || collectionId;
+    const Model = imageId ? Image : Collection;
+
+    const resource = mongoose.isValidObjectId(resourceId) ? await Model.findById(resourceId) : null;
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${imageId ? 'Image' : 'Collection'} not found`,
+      });
+    }
+
+    // Check ownership
+    if (resource.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share this item',
+      });
+    }
+
+    const { expiresAt, error } = parseExpiry(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (password !== undefined && password !== null &&
+        (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const link = await ShareLink.create({
+      user: req.user._id,
+      resourceType,
+      resource: resource._id,
+      password: password || undefined,
+      expiresAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      shareLink: serializeShareLink(link),
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating share link',
+    });
+  }
+};
+
+/**
+ * @desc    List the user's share links (optionally for one image or collection)
+ * @route   GET /api/share?imageId=&collectionId=&active=
+ * @access  Private
+ */
+export const getShareLinks = async (req, res) => {
+  try {
+    const { imageId, collectionId, active } = req.query;
+    const filter = { user: req.user._id };
+
+    if (imageId) {
+      filter.resourceType = 'image';
+      filter.resource = imageId;
+    } else if (collectionId) {
+      filter.resourceType = 'collection';
+      filter.resource = collectionId;
+    }
+
+    if (filter.resource && !mongoose.isValidObjectId(filter.resource)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid image or collection ID',
+      });
+    }
+
+    if (active === 'true') {
+      filter.revokedAt = { $exists: false };
+      filter.$or = [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const links = await ShareLink.find(filter)
+      .select('+password')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      shareLinks: links.map(serializeShareLink),
+    });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching share links',
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a share link
+ * @route   DELETE /api/share/:id
+ * @access  Private
+ */
+export const revokeShareLink = async (req, res) => {
+  try {
+    const link = mongoose.isValidObjectId(req.params.id)
+      ? await ShareLink.findById(req.params.id).select('+password')
+      : null;
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found',
+      });
+    }
+
+    // Check ownership
+    if (link.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke this share link',
+      });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({
+      success: true,
+      shareLink: serializeShareLink(link),
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking share link',
+    });
+  }
+};
+
+/**
+ * @desc    View a shared image or collection (read-only, password via X-Share-Password)
+ * @route   GET /api/share/:token?page=&limit=
+ * @access  Public
+ */
+export const getSharedItem = async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({ token: String(req.params.token) }).select('+password');
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found',
+      });
+    }
+
+    if (!link.isActive) {
+      return res.status(410).json({
+        success: false,
+        message: link.revokedAt ? 'Share link has been revoked' : 'Share link has expired',
+      });
+    }
+
+    if (link.password) {
+      const password = req.get('x-share-password');
+
+      // Locked links are refused before the password is checked
+      const lockedFor = password ? getPasswordLockoutRemaining(link) : 0;
+      if (lockedFor > 0) {
+        res.set('Retry-After', String(lockedFor));
+        return res.status(429).json({
+          success: false,
+          message: `Too many incorrect passwords. Try again in ${Math.ceil(lockedFor / 60)} minute(s).`,
+          retryAfter: lockedFor,
+        });
+      }
+
+      if (!password || !(await link.comparePassword(password))) {
+        if (password) {
+          await recordFailedPassword(link._id);
+        }
+        return res.status(401).json({
+          success: false,
+          message: password ? 'Incorrect password' : 'This share link requires a password',
+          passwordRequired: true,
+        });
+      }
+
+      if (link.failedPasswords?.count) {
+        await ShareLink.updateOne({ _id: link._id }, { $unset: { failedPasswords: 1 } });
+      }
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const resource = link.resourceType === 'image'
+      ? await Image.findById(link.resource)
+      : await Collection.findById(link.resource).populate('coverImage');
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared item no longer exists',
+      });
+    }
+
+    if (resource.moderation?.status === 'removed') {
+      return res.status(410).json({
+        success: false,
+        message: 'This image was removed by a moderator',
+      });
+    }
+
+    // Count a view once per visit, not for every page of a collection
+    if (page === 1) {
+      await ShareLink.updateOne(
+        { _id: link._id },
+        { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+      );
+    }
+
+    if (link.resourceType === 'image') {
+      return res.json({
+        success: true,
+        type: 'image',
+        image: toPublicImage(resource),
+        expiresAt: link.expiresAt,
+      });
+    }
+
+    const { images, pagination } = await getCollectionImages(resource, { page, limit });
+
+    res.json({
+      success: true,
+      type: 'collection',
+      collection: {
+        name: resource.name,
+        description: resource.description,
+        coverImage: toPublicImage(resource.coverImage),
+      },
+      images: images
+        .filter(image => image.moderation?.status !== 'removed')
+        .map(toPublicImage),
+      pagination,
+      expiresAt: link.expiresAt,
+    });
+  } catch (error) {
+    console.error('Get shared item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shared item',
+    });
+  }
+};
+
+export default {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedItem,
+};
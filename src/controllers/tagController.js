@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import Image from '../models/Image.js';
+import User from '../models/User.js';
+import {
+  MAX_VOCABULARY_SIZE,
+  normalizeTags,
+  getUserVocabulary,
+} from '../services/tagService.js';
+import vectorStore from '../services/vectorStoreService.js';
+
+/**
+ * Apply an accept/reject decision to an image's pending tag suggestions
+ * @param {'accepted'|'rejected'} status - Decision
+ */
+const decideSuggestions = (status) => async (req, res) => {
+  try {
+    const image = mongoose.isValidObjectId(req.params.id) ? await Image.findById(req.params.id) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
+    // Check ownership
+    if (image.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this image',
+      });
+    }
+
+    // No tags given means every pending suggestion
+    const requested = req.body.tags !== undefined ? new Set(normalizeTags(req.body.tags)) : null;
+    const decided = [];
+
+    for (const suggestion of image.suggestedTags) {
+      if (suggestion.status !== 'pending') continue;
+      if (requested && !requested.has(suggestion.tag)) continue;
+
+      suggestion.status = status;
+      decided.push(suggestion.tag);
+
+      if (status === 'accepted' && !image.tags.includes(suggestion.tag)) {
+        image.tags.push(suggestion.tag);
+      }
+    }
+
+    if (decided.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No matching pending tag suggestions',
+      });
+    }
+
+    await image.save();
+
+    // Accepted tags change the vector store's filter payload
+    if (status === 'accepted' && image.isEmbedded) {
+      await vectorStore.syncImagePayload(image);
+    }
+
+    res.json({
+      success: true,
+      [status]: decided,
+      image,
+    });
+  } catch (error) {
+    console.error(`Tag suggestion ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tag suggestions',
+    });
+  }
+};
+
+/**
+ * @desc    Accept pending tag suggestions (all, or those in body.tags)
+ * @route   POST /api/images/:id/suggested-tags/accept
+ * @access  Private
+ */
+export const acceptSuggestedTags = decideSuggestions('accepted');
+
+/**
+ * @desc    Reject pending tag suggestions (all, or those in body.tags)
+ * @route   POST /api/images/:id/suggested-tags/reject
+ * @access  Private
+ */
+export const rejectSuggestedTags = decideSuggestions('rejected');
+
+/**
+ * @desc    Get the tag vocabulary used for suggestions
+ * @route   GET /api/images/tags/vocabulary
+ * @access  Private
+ */
+export const getTagVocabulary = async (req, res) => {
+  try {
+    const { tags, isDefault } = await getUserVocabulary(req.user._id);
+
+    res.json({
+      success: true,
+      tags,
+      isDefault,
+    });
+  } catch (error) {
+    console.error('Get tag vocabulary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tag vocabulary',
+    });
+  }
+};
+
+/**
+ * @desc    Replace the tag vocabulary (an empty list restores the default)
+ * @route   PUT /api/images/tags/vocabulary
+ * @access  Private
+ */
+export const updateTagVocabulary = async (req, res) => {
+  try {
+    if (req.body.tags === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide tags',
+      });
+    }
+
+    const tags = normalizeTags(req.body.tags);
+
+    if (tags.length > MAX_VOCABULARY_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Vocabulary can contain at most ${MAX_VOCABULARY_SIZE} tags`,
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, tags.length > 0
+      ? { tagVocabulary: tags }
+      : { $unset: { tagVocabulary: 1 } });
+
+    const vocabulary = await getUserVocabulary(req.user._id);
+
+    res.json({
+      success: true,
+      tags: vocabulary.tags,
+      isDefault: vocabulary.isDefault,
+    });
+  } catch (error) {
+    console.error('Update tag vocabulary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tag vocabulary',
+    });
+  }
+};
+
+export default {
+  acceptSuggestedTags,
+  rejectSuggestedTags,
+  getTagVocabulary,
+  updateTagVocabulary,
+};
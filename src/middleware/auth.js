@@ -1,11 +1,59 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive } from '../services/tokenService.js';
+import { findActiveApiKey } from '../services/apiKeyService.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Protect routes - require authentication
+ * Authenticate with an API key from the X-API-Key header.
+ * Read-only keys may only make safe requests, or requests marked with readOnlyOperation.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await findActiveApiKey(key);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key',
+    });
+  }
+
+  req.user = await User.findById(apiKey.user);
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  if (req.user.isDisabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Account is disabled',
+    });
+  }
+
+  if (apiKey.scope === 'read' && !SAFE_METHODS.includes(req.method) && !req.isReadOnlyOperation) {
+    return res.status(403).json({
+      success: false,
+      message: 'This API key is read-only',
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Protect routes - require authentication (Bearer JWT or X-API-Key header)
  */
 export const protect = async (req, res, next) => {
   try {
+    const apiKey = req.get('x-api-key');
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     let token;
 
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -33,6 +81,24 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.isDisabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is disabled',
+        });
+      }
+
+      // Reject tokens revoked by logout, session revocation or "log out everywhere"
+      const revoked = (decoded.tv || 0) !== (req.user.tokenVersion || 0) ||
+        (decoded.sid && !(await isSessionActive(decoded.sid)));
+      if (revoked) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked',
+        });
+      }
+
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -60,4 +126,26 @@ export const authorize = (...roles) => {
   };
 };
 
-export default { protect, authorize };
+/**
+ * Mark a non-GET route as read-only so read-only API keys may call it
+ * (e.g. search endpoints that take a POST body). Must run before protect.
+ */
+export const readOnlyOperation = (req, res, next) => {
+  req.isReadOnlyOperation = true;
+  next();
+};
+
+/**
+ * Require a logged-in session rather than an API key (account management)
+ */
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires logging in; API keys cannot be used',
+    });
+  }
+  next();
+};
+
+export default { protect, authorize, readOnlyOperation, requireSession };
@@ -0,0 +1,111 @@
+import rateLimitService from '../services/rateLimitService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const parsePositive = (value, fallback) => {
+  const number = parseInt(value);
+  return number > 0 ? number : fallback;
+};
+
+/**
+ * Bucket key for a request: per user when authenticated (keyBy 'user'), otherwise per IP
+ */
+const getBucketKey = (req, name, keyBy) => {
+  if (keyBy === 'user' && req.user) {
+    return `${name}:user:${req.user._id}`;
+  }
+  return `${name}:ip:${req.ip}`;
+};
+
+/**
+ * Create a rate limiting middleware.
+ * Limits are read per request so env vars can be set after import
+ * (e.g. RATE_LIMIT_SEARCH_MAX, RATE_LIMIT_SEARCH_WINDOW_MINUTES).
+ * Sends RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers,
+ * and 429 with Retry-After once the limit is reached.
+ * @param {object} options
+ * @param {string} options.name - Bucket name, also the env var suffix (RATE_LIMIT_<NAME>_MAX)
+ * @param {number} options.max - Default requests per window
+ * @param {number} options.windowMinutes - Default window length
+ * @param {'ip'|'user'} [options.keyBy] - 'user' needs protect to run first
+ * @param {string} [options.message] - Message sent with 429
+ */
+export const rateLimit = ({ name, max, windowMinutes, keyBy = 'ip', message }) => {
+  const envPrefix = `RATE_LIMIT_${name.toUpperCase()}`;
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === 'true') {
+      return next();
+    }
+
+    const limit = parsePositive(process.env[`${envPrefix}_MAX`], max);
+    const windowMs = parsePositive(process.env[`${envPrefix}_WINDOW_MINUTES`], windowMinutes) * MINUTE_MS;
+
+    let result;
+    try {
+      result = await rateLimitService.hit(getBucketKey(req, name, keyBy), windowMs);
+    } catch (error) {
+      // Don't take the API down with the limiter
+      console.error('Rate limit store error:', error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - result.count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (result.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: message || 'Too many requests, please try again later',
+        retryAfter: resetSeconds,
+      });
+    }
+
+    next();
+  };
+};
+
+// Login attempts per IP (failed logins per account are also locked out in login)
+export const loginLimiter = rateLimit({
+  name: 'login',
+  max: 20,
+  windowMinutes: 15,
+  message: 'Too many login attempts from this IP, please try again later',
+});
+
+// Other unauthenticated auth endpoints (register, refresh, password reset, ...)
+export const authLimiter = rateLimit({
+  name: 'auth',
+  max: 50,
+  windowMinutes: 15,
+});
+
+// Each search runs a CLIP inference
+export const searchLimiter = rateLimit({
+  name: 'search',
+  max: 30,
+  windowMinutes: 1,
+  keyBy: 'user',
+  message: 'Too many searches, please slow down',
+});
+
+// Public share links (a password check is a bcrypt compare, a smart collection a vector search)
+export const shareLimiter = rateLimit({
+  name: 'share',
+  max: 60,
+  windowMinutes: 1,
+  message: 'Too many requests for shared items, please slow down',
+});
+
+export default {
+  rateLimit,
+  loginLimiter,
+  authLimiter,
+  searchLimiter,
+  shareLimiter,
+};
@@ -1,6 +1,6 @@
 import { isMongoDBConnected } from '../config/database.js';
 import { isAIModelReady } from '../services/aiService.js';
-import { isQdrantConnected, checkQdrantHealth } from '../config/qdrant.js';
+import vectorStore from '../services/vectorStoreService.js';
 
 /**
  * Middleware to check if critical services are available
@@ -31,16 +31,11 @@ export const checkAIModel = (req, res, next) => {
 export const getServiceStatus = async () => {
   const mongoStatus = isMongoDBConnected();
   const aiModelStatus = isAIModelReady();
-  const qdrantStatus = isQdrantConnected();
-  
-  let qdrantHealthy = false;
-  if (qdrantStatus) {
-    qdrantHealthy = await checkQdrantHealth();
-  }
+  const vectorStoreHealthy = await vectorStore.checkHealth();
   
   // Get embedding stats
-  const { getEmbeddingStats } = await import('../services/embeddingProcessor.js');
-  const embeddingStats = await getEmbeddingStats();
+  const { getEmbeddingStats, getEmbeddingWorkerStatus } = await import('../services/embeddingProcessor.js');
+  const [embeddingStats, workerStatus] = await Promise.all([getEmbeddingStats(), getEmbeddingWorkerStatus()]);
   
   return {
     database: {
@@ -53,19 +48,20 @@ export const getServiceStatus = async () => {
       impact: aiModelStatus ? null : 'Images uploaded without embeddings (will be processed when available)',
     },
     vectorDB: {
-      available: qdrantHealthy ? true : false,
+      available: vectorStoreHealthy ? true : false,
       critical: false,
-      impact: qdrantHealthy ? null : 'AI search disabled (text search still available)',
+      impact: vectorStoreHealthy ? null : 'AI search disabled (text search still available)',
     },
     embedding: {
       total: embeddingStats.total,
       embedded: embeddingStats.embedded,
       pending: embeddingStats.pending,
       percentage: embeddingStats.percentage,
+      workersRunning: workerStatus.alive,
     },
     canUpload: mongoStatus ? true : false,
     canSearch: mongoStatus ? true : false,
-    aiSearchAvailable: mongoStatus && qdrantHealthy && aiModelStatus ? true : false,
+    aiSearchAvailable: mongoStatus && vectorStoreHealthy && aiModelStatus ? true : false,
   };
 };
 
@@ -2,9 +2,29 @@ import multer from 'multer';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 
+// Allowed MIME types (shared with presigned uploads)
+export const getAllowedFileTypes = () => {
+  return (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/jpg,image/webp').split(',');
+};
+
+// Max size for files uploaded directly to storage via presigned URL
+export const getMaxPresignedFileSize = () => {
+  return parseInt(process.env.MAX_PRESIGNED_FILE_SIZE) || 104857600; // 100MB default
+};
+
+// Max size per file for uploads through this API
+export const getMaxFileSize = () => {
+  return parseInt(process.env.MAX_FILE_SIZE) || 10485760; // 10MB default
+};
+
+// Max files per upload-multiple request (all are held in memory at once)
+export const getMaxFilesPerRequest = () => {
+  return parseInt(process.env.MAX_FILES_PER_REQUEST) || 50;
+};
+
 // File filter
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/jpg,image/webp').split(',');
+  const allowedTypes = getAllowedFileTypes();
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
@@ -19,15 +39,23 @@ const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB default
+    fileSize: getMaxFileSize(),
   },
   fileFilter: fileFilter,
 });
 
 export const uploadSingle = upload.single('image');
-export const uploadMultiple = upload.array('images', 300); // Max 300 images at a time
+export const uploadMultiple = upload.array('images', getMaxFilesPerRequest());
 
 // Flexible upload that handles both single and multiple
 export const uploadAny = upload.any();
 
-export default { uploadSingle, uploadMultiple, uploadAny };
+export default {
+  uploadSingle,
+  uploadMultiple,
+  uploadAny,
+  getAllowedFileTypes,
+  getMaxPresignedFileSize,
+  getMaxFileSize,
+  getMaxFilesPerRequest,
+};
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+    },
+    // Start of the key, shown so users can tell their keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key; the key itself is only shown once
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scope: {
+      type: String,
+      enum: ['read', 'read-write'],
+      default: 'read',
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -1,5 +1,50 @@
 import mongoose from 'mongoose';
 
+// Saved search defining a smart collection's images (evaluated when read)
+const smartRuleSchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      trim: true,
+    },
+    mode: {
+      type: String,
+      enum: ['hybrid', 'ai', 'text'],
+      default: 'hybrid',
+    },
+    tags: [String],
+    startDate: Date,
+    endDate: Date,
+    dateField: {
+      type: String,
+      enum: ['uploadDate', 'captureDate'],
+      default: 'uploadDate',
+    },
+    camera: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    near: {
+      lat: Number,
+      lng: Number,
+      radius: Number, // meters
+    },
+    minScore: Number,
+    // Caps query-based collections, since semantic search ranks every image
+    maxImages: {
+      type: Number,
+      default: 200,
+      min: 1,
+      max: 1000,
+    },
+  },
+  { _id: false }
+);
+
 const collectionSchema = new mongoose.Schema(
   {
     name: {
@@ -16,6 +61,22 @@ const collectionSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    type: {
+      type: String,
+      enum: ['manual', 'smart'],
+      default: 'manual',
+    },
+    // Only for smart collections, whose images array stays empty
+    rule: {
+      type: smartRuleSchema,
+      default: undefined,
+    },
+    // CLIP embedding of rule.query, so viewing the collection doesn't run the model
+    // (recomputed when the query or the embedding model changes)
+    queryEmbedding: {
+      type: new mongoose.Schema({ query: String, model: String, vector: [Number] }, { _id: false }),
+      select: false,
+    },
     images: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Image',
@@ -28,6 +89,20 @@ const collectionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Image',
     },
+    // Users the owner shared this collection with
+    sharedWith: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: ['viewer', 'editor'],
+        default: 'viewer',
+      },
+    }],
   },
   {
     timestamps: true,
@@ -36,6 +111,7 @@ const collectionSchema = new mongoose.Schema(
 
 // Index for efficient queries
 collectionSchema.index({ user: 1, createdAt: -1 });
+collectionSchema.index({ 'sharedWith.user': 1 });
 
 const Collection = mongoose.model('Collection', collectionSchema);
 
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A vector store collection of image embeddings from one model (see embeddingIndexService)
+const embeddingIndexSchema = new mongoose.Schema(
+  {
+    collectionName: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    model: {
+      type: String,
+      required: true,
+    },
+    dimension: {
+      type: Number,
+      required: true,
+    },
+    // Only one index is active: the one QDRANT_COLLECTION points at
+    status: {
+      type: String,
+      enum: ['building', 'active', 'retired', 'failed'],
+      default: 'building',
+    },
+    progress: {
+      total: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      // Last image embedded (images are walked in _id order), so a re-index can resume
+      lastImageId: { type: mongoose.Schema.Types.ObjectId },
+    },
+    // Images that could not be embedded, queued again once the index is active
+    failedImageIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+    }],
+    error: {
+      type: String,
+    },
+    activatedAt: {
+      type: Date,
+    },
+    retiredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+embeddingIndexSchema.index({ status: 1 });
+
+const EmbeddingIndex = mongoose.model('EmbeddingIndex', embeddingIndexSchema);
+
+export default EmbeddingIndex;
@@ -1,5 +1,54 @@
 import mongoose from 'mongoose';
 
+// Resized copy of the original (plus WebP variant) stored via storageService
+const derivativeSchema = new mongoose.Schema(
+  {
+    url: String,
+    webpUrl: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+// GeoJSON point kept in sync with gps for the 2dsphere index
+const geoPointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// Tag proposed by zero-shot CLIP classification, kept apart from user tags
+const suggestedTagSchema = new mongoose.Schema(
+  {
+    tag: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected'],
+      default: 'pending',
+    },
+  },
+  { _id: false }
+);
+
 const imageSchema = new mongoose.Schema(
   {
     filename: {
@@ -28,6 +77,11 @@ const imageSchema = new mongoose.Schema(
     height: {
       type: Number,
     },
+    derivatives: {
+      thumbnail: derivativeSchema,
+      medium: derivativeSchema,
+      large: derivativeSchema,
+    },
     title: {
       type: String,
       trim: true,
@@ -40,6 +94,14 @@ const imageSchema = new mongoose.Schema(
       type: String,
       trim: true,
     }],
+    suggestedTags: [suggestedTagSchema],
+    // Duplicate detection: SHA-256 of the file and 64-bit difference hash
+    contentHash: {
+      type: String,
+    },
+    perceptualHash: {
+      type: String,
+    },
     qdrantId: {
       type: String,
       required: true,
@@ -65,6 +127,13 @@ const imageSchema = new mongoose.Schema(
     lastEmbeddingAttempt: {
       type: Date,
     },
+    // Model that produced the image's vector, and its size (see embeddingIndexService)
+    embeddingModel: {
+      type: String,
+    },
+    embeddingDimension: {
+      type: Number,
+    },
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -78,6 +147,19 @@ const imageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Admin review of public images; removed images cannot be made public again
+    moderation: {
+      status: {
+        type: String,
+        enum: ['approved', 'removed'],
+      },
+      reason: String,
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      moderatedAt: Date,
+    },
     uploadDate: {
       type: Date,
       default: Date.now,
@@ -86,6 +168,29 @@ const imageSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Metadata parsed from EXIF at upload time
+    captureDate: {
+      type: Date,
+    },
+    exif: {
+      cameraMake: String,
+      cameraModel: String,
+      lens: String,
+      exposureTime: Number, // seconds
+      fNumber: Number,
+      iso: Number,
+      focalLength: Number, // mm
+      orientation: Number, // EXIF orientation 1-8
+    },
+    gps: {
+      latitude: Number,
+      longitude: Number,
+      altitude: Number, // meters, negative below sea level
+    },
+    geoLocation: {
+      type: geoPointSchema,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
@@ -95,11 +200,26 @@ const imageSchema = new mongoose.Schema(
 // Index for search optimization
 imageSchema.index({ user: 1, createdAt: -1 });
 imageSchema.index({ user: 1, uploadDate: -1 });
+imageSchema.index({ user: 1, captureDate: -1 });
 imageSchema.index({ tags: 1 });
 imageSchema.index({ location: 1 });
 imageSchema.index({ title: 'text', description: 'text', tags: 'text' });
 imageSchema.index({ embeddingStatus: 1 });
 imageSchema.index({ isEmbedded: 1, user: 1 });
+imageSchema.index({ geoLocation: '2dsphere', user: 1 });
+imageSchema.index({ user: 1, contentHash: 1 });
+imageSchema.index({ isPublic: 1, uploadDate: -1 });
+
+// Derive the GeoJSON point from GPS coordinates
+imageSchema.pre('save', function (next) {
+  if (this.isModified('gps')) {
+    const { latitude, longitude } = this.gps || {};
+    this.geoLocation = Number.isFinite(latitude) && Number.isFinite(longitude)
+      ? { type: 'Point', coordinates: [longitude, latitude] }
+      : undefined;
+  }
+  next();
+});
 
 const Image = mongoose.model('Image', imageSchema);
 
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// A unit of background work (see jobQueue / queue/mongoDriver)
+const jobSchema = new mongoose.Schema(
+  {
+    queue: {
+      type: String,
+      required: true,
+    },
+    // Identifies the work (e.g. an image ID) so it is queued at most once
+    key: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'active', 'completed', 'dead'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    // Not claimed before this time (used for retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Worker holding the job, and until when; an expired lease can be claimed again
+    lockedBy: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ queue: 1, key: 1 }, { unique: true });
+jobSchema.index({ queue: 1, status: 1, runAt: 1 });
+jobSchema.index({ queue: 1, status: 1, lockedUntil: 1 });
+// MongoDB removes finished jobs after a week
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
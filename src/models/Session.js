@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// One login on one device; holds the current refresh token (hashed)
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB removes sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
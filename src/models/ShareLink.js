@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const shareLinkSchema = new mongoose.Schema(
+  {
+    // Random URL-safe token; anyone holding it can view the shared item
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(24).toString('base64url'),
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    resourceType: {
+      type: String,
+      enum: ['image', 'collection'],
+      required: true,
+    },
+    // Shared Image or Collection, depending on resourceType
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Optional; stored hashed
+    password: {
+      type: String,
+      select: false,
+    },
+    // Wrong passwords in a row; the link refuses passwords while locked
+    failedPasswords: {
+      count: Number,
+      lastFailedAt: Date,
+      lockedUntil: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shareLinkSchema.index({ user: 1, createdAt: -1 });
+shareLinkSchema.index({ resourceType: 1, resource: 1 });
+
+// Hash password before saving
+shareLinkSchema.pre('save', async function (next) {
+  if (!this.isModified('password') || !this.password) {
+    return next();
+  }
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+shareLinkSchema.virtual('isExpired').get(function () {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+shareLinkSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && !this.isExpired;
+});
+
+// Compare password method (password must be selected)
+shareLinkSchema.methods.comparePassword = async function (enteredPassword) {
+  return await bcrypt.compare(String(enteredPassword || ''), this.password);
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
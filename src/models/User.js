@@ -28,16 +28,75 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'admin'],
       default: 'user',
     },
+    // Set by an admin; disabled users cannot log in or use existing tokens
+    isDisabled: {
+      type: Boolean,
+      default: false,
+    },
+    disabledAt: {
+      type: Date,
+    },
+    disabledReason: {
+      type: String,
+      trim: true,
+    },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Hashed single-use tokens for email links
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Original files stored, kept up to date on upload and delete (see quotaService)
+    storageUsage: {
+      bytes: Number,
+      images: Number,
+      calculatedAt: Date,
+    },
+    // Failed logins since the last success (see loginLockoutService)
+    failedLogins: {
+      count: Number,
+      lastFailedAt: Date,
+      lockedUntil: Date,
+    },
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Labels used for automatic tag suggestions (empty uses the default vocabulary)
+    tagVocabulary: {
+      type: [String],
+      default: undefined,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Look up users by emailed token
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Last sign of life from a background worker process (see workerHeartbeatService)
+const workerHeartbeatSchema = new mongoose.Schema(
+  {
+    // Worker ID (hostname:pid:random)
+    _id: {
+      type: String,
+    },
+    role: {
+      type: String,
+      required: true,
+    },
+    hostname: {
+      type: String,
+    },
+    pid: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'stopped'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastBeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Role-specific numbers (jobs processed, model ready, ...)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+workerHeartbeatSchema.index({ role: 1, lastBeatAt: -1 });
+// MongoDB removes workers that have been silent for a day
+workerHeartbeatSchema.index({ lastBeatAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const WorkerHeartbeat = mongoose.model('WorkerHeartbeat', workerHeartbeatSchema);
+
+export default WorkerHeartbeat;
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getAdminStats,
+  getUsers,
+  getUser,
+  disableUser,
+  enableUser,
+  requeueEmbeddings,
+  getEmbeddingIndexes,
+  reindexEmbeddings,
+  syncEmbeddingPayloads,
+  getPublicImages,
+  moderateImage,
+  deleteImageAsAdmin,
+} from '../controllers/adminController.js';
+import { protect, authorize, requireSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require a logged-in admin (API keys are not accepted)
+router.use(protect, requireSession, authorize('admin'));
+
+// Routes
+router.get('/stats', getAdminStats);
+router.get('/users', getUsers);
+router.get('/users/:id', getUser);
+router.put('/users/:id/disable', disableUser);
+router.put('/users/:id/enable', enableUser);
+router.post('/embeddings/requeue', requeueEmbeddings);
+router.get('/embeddings/indexes', getEmbeddingIndexes);
+router.post('/embeddings/reindex', reindexEmbeddings);
+router.post('/embeddings/sync-payloads', syncEmbeddingPayloads);
+router.get('/images/public', getPublicImages);
+router.put('/images/:id/moderation', moderateImage);
+router.delete('/images/:id', deleteImageAsAdmin);
+
+export default router;
@@ -1,7 +1,25 @@
 import express from 'express';
 import { body } from 'express-validator';
-import { register, login, getMe } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  register,
+  login,
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} from '../controllers/authController.js';
+import { createApiKey, getApiKeys, revokeApiKey } from '../controllers/apiKeyController.js';
+import { protect, requireSession } from '../middleware/auth.js';
+import { loginLimiter, authLimiter } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -17,9 +35,43 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required'),
 ];
 
-// Routes
-router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
+const updateMeValidation = [
+  body('username').optional().trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+];
+
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+];
+
+const resetPasswordValidation = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+];
+
+// Routes (account management needs a login session, not an API key)
+router.post('/register', authLimiter, registerValidation, register);
+router.post('/login', loginLimiter, loginValidation, login);
 router.get('/me', protect, getMe);
+router.put('/me', protect, requireSession, updateMeValidation, updateMe);
+router.delete('/me', protect, requireSession, deleteMe);
+router.put('/password', protect, requireSession, changePasswordValidation, changePassword);
+router.post('/refresh', authLimiter, refresh);
+router.post('/logout', logout);
+router.post('/logout-all', protect, requireSession, logoutAll);
+router.get('/sessions', protect, requireSession, getSessions);
+router.delete('/sessions/:id', protect, requireSession, deleteSession);
+router.post('/verify-email', authLimiter, verifyEmail);
+router.post('/resend-verification', authLimiter, protect, resendVerification);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword);
+router.post('/api-keys', protect, requireSession, createApiKey);
+router.get('/api-keys', protect, requireSession, getApiKeys);
+router.delete('/api-keys/:id', protect, requireSession, revokeApiKey);
 
 export default router;
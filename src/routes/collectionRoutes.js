@@ -5,8 +5,13 @@ import {
   getCollection,
   updateCollection,
   deleteCollection,
+  addImagesToCollection,
+  removeImagesFromCollection,
+  reorderCollectionImages,
   addImageToCollection,
   removeImageFromCollection,
+  shareCollection,
+  unshareCollection,
 } from '../controllers/collectionController.js';
 import { protect } from '../middleware/auth.js';
 
@@ -21,7 +26,12 @@ router.get('/', getCollections);
 router.get('/:id', getCollection);
 router.put('/:id', updateCollection);
 router.delete('/:id', deleteCollection);
+router.post('/:id/images', addImagesToCollection);
+router.delete('/:id/images', removeImagesFromCollection);
+router.put('/:id/images/order', reorderCollectionImages);
 router.post('/:id/images/:imageId', addImageToCollection);
 router.delete('/:id/images/:imageId', removeImageFromCollection);
+router.post('/:id/share', shareCollection);
+router.delete('/:id/share/:userId', unshareCollection);
 
 export default router;
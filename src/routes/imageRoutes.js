@@ -3,14 +3,27 @@ import multer from 'multer';
 import {
   uploadImage,
   uploadMultipleImages,
+  getUploadUrl,
+  finalizeUpload,
   getImages,
   getImage,
   updateImage,
   deleteImage,
   searchImages,
+  getSimilarImages,
+  searchByImage,
 } from '../controllers/imageController.js';
-import { protect } from '../middleware/auth.js';
-import { uploadSingle, uploadMultiple } from '../middleware/upload.js';
+import { getImagesNearby, getImagesInBoundingBox, getImageClusters } from '../controllers/geoController.js';
+import {
+  acceptSuggestedTags,
+  rejectSuggestedTags,
+  getTagVocabulary,
+  updateTagVocabulary,
+} from '../controllers/tagController.js';
+import { getDuplicates, resolveDuplicates } from '../controllers/duplicateController.js';
+import { protect, readOnlyOperation } from '../middleware/auth.js';
+import { uploadSingle, uploadMultiple, getMaxFileSize, getMaxFilesPerRequest } from '../middleware/upload.js';
+import { searchLimiter } from '../middleware/rateLimit.js';
 import { checkCriticalServices, checkAIModel, getServiceStatus } from '../middleware/serviceHealth.js';
 
 const router = express.Router();
@@ -25,6 +38,9 @@ router.get('/service-status', async (req, res) => {
   });
 });
 
+// Searches use POST but change nothing, so read-only API keys may run them
+router.post(['/search', '/search/by-image'], readOnlyOperation);
+
 // All routes below require authentication
 router.use(protect);
 
@@ -37,13 +53,13 @@ const handleMulterError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 10MB per file.',
+        message: `File size too large. Maximum size is ${Math.round(getMaxFileSize() / 1048576)}MB per file.`,
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Maximum is 20 files at once.',
+        message: `Too many files. Maximum is ${getMaxFilesPerRequest()} files at once.`,
       });
     }
     if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.field) {
@@ -69,11 +85,24 @@ const handleMulterError = (err, req, res, next) => {
 // Routes
 router.post('/upload', uploadSingle, handleMulterError, uploadImage);
 router.post('/upload-multiple', uploadMultiple, handleMulterError, uploadMultipleImages);
+router.post('/upload-url', getUploadUrl);
+router.post('/upload-url/finalize', finalizeUpload);
 router.get('/', getImages);
+router.get('/geo/nearby', getImagesNearby);
+router.get('/geo/bbox', getImagesInBoundingBox);
+router.get('/geo/clusters', getImageClusters);
+router.get('/tags/vocabulary', getTagVocabulary);
+router.put('/tags/vocabulary', updateTagVocabulary);
+router.get('/duplicates', getDuplicates);
+router.post('/duplicates/resolve', resolveDuplicates);
+router.get('/:id/similar', getSimilarImages);
 router.get('/:id', getImage);
 router.put('/:id', updateImage);
 router.delete('/:id', deleteImage);
-router.post('/search', searchImages);
+router.post('/:id/suggested-tags/accept', acceptSuggestedTags);
+router.post('/:id/suggested-tags/reject', rejectSuggestedTags);
+router.post('/search', searchLimiter, searchImages);
+router.post('/search/by-image', searchLimiter, uploadSingle, handleMulterError, searchByImage);
 
 // Embedding stats endpoint
 router.get('/stats/embeddings', async (req, res) => {
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedItem,
+} from '../controllers/shareLinkController.js';
+import { protect } from '../middleware/auth.js';
+import { shareLimiter } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Managing links requires authentication
+router.post('/', protect, createShareLink);
+router.get('/', protect, getShareLinks);
+router.delete('/:id', protect, revokeShareLink);
+
+// Viewing a shared item only needs the token
+router.get('/:token', shareLimiter, getSharedItem);
+
+export default router;
@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import storageService from '../services/storageService.js';
+import { backfillDerivatives } from '../services/derivativeService.js';
+
+/**
+ * Backfill thumbnail/medium/large derivatives for images uploaded before
+ * derivative generation existed (or whose generation failed at upload).
+ *
+ * Usage: npm run backfill:derivatives [-- --user <userId>] [-- --batch-size 20]
+ */
+
+// Load environment variables
+dotenv.config();
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+    await storageService.initialize();
+
+    console.log('🖼️  Backfilling image derivatives...');
+    const result = await backfillDerivatives({
+      batchSize: parseInt(getArg('batch-size')) || 20,
+      userId: getArg('user'),
+    });
+
+    console.log(`✅ Backfill complete: ${result.succeeded} succeeded, ${result.failed} failed (${result.processed} processed)`);
+    if (result.failed > 0) {
+      console.warn('⚠️  Failed image IDs:', result.failedIds.join(', '));
+    }
+
+    await mongoose.disconnect();
+    process.exit(result.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import storageService from '../services/storageService.js';
+import vectorStore from '../services/vectorStoreService.js';
+import { getConfiguredModelName } from '../services/aiService.js';
+import { reindexEmbeddings } from '../services/reindexService.js';
+
+/**
+ * Re-embed every image with another model into a new vector collection and
+ * switch search over to it when done. Running API servers and workers load the
+ * new model within a minute of the switch.
+ *
+ * Usage: npm run reindex:embeddings [-- --model <model>] [-- --batch-size 16]
+ * (the model defaults to EMBEDDING_MODEL)
+ */
+
+// Load environment variables
+dotenv.config();
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+    await storageService.initialize();
+
+    // A running API server would never see a local store written here
+    if (!vectorStore.isShared()) {
+      throw new Error(`VECTOR_STORE=${vectorStore.getName()} is not shared between processes; use POST /api/admin/embeddings/reindex instead`);
+    }
+
+    if (!(await vectorStore.initialize())) {
+      throw new Error('Vector store is not available');
+    }
+
+    const result = await reindexEmbeddings(getArg('model') || getConfiguredModelName(), {
+      batchSize: parseInt(getArg('batch-size')) || 16,
+    });
+
+    console.log(`✅ Re-index complete: ${result.processed} images processed, ${result.failed} queued again`);
+
+    await vectorStore.close();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Re-index failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import vectorStore from '../services/vectorStoreService.js';
+import { syncImagePayloads } from '../services/reindexService.js';
+
+/**
+ * Rewrite the vector store payload (userId, uploadDate, captureDate, tags, isPublic)
+ * of every embedded image, so points created before payload filtering existed
+ * are found by filtered searches.
+ *
+ * Usage: npm run sync:qdrant-payloads
+ */
+
+// Load environment variables
+dotenv.config();
+
+const run = async () => {
+  try {
+    // The API owns a local store's files; writing them from here too loses changes
+    if (!vectorStore.isShared()) {
+      throw new Error(`VECTOR_STORE=${vectorStore.getName()} is not shared between processes; use POST /api/admin/embeddings/sync-payloads instead`);
+    }
+
+    await connectDB();
+
+    if (!(await vectorStore.initialize())) {
+      throw new Error('Vector store is not available');
+    }
+
+    const { failed } = await syncImagePayloads();
+
+    await vectorStore.close();
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Payload sync failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
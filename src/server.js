@@ -1,13 +1,26 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import mongoose from 'mongoose';
 import connectDB from './config/database.js';
-import { initQdrant } from './config/qdrant.js';
-import { initAIModel } from './services/aiService.js';
+import { initAIModel, isAIModelDisabled } from './services/aiService.js';
+import { startEmbeddingProcessor, stopEmbeddingProcessor, usesExternalWorker } from './services/embeddingProcessor.js';
+import {
+  syncActiveIndex,
+  getActiveIndex,
+  getActiveModelName,
+  isModelCurrent,
+  watchActiveIndex,
+  unwatchActiveIndex,
+} from './services/embeddingIndexService.js';
+import { startReindexWorker, stopReindexWorker } from './services/reindexService.js';
 import storageService from './services/storageService.js';
+import vectorStore from './services/vectorStoreService.js';
 import authRoutes from './routes/authRoutes.js';
 import imageRoutes from './routes/imageRoutes.js';
-// import collectionRoutes from './routes/collectionRoutes.js'; // Disabled for now
+import collectionRoutes from './routes/collectionRoutes.js';
+import shareRoutes from './routes/shareRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,27 +28,43 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 
+// Behind a proxy (e.g. Vercel), take the client IP from X-Forwarded-For so
+// per-IP rate limits don't lump every client together. TRUST_PROXY is a hop count or true.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/images', imageRoutes);
-// app.use('/api/collections', collectionRoutes); // Disabled for now
+app.use('/api/collections', collectionRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check route with service status
 app.get('/health', async (req, res) => {
   const { isMongoDBConnected } = await import('./config/database.js');
-  const { isQdrantConnected, checkQdrantHealth } = await import('./config/qdrant.js');
   const { isAIModelReady } = await import('./services/aiService.js');
+  const { getEmbeddingWorkerStatus } = await import('./services/embeddingProcessor.js');
   
   const mongoStatus = isMongoDBConnected();
-  const qdrantStatus = isQdrantConnected() && await checkQdrantHealth();
+  const vectorStoreStatus = await vectorStore.checkHealth();
   const aiModelStatus = isAIModelReady();
+  const aiModelDisabled = isAIModelDisabled();
+  const externalWorker = usesExternalWorker();
+  const activeIndex = getActiveIndex();
+  const workerStatus = mongoStatus
+    ? await getEmbeddingWorkerStatus().catch(() => ({ alive: 0, workers: [] }))
+    : { alive: 0, workers: [] };
   
-  const allCriticalServicesUp = mongoStatus && aiModelStatus;
+  // Without the model here, embedding is the standalone worker's job
+  const allCriticalServicesUp = mongoStatus && (aiModelStatus || aiModelDisabled);
   
   res.status(allCriticalServicesUp ? 200 : 503).json({
     success: allCriticalServicesUp,
@@ -46,20 +75,37 @@ app.get('/health', async (req, res) => {
         critical: true,
       },
       aiModel: {
-        status: aiModelStatus ? 'ready' : 'unavailable',
-        critical: true,
-        note: aiModelStatus ? null : 'Image uploads disabled',
+        status: aiModelDisabled ? 'disabled' : (aiModelStatus ? 'ready' : 'unavailable'),
+        critical: !aiModelDisabled,
+        note: aiModelDisabled
+          ? 'Model not loaded in this process (DISABLE_AI_MODEL), AI search disabled'
+          : (aiModelStatus ? null : 'Image uploads disabled'),
+      },
+      embeddingWorker: {
+        status: workerStatus.alive > 0 ? 'running' : 'not running',
+        mode: externalWorker ? 'external' : 'inline',
+        critical: false,
+        note: workerStatus.alive > 0 ? null : 'New images wait in the embedding queue until a worker runs',
+        workers: workerStatus.workers,
       },
       vectorDB: {
-        status: qdrantStatus ? 'connected' : 'disconnected',
+        status: vectorStoreStatus ? 'connected' : 'disconnected',
+        store: vectorStore.getName(),
         critical: false,
-        note: qdrantStatus ? null : 'AI search disabled, text search available',
+        note: vectorStoreStatus ? null : 'AI search disabled, text search available',
+        // Embedding model the searched collection was built with
+        index: activeIndex && {
+          collection: activeIndex.collectionName,
+          model: activeIndex.model,
+          dimension: activeIndex.dimension,
+          modelLoaded: aiModelStatus ? isModelCurrent() : false,
+        },
       },
     },
     features: {
-      imageUpload: mongoStatus && aiModelStatus,
+      imageUpload: mongoStatus && (aiModelStatus || externalWorker),
       imageView: mongoStatus,
-      aiSearch: mongoStatus && qdrantStatus,
+      aiSearch: mongoStatus && vectorStoreStatus && aiModelStatus,
       textSearch: mongoStatus,
     },
   });
@@ -76,36 +122,62 @@ app.use((err, req, res, next) => {
 
 // Initialize services and start server
 const PORT = process.env.PORT || 5000;
+let server = null;
 
 const startServer = async () => {
   try {
     // Connect to MongoDB (critical service)
     await connectDB();
     
-    // Initialize storage (critical service - requires Vercel Blob)
+    // Initialize storage (critical service - driver selected by STORAGE_DRIVER)
     await storageService.initialize();
+
+    // Serve stored files when the storage driver keeps them on this machine
+    const staticMount = storageService.getStaticMount();
+    if (staticMount) {
+      app.use(staticMount.path, express.static(staticMount.dir));
+      console.log(`📂 Serving stored files at ${staticMount.path}`);
+    }
     
-    // Initialize Qdrant (optional service)
-    await initQdrant().catch(err => {
-      console.warn('Starting server without Qdrant...');
+    // Initialize the vector store (optional service - driver selected by VECTOR_STORE)
+    if (!(await vectorStore.initialize({ migrate: true }))) {
+      console.warn('Starting server without the vector store...');
+    }
+
+    // Find out which model the active embedding index was built with
+    await syncActiveIndex().catch(err => {
+      console.warn('⚠️  Could not load the embedding index:', err.message);
     });
+    watchActiveIndex({ loadModel: !isAIModelDisabled() });
     
-    // Initialize AI model (for embeddings - non-blocking)
-    console.log('Initializing AI model (this may take a moment)...');
-    const aiModelLoaded = await initAIModel();
-    if (!aiModelLoaded) {
-      console.warn('⚠️  AI model initialization failed.');
-      console.warn('⚠️  Images will be uploaded without embeddings.');
-      console.warn('⚠️  Background processor will embed images when model is available.');
-      console.warn('⚠️  Search will be limited to text-based matching.');
+    // Initialize AI model (for embeddings and AI search), unless DISABLE_AI_MODEL=true
+    let aiModelLoaded = false;
+    if (isAIModelDisabled()) {
+      console.log('⚠️  AI model disabled in this process (DISABLE_AI_MODEL=true); search limited to text-based matching');
     } else {
-      // Start background embedding processor when model is ready
-      const { startEmbeddingProcessor } = await import('./services/embeddingProcessor.js');
+      console.log('Initializing AI model (this may take a moment)...');
+      aiModelLoaded = await initAIModel(getActiveModelName());
+      if (!aiModelLoaded) {
+        console.warn('⚠️  AI model initialization failed.');
+        console.warn('⚠️  Images will be uploaded without embeddings.');
+        console.warn('⚠️  Search will be limited to text-based matching.');
+      }
+    }
+
+    // Embed queued images here, or leave them to the standalone worker (npm run worker)
+    if (usesExternalWorker()) {
+      console.log('📊 Embeddings are processed by the standalone worker');
+      if (!vectorStore.isShared()) {
+        console.warn(`⚠️  VECTOR_STORE=${vectorStore.getName()} is not shared with the worker; new images won't be searchable`);
+      }
+    } else {
+      // Waits for the model if it is still loading
       startEmbeddingProcessor();
+      startReindexWorker();
     }
     
     // Start server
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
       console.log(`📍 API: http://localhost:${PORT}`);
       
@@ -122,6 +194,35 @@ const startServer = async () => {
   }
 };
 
+/**
+ * Stop accepting requests, let running embedding jobs finish, then exit
+ */
+const shutdown = async (signal) => {
+  console.log(`\n${signal} received, shutting down...`);
+  const forceExit = setTimeout(() => {
+    console.error('❌ Shutdown timed out, exiting');
+    process.exit(1);
+  }, parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000);
+  forceExit.unref();
+
+  try {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    unwatchActiveIndex();
+    await Promise.all([stopEmbeddingProcessor(), stopReindexWorker()]);
+    await vectorStore.close();
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error.message);
+    process.exit(1);
+  }
+};
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
 
 export default app;
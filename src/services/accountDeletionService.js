@@ -0,0 +1,58 @@
+import Image from '../models/Image.js';
+import Collection from '../models/Collection.js';
+import ShareLink from '../models/ShareLink.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { withTransaction } from '../config/database.js';
+import { deleteImageCompletely } from './imageDeletionService.js';
+import { revokeAllSessions } from './tokenService.js';
+
+/**
+ * Delete a user and everything they own: images (files, derivatives, vector
+ * points and collection memberships, via deleteImageCompletely), collections,
+ * share links, sessions and API keys. Collections shared with the user by others only
+ * lose the user from their share list.
+ * @param {object} user - User document
+ * @returns {Promise<{ deletedImages: number, deletedCollections: number }>}
+ */
+export const deleteUserCompletely = async (user) => {
+  // Sign the user out everywhere first so nothing new is uploaded meanwhile
+  await revokeAllSessions(user._id);
+
+  let deletedImages = 0;
+  for await (const image of Image.find({ user: user._id }).cursor()) {
+    await deleteImageCompletely(image);
+    deletedImages++;
+  }
+
+  const collectionIds = await Collection.find({ user: user._id }).distinct('_id');
+
+  await withTransaction(async (session) => {
+    // Editors may have added their own images to this user's collections
+    await Image.updateMany(
+      { collections: { $in: collectionIds } },
+      { $pull: { collections: { $in: collectionIds } } },
+      { session }
+    );
+
+    await Collection.deleteMany({ user: user._id }, { session });
+
+    await Collection.updateMany(
+      { 'sharedWith.user': user._id },
+      { $pull: { sharedWith: { user: user._id } } },
+      { session }
+    );
+
+    await ShareLink.deleteMany({ user: user._id }, { session });
+    await Session.deleteMany({ user: user._id }, { session });
+    await ApiKey.deleteMany({ user: user._id }, { session });
+    await User.deleteOne({ _id: user._id }, { session });
+  });
+
+  console.log(`✅ Deleted user ${user._id}: ${deletedImages} image(s), ${collectionIds.length} collection(s)`);
+
+  return { deletedImages, deletedCollections: collectionIds.length };
+};
+
+export default { deleteUserCompletely };
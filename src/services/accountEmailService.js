@@ -0,0 +1,65 @@
+import mailService from './mailService.js';
+import { createUserToken } from './tokenService.js';
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+/**
+ * Build a link into the web app (CLIENT_URL, default http://localhost:3000)
+ */
+const buildClientLink = (pathname, token) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email a user a link to verify their address. Errors are logged, not thrown.
+ * @param {object} user - User document
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+export const sendVerificationEmail = async (user) => {
+  try {
+    const token = await createUserToken(user._id, 'emailVerification');
+    const link = buildClientLink('/verify-email', token);
+
+    await mailService.send({
+      to: user.email,
+      subject: 'Verify your SmartGallery email address',
+      text: `Hi ${user.username},\n\nPlease verify your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please verify your email address by opening this link:</p><p><a href="${link}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`,
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send verification email to user ${user._id}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Email a user a link to choose a new password. Errors are logged, not thrown.
+ * @param {object} user - User document
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+export const sendPasswordResetEmail = async (user) => {
+  try {
+    const token = await createUserToken(user._id, 'passwordReset');
+    const link = buildClientLink('/reset-password', token);
+
+    await mailService.send({
+      to: user.email,
+      subject: 'Reset your SmartGallery password',
+      text: `Hi ${user.username},\n\nSomeone asked to reset your password. To choose a new one, open this link:\n${link}\n\nThe link works once. If you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset your password. To choose a new one, open this link:</p><p><a href="${link}">Reset password</a></p><p>The link works once. If you did not ask for this, you can ignore this email.</p>`,
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send password reset email to user ${user._id}:`, error.message);
+    return false;
+  }
+};
+
+export default {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -1,34 +1,78 @@
 import { env, AutoProcessor, AutoTokenizer, CLIPVisionModelWithProjection, CLIPTextModelWithProjection, RawImage } from '@xenova/transformers';
 import fs from 'fs';
+import { extractExifMetadata } from './exifService.js';
 
 // Disable local model check for faster loading
 env.allowLocalModels = false;
 
+export const DEFAULT_EMBEDDING_MODEL = 'Xenova/clip-vit-base-patch32';
+
 let visionModel = null;
 let textModel = null;
 let processor = null;
 let tokenizer = null;
+let loadedModel = null; // { name, dimension } of the model in use
 let isAIModelAvailable = false;
 let modelInitializationAttempts = 0;
+let requestedModelName = null;
 const MAX_INIT_ATTEMPTS = 3;
 
+// Zero-shot label embeddings are reused across images
+const labelEmbeddingCache = new Map();
+const CLIP_LOGIT_SCALE = 100;
+
+/**
+ * Model named by EMBEDDING_MODEL. Which model a deployment actually uses is the
+ * one its active embedding index was built with (see embeddingIndexService);
+ * EMBEDDING_MODEL picks the model for a new index.
+ */
+export const getConfiguredModelName = () => process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+
+/**
+ * Load a CLIP model (vision and text towers, processor and tokenizer)
+ * @param {string} modelName - Hugging Face model ID
+ * @returns {Promise<object>} - Model bundle { name, dimension, visionModel, textModel, processor, tokenizer }
+ */
+export const loadEmbeddingModel = async (modelName) => {
+  // Load CLIP vision and text models separately
+  const bundle = {
+    name: modelName,
+    visionModel: await CLIPVisionModelWithProjection.from_pretrained(modelName),
+    textModel: await CLIPTextModelWithProjection.from_pretrained(modelName),
+    processor: await AutoProcessor.from_pretrained(modelName),
+    tokenizer: await AutoTokenizer.from_pretrained(modelName),
+  };
+  bundle.dimension = bundle.visionModel.config?.projection_dim || 512;
+  return bundle;
+};
+
 /**
  * Initialize the AI model pipeline
+ * @param {string} [modelName] - Model to load, default EMBEDDING_MODEL
  */
-export const initAIModel = async () => {
+export const initAIModel = async (modelName = getConfiguredModelName()) => {
+  // A different model starts a fresh set of attempts
+  if (modelName !== requestedModelName) {
+    requestedModelName = modelName;
+    modelInitializationAttempts = 0;
+  }
+
   try {
     modelInitializationAttempts++;
-    console.log(`Loading AI model (attempt ${modelInitializationAttempts}/${MAX_INIT_ATTEMPTS})...`);
-    const modelName = process.env.EMBEDDING_MODEL || 'Xenova/clip-vit-base-patch32';
-    
-    // Load CLIP vision and text models separately
-    visionModel = await CLIPVisionModelWithProjection.from_pretrained(modelName);
-    textModel = await CLIPTextModelWithProjection.from_pretrained(modelName);
-    processor = await AutoProcessor.from_pretrained(modelName);
-    tokenizer = await AutoTokenizer.from_pretrained(modelName);
+    console.log(`Loading AI model ${modelName} (attempt ${modelInitializationAttempts}/${MAX_INIT_ATTEMPTS})...`);
+
+    const bundle = await loadEmbeddingModel(modelName);
+    if (modelName !== requestedModelName) {
+      // Another model was requested while this one loaded
+      return false;
+    }
+
+    ({ visionModel, textModel, processor, tokenizer } = bundle);
+    loadedModel = { name: bundle.name, dimension: bundle.dimension };
+    labelEmbeddingCache.clear();
     
     isAIModelAvailable = true;
-    console.log('✅ AI model loaded successfully');
+    console.log(`✅ AI model loaded successfully (${modelName}, ${bundle.dimension} dimensions)`);
     console.log('✅ Image uploads are now ENABLED');
     return true;
   } catch (error) {
@@ -37,7 +81,9 @@ export const initAIModel = async () => {
     
     if (modelInitializationAttempts < MAX_INIT_ATTEMPTS) {
       console.warn(`⚠️  Will retry in 10 seconds...`);
-      setTimeout(() => initAIModel(), 10000);
+      setTimeout(() => {
+        if (modelName === requestedModelName) initAIModel(modelName);
+      }, 10000);
     } else {
       console.error('❌ AI model initialization failed after maximum attempts');
       console.error('❌ Image uploads will be DISABLED');
@@ -47,9 +93,36 @@ export const initAIModel = async () => {
   }
 };
 
+/**
+ * Name and embedding dimension of the loaded model
+ * @returns {{ name: string, dimension: number }|null}
+ */
+export const getLoadedModel = () => loadedModel;
+
+/**
+ * Load an image for the processor
+ * @param {string|Buffer} source - Path or URL to the image file, or its contents
+ */
+const loadImage = async (source) => {
+  return Buffer.isBuffer(source)
+    ? RawImage.fromBlob(new Blob([source]))
+    : RawImage.read(source);
+};
+
+/**
+ * Split a [N, D] embedding tensor into N arrays
+ */
+const splitRows = (tensor) => {
+  const dimension = tensor.dims[tensor.dims.length - 1];
+  const count = tensor.data.length / dimension;
+  return Array.from({ length: count }, (_, index) =>
+    Array.from(tensor.data.slice(index * dimension, (index + 1) * dimension))
+  );
+};
+
 /**
  * Generate embeddings for an image
- * @param {string} imagePath - Path to the image file
+ * @param {string|Buffer} imagePath - Path or URL to the image file, or its contents
  * @returns {Promise<number[]>} - Image embedding vector
  */
 export const generateImageEmbedding = async (imagePath) => {
@@ -59,7 +132,7 @@ export const generateImageEmbedding = async (imagePath) => {
     }
 
     // Load and preprocess image
-    const image = await RawImage.read(imagePath);
+    const image = await loadImage(imagePath);
     const image_inputs = await processor(image);
     
     // Generate image embedding
@@ -75,6 +148,35 @@ export const generateImageEmbedding = async (imagePath) => {
   }
 };
 
+/**
+ * Generate embeddings for several images in one forward pass.
+ * An image that can't be loaded gets an error without failing the rest.
+ * @param {(string|Buffer)[]} sources - Paths or URLs to the image files, or their contents
+ * @param {object} [model] - Bundle from loadEmbeddingModel (default: the loaded model)
+ * @returns {Promise<{ embedding?: number[], error?: Error }[]>} - One result per source, in order
+ */
+export const generateImageEmbeddings = async (sources, model = { visionModel, processor }) => {
+  if (!model.visionModel || !model.processor) {
+    throw new Error('AI model not initialized');
+  }
+
+  const loaded = await Promise.all(sources.map(source =>
+    loadImage(source).then(image => ({ image }), error => ({ error }))
+  ));
+
+  const images = loaded.filter(result => result.image).map(result => result.image);
+  if (images.length === 0) {
+    return loaded.map(({ error }) => ({ error }));
+  }
+
+  const image_inputs = await model.processor(images);
+  const { image_embeds } = await model.visionModel(image_inputs);
+  const embeddings = splitRows(image_embeds);
+
+  let next = 0;
+  return loaded.map(result => (result.image ? { embedding: embeddings[next++] } : { error: result.error }));
+};
+
 /**
  * Generate embeddings for text (for semantic search)
  * @param {string} text - Text query
@@ -102,28 +204,112 @@ export const generateTextEmbedding = async (text) => {
   }
 };
 
+/**
+ * Generate embeddings for several texts in one forward pass
+ * @param {string[]} texts - Text queries
+ * @returns {Promise<number[][]>} - One embedding per text, in order
+ */
+export const generateTextEmbeddings = async (texts) => {
+  if (!textModel || !tokenizer) {
+    throw new Error('AI model not initialized');
+  }
+  if (texts.length === 0) {
+    return [];
+  }
+
+  // Shorter texts are padded to the longest one
+  const text_inputs = await tokenizer(texts, { padding: true, truncation: true });
+  const { text_embeds } = await textModel(text_inputs);
+  return splitRows(text_embeds);
+};
+
+/**
+ * L2-normalize a vector
+ */
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
+
+/**
+ * Get normalized text embeddings for zero-shot labels (cached per label)
+ * @param {string[]} labels - Labels such as "beach" or "dog"
+ * @returns {Promise<number[][]>} - One embedding per label
+ */
+const getLabelEmbeddings = async (labels) => {
+  const missing = labels.filter(label => !labelEmbeddingCache.has(label));
+
+  if (missing.length > 0) {
+    // Embed all missing labels in one forward pass using the CLIP prompt template
+    const embeddings = await generateTextEmbeddings(missing.map(label => `a photo of ${label}`));
+    missing.forEach((label, index) => {
+      labelEmbeddingCache.set(label, normalize(embeddings[index]));
+    });
+  }
+
+  return labels.map(label => labelEmbeddingCache.get(label));
+};
+
+/**
+ * Score an image embedding against a label vocabulary (CLIP zero-shot classification)
+ * @param {number[]} imageEmbedding - Embedding from generateImageEmbedding
+ * @param {string[]} labels - Candidate labels
+ * @returns {Promise<{ label: string, confidence: number }[]>} - Softmax confidences, best first
+ */
+export const classifyImageEmbedding = async (imageEmbedding, labels) => {
+  if (!labels || labels.length === 0) {
+    return [];
+  }
+
+  const imageVector = normalize(imageEmbedding);
+  const labelVectors = await getLabelEmbeddings(labels);
+
+  // Cosine similarity scaled by CLIP's logit scale, then softmax across labels
+  const logits = labelVectors.map(labelVector =>
+    CLIP_LOGIT_SCALE * labelVector.reduce((sum, value, index) => sum + value * imageVector[index], 0)
+  );
+  const maxLogit = Math.max(...logits);
+  const exps = logits.map(logit => Math.exp(logit - maxLogit));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+
+  return labels
+    .map((label, index) => ({ label, confidence: exps[index] / total }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
 /**
  * Get metadata from image
  * @param {string} imagePath - Path or URL to the image file
- * @returns {Promise<object>} - Image metadata
+ * @param {Buffer} [fileBuffer] - Image contents, if already in memory (avoids re-reading for EXIF)
+ * @returns {Promise<object>} - Image metadata including captureDate, exif and gps when present
  */
-export const getImageMetadata = async (imagePath) => {
+export const getImageMetadata = async (imagePath, fileBuffer) => {
   try {
     // Load image using RawImage - it can handle both URLs and local paths
     const image = await RawImage.read(imagePath);
     
     // Get file size if it's a local path
     let fileSize;
-    if (!imagePath.startsWith('http://') && !imagePath.startsWith('https://')) {
+    const isRemote = imagePath.startsWith('http://') || imagePath.startsWith('https://');
+    if (!isRemote) {
       const stats = fs.statSync(imagePath);
       fileSize = stats.size;
     }
+
+    // EXIF needs the raw bytes (RawImage drops them)
+    let exifSource = fileBuffer || imagePath;
+    if (!fileBuffer && isRemote) {
+      const response = await fetch(imagePath);
+      exifSource = response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+    }
+    const exifMetadata = exifSource ? await extractExifMetadata(exifSource) : {};
     
     return {
       width: image.width,
       height: image.height,
       format: 'image',
       fileSize: fileSize,
+      ...exifMetadata,
     };
   } catch (error) {
     console.error('Error getting image metadata:', error);
@@ -133,6 +319,12 @@ export const getImageMetadata = async (imagePath) => {
   }
 };
 
+/**
+ * Whether this process was told not to load the model (DISABLE_AI_MODEL=true),
+ * e.g. an API server that leaves embedding to the standalone worker
+ */
+export const isAIModelDisabled = () => process.env.DISABLE_AI_MODEL === 'true';
+
 /**
  * Check if AI model is available
  */
@@ -142,9 +334,17 @@ export const isAIModelReady = () => {
 };
 
 export default {
+  DEFAULT_EMBEDDING_MODEL,
+  getConfiguredModelName,
+  loadEmbeddingModel,
   initAIModel,
+  getLoadedModel,
   generateImageEmbedding,
+  generateImageEmbeddings,
   generateTextEmbedding,
+  generateTextEmbeddings,
+  classifyImageEmbedding,
   getImageMetadata,
   isAIModelReady,
+  isAIModelDisabled,
 };
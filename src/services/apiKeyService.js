@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+
+const KEY_PREFIX = 'sg_';
+
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create an API key for a user
+ * @param {string} userId - Owner
+ * @param {object} options - { name, scope, expiresAt }
+ * @returns {Promise<{ apiKey: object, key: string }>} - The stored key and the raw key (shown once)
+ */
+export const createApiKey = async (userId, { name, scope = 'read', expiresAt } = {}) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    scope,
+    expiresAt,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Look up an active (not revoked, not expired) API key and record its use
+ * @param {string} key - Raw key from the request
+ * @returns {Promise<object|null>} - ApiKey document, or null if invalid
+ */
+export const findActiveApiKey = async (key) => {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const now = new Date();
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashKey(key),
+    revokedAt: { $exists: false },
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: now } }],
+  });
+
+  if (apiKey && (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS)) {
+    apiKey.lastUsedAt = now;
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now });
+  }
+
+  return apiKey;
+};
+
+export default {
+  createApiKey,
+  findActiveApiKey,
+};
@@ -0,0 +1,35 @@
+import Image from '../models/Image.js';
+import { getSmartCollectionImages } from './smartCollectionService.js';
+
+/**
+ * Get one page of a collection's images: manual collections in their stored
+ * order, smart collections evaluated from their rule
+ * @param {object} collection - Collection document
+ * @param {object} options - { page, limit }
+ * @returns {Promise<{ images: object[], pagination: object, searchType?: string, warning?: string|null }>}
+ */
+export const getCollectionImages = async (collection, { page = 1, limit = 50 } = {}) => {
+  if (collection.type === 'smart') {
+    return getSmartCollectionImages(collection, { page, limit });
+  }
+
+  const skip = (page - 1) * limit;
+  const pageIds = collection.images.slice(skip, skip + limit);
+
+  // Fetch the page and restore the collection's order
+  const pageImages = await Image.find({ _id: { $in: pageIds } });
+  const imagesById = new Map(pageImages.map(image => [image._id.toString(), image]));
+  const images = pageIds.map(id => imagesById.get(id.toString())).filter(Boolean);
+
+  return {
+    images,
+    pagination: {
+      page,
+      limit,
+      total: collection.images.length,
+      pages: Math.ceil(collection.images.length / limit),
+    },
+  };
+};
+
+export default { getCollectionImages };
@@ -0,0 +1,167 @@
+import sharp from 'sharp';
+import path from 'path';
+import Image from '../models/Image.js';
+import storageService from './storageService.js';
+
+/**
+ * Responsive sizes generated for every image (longest edge in pixels)
+ * Override with DERIVATIVE_SIZES, e.g. "thumbnail:320,medium:1024,large:2048"
+ */
+const DEFAULT_SIZES = { thumbnail: 320, medium: 1024, large: 2048 };
+
+export const getDerivativeSizes = () => {
+  if (!process.env.DERIVATIVE_SIZES) {
+    return DEFAULT_SIZES;
+  }
+
+  const sizes = {};
+  for (const entry of process.env.DERIVATIVE_SIZES.split(',')) {
+    const [name, value] = entry.split(':').map(part => part.trim());
+    if (DEFAULT_SIZES[name] && parseInt(value) > 0) {
+      sizes[name] = parseInt(value);
+    }
+  }
+  return { ...DEFAULT_SIZES, ...sizes };
+};
+
+/**
+ * Generate thumbnail/medium/large derivatives (plus WebP variants) and store them
+ * @param {Buffer} fileBuffer - Original image buffer
+ * @param {string} filename - Stored filename of the original (used to name derivatives)
+ * @returns {Promise<object>} - { thumbnail, medium, large } each { url, webpUrl, width, height }
+ */
+export const generateDerivatives = async (fileBuffer, filename) => {
+  const baseName = path.basename(filename, path.extname(filename));
+  const sizes = getDerivativeSizes();
+
+  // Apply EXIF orientation once so every derivative is upright
+  const source = sharp(fileBuffer).rotate();
+  const { hasAlpha } = await source.metadata();
+
+  // Keep transparency for PNG-like sources, JPEG otherwise
+  const format = hasAlpha ? 'png' : 'jpeg';
+  const extension = hasAlpha ? 'png' : 'jpg';
+
+  const derivatives = {};
+
+  for (const [sizeName, maxDimension] of Object.entries(sizes)) {
+    const resized = source
+      .clone()
+      .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+
+    const { data, info } = await resized.clone().toFormat(format, { quality: 82 }).toBuffer({ resolveWithObject: true });
+    const webpData = await resized.clone().webp({ quality: 80 }).toBuffer();
+
+    const url = await storageService.saveFile(data, `derivatives/${baseName}/${sizeName}.${extension}`, {
+      contentType: `image/${format}`,
+    });
+    const webpUrl = await storageService.saveFile(webpData, `derivatives/${baseName}/${sizeName}.webp`, {
+      contentType: 'image/webp',
+    });
+
+    derivatives[sizeName] = {
+      url,
+      webpUrl,
+      width: info.width,
+      height: info.height,
+    };
+  }
+
+  return derivatives;
+};
+
+/**
+ * List every stored file URL belonging to an image's derivatives
+ * @param {object} derivatives - Image.derivatives
+ * @returns {string[]} - Stored file URLs
+ */
+export const getDerivativeUrls = (derivatives) => {
+  if (!derivatives) {
+    return [];
+  }
+
+  return Object.values(derivatives.toObject ? derivatives.toObject() : derivatives)
+    .filter(Boolean)
+    .flatMap(derivative => [derivative.url, derivative.webpUrl])
+    .filter(Boolean);
+};
+
+/**
+ * Delete all derivative files for an image (errors are logged, not thrown)
+ * @param {object} image - Image document
+ */
+export const deleteDerivatives = async (image) => {
+  for (const fileUrl of getDerivativeUrls(image.derivatives)) {
+    try {
+      await storageService.deleteFile(fileUrl);
+    } catch (error) {
+      console.warn(`⚠️  Failed to delete derivative ${fileUrl}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Generate and record derivatives for an already-stored image
+ * @param {object} image - Image document
+ * @returns {Promise<boolean>} - Whether derivatives were generated
+ */
+export const generateDerivativesForImage = async (image) => {
+  try {
+    const fileBuffer = await storageService.getFile(image.filePath);
+    const derivatives = await generateDerivatives(fileBuffer, image.filename);
+
+    await Image.findByIdAndUpdate(image._id, { derivatives });
+    return true;
+  } catch (error) {
+    console.error(`❌ Derivative generation failed for image ${image._id}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Backfill derivatives for images uploaded before derivatives existed
+ * @param {object} options - { batchSize, userId }
+ * @returns {Promise<{ processed: number, succeeded: number, failed: number, failedIds: string[] }>}
+ */
+export const backfillDerivatives = async ({ batchSize = 20, userId } = {}) => {
+  const query = { 'derivatives.thumbnail': { $exists: false } };
+  if (userId) query.user = userId;
+
+  let processed = 0;
+  let succeeded = 0;
+  const failedIds = [];
+
+  // Walk by _id so failed images are not picked up again in the same run
+  let lastId = null;
+  while (true) {
+    const batchQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+    const images = await Image.find(batchQuery).sort({ _id: 1 }).limit(batchSize);
+
+    if (images.length === 0) {
+      break;
+    }
+
+    for (const image of images) {
+      processed++;
+      if (await generateDerivativesForImage(image)) {
+        succeeded++;
+      } else {
+        failedIds.push(image._id.toString());
+      }
+    }
+
+    lastId = images[images.length - 1]._id;
+    console.log(`📊 Derivatives backfill: ${succeeded}/${processed} images processed`);
+  }
+
+  return { processed, succeeded, failed: failedIds.length, failedIds };
+};
+
+export default {
+  getDerivativeSizes,
+  generateDerivatives,
+  getDerivativeUrls,
+  deleteDerivatives,
+  generateDerivativesForImage,
+  backfillDerivatives,
+};
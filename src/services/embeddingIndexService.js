@@ -0,0 +1,128 @@
+import EmbeddingIndex from '../models/EmbeddingIndex.js';
+import { getConfiguredModelName, getLoadedModel, initAIModel } from './aiService.js';
+import vectorStore from './vectorStoreService.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+const WATCH_INTERVAL = 60000; // 1 minute
+
+let activeIndex = null;
+let watchInterval = null;
+
+/**
+ * Load the active embedding index, recording the existing vector collection
+ * as the first index on deployments that predate index tracking
+ * @returns {Promise<object|null>} - EmbeddingIndex document, or null if unknown
+ */
+export const syncActiveIndex = async () => {
+  let index = await EmbeddingIndex.findOne({ status: 'active' });
+
+  if (!index && vectorStore.isAvailable()) {
+    const collection = await vectorStore.getActiveCollectionInfo();
+    if (collection) {
+      try {
+        index = await EmbeddingIndex.findOneAndUpdate(
+          { collectionName: collection.name },
+          {
+            $setOnInsert: {
+              model: collection.metadata.model || getConfiguredModelName(),
+              dimension: collection.dimension,
+              status: 'active',
+              activatedAt: new Date(),
+            },
+          },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        // Another process recorded it first
+        if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+        index = await EmbeddingIndex.findOne({ status: 'active' });
+      }
+    }
+  }
+
+  activeIndex = index;
+  return index;
+};
+
+/**
+ * Active index as last loaded (no database access)
+ */
+export const getActiveIndex = () => activeIndex;
+
+/**
+ * Model to load: the one the active index was built with. EMBEDDING_MODEL only
+ * takes effect through a re-index.
+ */
+export const getActiveModelName = () => {
+  const configured = getConfiguredModelName();
+  if (activeIndex && activeIndex.model !== configured) {
+    console.warn(`⚠️  EMBEDDING_MODEL is ${configured} but the index was built with ${activeIndex.model}; using ${activeIndex.model}`);
+    console.warn('⚠️  Run npm run reindex:embeddings to switch models');
+  }
+  return activeIndex?.model || configured;
+};
+
+/**
+ * Whether the loaded model produces vectors for the active index. False while a
+ * process still runs the previous model after a re-index switched over.
+ */
+export const isModelCurrent = () => {
+  const loaded = getLoadedModel();
+  if (!loaded) return false;
+  return !activeIndex || (loaded.name === activeIndex.model && loaded.dimension === activeIndex.dimension);
+};
+
+/**
+ * Re-read the active index and check that vectors from a model belong in it.
+ * Catches a re-index switch made since the last reload, which isModelCurrent()
+ * only notices up to a minute later.
+ * @param {{ name: string, dimension: number }} model - Model the vectors came from
+ * @returns {Promise<boolean>}
+ */
+export const isModelActive = async (model) => {
+  const index = await syncActiveIndex();
+  return Boolean(model) && (!index || (index.model === model.name && index.dimension === model.dimension));
+};
+
+/**
+ * Reload the active index every minute and switch to its model when a re-index
+ * (possibly in another process) has activated a new one
+ * @param {object} [options] - { loadModel: false to only track the index (model disabled) }
+ */
+export const watchActiveIndex = ({ loadModel = true } = {}) => {
+  if (watchInterval) return;
+
+  watchInterval = setInterval(async () => {
+    try {
+      const index = await syncActiveIndex();
+      const loaded = getLoadedModel();
+      if (loadModel && index && loaded && loaded.name !== index.model) {
+        console.log(`🔄 Embedding index switched to ${index.model}, loading it...`);
+        await initAIModel(index.model);
+      }
+    } catch (error) {
+      console.error('Error refreshing embedding index:', error.message);
+    }
+  }, WATCH_INTERVAL);
+  watchInterval.unref();
+};
+
+/**
+ * Stop watching for index switches
+ */
+export const unwatchActiveIndex = () => {
+  if (watchInterval) {
+    clearInterval(watchInterval);
+    watchInterval = null;
+  }
+};
+
+export default {
+  syncActiveIndex,
+  getActiveIndex,
+  getActiveModelName,
+  isModelCurrent,
+  isModelActive,
+  watchActiveIndex,
+  unwatchActiveIndex,
+};
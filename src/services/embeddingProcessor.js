@@ -1,188 +1,266 @@
 import Image from '../models/Image.js';
-import { generateImageEmbedding, isAIModelReady } from './aiService.js';
-import { getQdrantClient, isQdrantConnected, checkQdrantHealth } from '../config/qdrant.js';
+import { generateImageEmbeddings, getLoadedModel, isAIModelReady, isAIModelDisabled } from './aiService.js';
+import { isModelCurrent, isModelActive } from './embeddingIndexService.js';
+import storageService from './storageService.js';
+import vectorStore from './vectorStoreService.js';
+import { suggestTagsForImage } from './tagService.js';
+import jobQueue, { RequeueJob } from './jobQueue.js';
+import { startHeartbeat, getWorkerStatus } from './workerHeartbeatService.js';
 
-const MAX_EMBEDDING_ATTEMPTS = 5;
-const RETRY_DELAY = 60000; // 1 minute
-let isProcessing = false;
-let processingInterval = null;
+export const EMBEDDING_QUEUE = 'embedding';
+
+const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+let worker = null;
+let heartbeat = null;
+let sweepInterval = null;
+
+const getMaxAttempts = () => parseInt(process.env.MAX_EMBEDDING_ATTEMPTS) || 5;
 
 /**
- * Process a single image for embedding
+ * Worker settings from EMBEDDING_CONCURRENCY, EMBEDDING_BATCH_SIZE, EMBEDDING_LEASE_SECONDS,
+ * EMBEDDING_POLL_INTERVAL_MS and EMBEDDING_RETRY_DELAY_MS
  */
-const processImageEmbedding = async (image) => {
-  try {
-    console.log(`Processing embedding for image: ${image._id}`);
-    
-    // Update status to processing
-    await Image.findByIdAndUpdate(image._id, {
-      embeddingStatus: 'processing',
-      lastEmbeddingAttempt: new Date(),
-      $inc: { embeddingAttempts: 1 },
-    });
+const getWorkerOptions = () => ({
+  concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY) || 1,
+  // Images per CLIP forward pass and vector store upsert
+  batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 8,
+  leaseMs: (parseInt(process.env.EMBEDDING_LEASE_SECONDS) || 300) * 1000,
+  pollIntervalMs: parseInt(process.env.EMBEDDING_POLL_INTERVAL_MS) || 10000,
+  retryDelayMs: parseInt(process.env.EMBEDDING_RETRY_DELAY_MS) || 60000,
+});
 
-    // Generate embedding
-    const embedding = await generateImageEmbedding(image.filePath);
-    
-    // Store in Qdrant if available
-    if (isQdrantConnected()) {
-      await checkQdrantHealth();
-      const qdrant = getQdrantClient();
-      
-      if (qdrant) {
-        await qdrant.upsert(process.env.QDRANT_COLLECTION, {
-          wait: true,
-          points: [
-            {
-              id: image.qdrantId,
-              vector: embedding,
-              payload: {
-                imageId: image._id.toString(),
-                userId: image.user.toString(),
-                filename: image.filename,
-              },
-            },
-          ],
-        });
-      }
-    }
+/**
+ * Whether images are embedded by the standalone worker (npm run worker) rather than
+ * this process: EMBEDDING_WORKER=external, or the model is disabled here
+ */
+export const usesExternalWorker = () => process.env.EMBEDDING_WORKER === 'external' || isAIModelDisabled();
 
-    // Mark as completed
-    await Image.findByIdAndUpdate(image._id, {
-      isEmbedded: true,
-      embeddingStatus: 'completed',
-      embeddingError: null,
-    });
+/**
+ * Whether uploads may embed right away in this process
+ */
+export const isInlineEmbeddingEnabled = () => !usesExternalWorker() && isAIModelReady() && isModelCurrent();
 
-    console.log(`✅ Embedding completed for image: ${image._id}`);
-    return true;
-  } catch (error) {
-    console.error(`❌ Embedding failed for image ${image._id}:`, error.message);
-    
-    // Update with error
-    await Image.findByIdAndUpdate(image._id, {
-      embeddingStatus: 'failed',
-      embeddingError: error.message,
-    });
+/**
+ * The model is loaded and matches the active embedding index
+ */
+const isModelReady = () => Boolean(isAIModelReady()) && isModelCurrent();
 
-    return false;
-  }
-};
+/**
+ * Worker gate: the model is ready and there is a vector store to write to
+ */
+const isReadyToEmbed = () => isModelReady() && vectorStore.isAvailable();
 
 /**
- * Process all pending embeddings
+ * Embed a batch of images (the job handler): one CLIP forward pass and one
+ * vector store upsert for the whole batch
+ * @param {object[]} jobs - Claimed embedding jobs (key = image ID)
+ * @returns {Promise<(Error|null)[]>} - Outcome per job
  */
-export const processPendingEmbeddings = async () => {
-  if (isProcessing) {
-    console.log('Embedding processor already running, skipping...');
-    return;
-  }
+const processEmbeddingBatch = async (jobs) => {
+  const images = await Image.find({ _id: { $in: jobs.map(job => job.key) } });
+  const imagesById = new Map(images.map(image => [image._id.toString(), image]));
+  const outcomes = jobs.map(() => null);
 
-  if (!isAIModelReady()) {
-    console.log('AI model not ready, skipping embedding processing');
-    return;
+  // Images deleted since they were queued need nothing
+  const work = jobs
+    .map((job, index) => ({ job, index, image: imagesById.get(job.key) }))
+    .filter(item => item.image);
+  if (work.length === 0) return outcomes;
+
+  // Fail the batch rather than mark images embedded without a vector; the queue retries it
+  if (!(await vectorStore.checkHealth())) {
+    throw new Error('Vector store is not available');
   }
 
-  isProcessing = true;
-
-  try {
-    // Find images that need embedding
-    const imagesToProcess = await Image.find({
-      $or: [
-        { embeddingStatus: 'pending' },
-        {
-          embeddingStatus: 'failed',
-          embeddingAttempts: { $lt: MAX_EMBEDDING_ATTEMPTS },
-          $or: [
-            { lastEmbeddingAttempt: { $exists: false } },
-            { lastEmbeddingAttempt: { $lt: new Date(Date.now() - RETRY_DELAY) } },
-          ],
-        },
-      ],
-    }).limit(10); // Process 10 at a time
-
-    if (imagesToProcess.length === 0) {
-      console.log('No pending embeddings to process');
-      isProcessing = false;
-      return;
+  console.log(`📊 Embedding batch of ${work.length} image(s)`);
+
+  await Image.bulkWrite(work.map(({ job, image }) => ({
+    updateOne: {
+      filter: { _id: image._id },
+      update: { embeddingStatus: 'processing', lastEmbeddingAttempt: new Date(), embeddingAttempts: job.attempts },
+    },
+  })));
+
+  // Generate embeddings; an unreadable image only fails its own job
+  const model = getLoadedModel();
+  const results = await generateImageEmbeddings(
+    work.map(({ image }) => storageService.getFullPath(image.filePath))
+  );
+  const embedded = [];
+  results.forEach((result, position) => {
+    if (result.error) {
+      outcomes[work[position].index] = result.error;
+    } else {
+      embedded.push({ ...work[position], embedding: result.embedding });
     }
+  });
+  if (embedded.length === 0) return outcomes;
 
-    console.log(`📊 Processing ${imagesToProcess.length} pending embeddings...`);
+  // After a re-index switch the store writes to the new collection; vectors from the
+  // previous model don't belong there, so the batch waits for the new model (this
+  // process stops claiming jobs until the index watcher has loaded it)
+  if (!(await isModelActive(model))) {
+    console.warn(`⚠️  Active embedding index no longer uses ${model.name}; putting the batch back`);
+    throw new RequeueJob(`Embedded with ${model.name}, which is no longer the active model`);
+  }
+
+  await vectorStore.upsert(embedded.map(({ image, embedding }) => ({
+    id: image.qdrantId,
+    vector: embedding,
+    payload: vectorStore.buildImagePayload(image),
+  })));
 
-    // Process images sequentially to avoid overloading
-    let successCount = 0;
-    let failCount = 0;
+  // Suggest tags from the owner's vocabulary using the same embeddings
+  for (const { image, embedding } of embedded) {
+    await suggestTagsForImage(image, embedding);
+  }
 
-    for (const image of imagesToProcess) {
-      const success = await processImageEmbedding(image);
-      if (success) {
-        successCount++;
-      } else {
-        failCount++;
-      }
+  // Mark as completed
+  await Image.updateMany(
+    { _id: { $in: embedded.map(({ image }) => image._id) } },
+    {
+      isEmbedded: true,
+      embeddingStatus: 'completed',
+      embeddingError: null,
+      embeddingModel: model.name,
+      embeddingDimension: model.dimension,
     }
+  );
+
+  console.log(`✅ Embedded ${embedded.length} image(s)`);
+  return outcomes;
+};
 
-    console.log(`✅ Embedding batch complete: ${successCount} succeeded, ${failCount} failed`);
+/**
+ * Record a failed attempt on the image (retried later, or given up after MAX_EMBEDDING_ATTEMPTS)
+ */
+const handleEmbeddingFailure = async (job, error, dead) => {
+  console.error(`❌ Embedding failed for image ${job.key}:`, error.message);
 
-    // Get remaining count
-    const remainingCount = await Image.countDocuments({
-      embeddingStatus: { $in: ['pending', 'failed'] },
-      embeddingAttempts: { $lt: MAX_EMBEDDING_ATTEMPTS },
+  await Image.findByIdAndUpdate(job.key, {
+    embeddingStatus: 'failed',
+    embeddingError: error.message,
+    embeddingAttempts: dead ? Math.max(job.attempts, job.maxAttempts) : job.attempts,
+  });
+};
+
+/**
+ * Queue an image for embedding
+ * @param {string} imageId - Image ID
+ * @returns {Promise<boolean>} - Whether it was queued (false if already being processed)
+ */
+export const enqueueEmbedding = async (imageId) => {
+  return jobQueue.enqueue(EMBEDDING_QUEUE, imageId, { maxAttempts: getMaxAttempts() });
+};
+
+/**
+ * Queue every image that still needs an embedding but has no job
+ * (images from before the queue existed, or whose enqueue failed)
+ * @returns {Promise<number>} - Number of jobs added
+ */
+export const enqueueMissingEmbeddings = async () => {
+  const maxAttempts = getMaxAttempts();
+  let added = 0;
+
+  const cursor = Image.find({
+    $or: [
+      { embeddingStatus: { $in: ['pending', 'processing'] } },
+      { embeddingStatus: 'failed', embeddingAttempts: { $lt: maxAttempts } },
+    ],
+  }).select('_id embeddingAttempts').cursor();
+
+  for await (const image of cursor) {
+    const queued = await jobQueue.enqueue(EMBEDDING_QUEUE, image._id, {
+      maxAttempts,
+      attempts: Math.min(image.embeddingAttempts || 0, maxAttempts - 1),
+      replaceExisting: false,
     });
+    if (queued) added++;
+  }
 
-    if (remainingCount > 0) {
-      console.log(`📊 ${remainingCount} images still need embedding`);
-    }
-  } catch (error) {
-    console.error('Error in embedding processor:', error);
-  } finally {
-    isProcessing = false;
+  if (added > 0) {
+    console.log(`📊 Queued ${added} images that still need embedding`);
   }
+  return added;
 };
 
 /**
- * Start the background embedding processor
+ * Start the embedding worker. Safe to run in several processes at once:
+ * each job is leased to one worker, and jobs of a crashed worker are
+ * picked up again once their lease runs out.
  */
 export const startEmbeddingProcessor = () => {
-  if (processingInterval) {
+  if (worker) {
     console.log('Embedding processor already started');
     return;
   }
 
   console.log('🚀 Starting background embedding processor...');
-  
-  // Process immediately
-  processPendingEmbeddings();
-  
-  // Then process every 2 minutes
-  processingInterval = setInterval(() => {
-    processPendingEmbeddings();
-  }, 120000); // 2 minutes
+
+  worker = jobQueue.startWorker(EMBEDDING_QUEUE, processEmbeddingBatch, {
+    ...getWorkerOptions(),
+    isReady: isReadyToEmbed,
+    onFailure: handleEmbeddingFailure,
+  });
+
+  // Shown in /health so the API can tell whether anyone is embedding
+  const current = worker;
+  heartbeat = startHeartbeat(current.id, EMBEDDING_QUEUE, () => ({
+    modelReady: isModelReady(),
+    vectorStoreReady: vectorStore.isAvailable(),
+    model: getLoadedModel()?.name,
+    concurrency: current.concurrency,
+    ...current.getStats(),
+  }));
+
+  const sweep = () => enqueueMissingEmbeddings()
+    .catch(err => console.error('Error queuing missing embeddings:', err.message));
+  sweep();
+  sweepInterval = setInterval(sweep, SWEEP_INTERVAL);
 };
 
 /**
- * Stop the background embedding processor
+ * Stop the embedding worker, letting running jobs finish
  */
-export const stopEmbeddingProcessor = () => {
-  if (processingInterval) {
-    clearInterval(processingInterval);
-    processingInterval = null;
+export const stopEmbeddingProcessor = async () => {
+  if (sweepInterval) {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+  }
+  if (worker) {
+    const stopping = { worker, heartbeat };
+    worker = null;
+    heartbeat = null;
+    await stopping.worker.stop();
+    await stopping.heartbeat.stop();
     console.log('Embedding processor stopped');
   }
 };
 
+/**
+ * Embedding workers (in any process) that reported recently
+ * @returns {Promise<{ alive: number, workers: object[] }>}
+ */
+export const getEmbeddingWorkerStatus = async () => {
+  return getWorkerStatus(EMBEDDING_QUEUE);
+};
+
 /**
  * Get embedding statistics
  */
 export const getEmbeddingStats = async (userId) => {
   const query = userId ? { user: userId } : {};
+  const MAX_EMBEDDING_ATTEMPTS = getMaxAttempts();
   
-  const [total, embedded, pending, processing, failed] = await Promise.all([
+  const [total, embedded, pending, processing, failed, exhausted, queue] = await Promise.all([
     Image.countDocuments(query),
     Image.countDocuments({ ...query, isEmbedded: true }),
     Image.countDocuments({ ...query, embeddingStatus: 'pending' }),
     Image.countDocuments({ ...query, embeddingStatus: 'processing' }),
     Image.countDocuments({ ...query, embeddingStatus: 'failed', embeddingAttempts: { $lt: MAX_EMBEDDING_ATTEMPTS } }),
+    Image.countDocuments({ ...query, embeddingStatus: 'failed', embeddingAttempts: { $gte: MAX_EMBEDDING_ATTEMPTS } }),
+    // Job counts cover every user, so only report them in the global stats
+    userId ? null : jobQueue.getStats(EMBEDDING_QUEUE),
   ]);
 
   return {
@@ -191,13 +269,48 @@ export const getEmbeddingStats = async (userId) => {
     pending,
     processing,
     failed,
+    // Failed too often to be retried automatically
+    exhausted,
     percentage: total > 0 ? Math.round((embedded / total) * 100) : 0,
+    ...(queue && { queue }),
   };
 };
 
+/**
+ * Give failed images a fresh set of attempts and start processing them
+ * @param {string} [userId] - Only this user's images
+ * @returns {Promise<number>} - Number of images requeued
+ */
+export const requeueFailedEmbeddings = async (userId) => {
+  const query = { embeddingStatus: 'failed' };
+  if (userId) query.user = userId;
+
+  const imageIds = await Image.find(query).distinct('_id');
+  if (imageIds.length === 0) return 0;
+
+  await Image.updateMany({ _id: { $in: imageIds } }, {
+    embeddingStatus: 'pending',
+    embeddingAttempts: 0,
+    embeddingError: null,
+  });
+
+  // Resets dead-lettered jobs too
+  for (const imageId of imageIds) {
+    await enqueueEmbedding(imageId);
+  }
+
+  console.log(`📊 Requeued ${imageIds.length} failed embeddings`);
+  return imageIds.length;
+};
+
 export default {
-  processPendingEmbeddings,
+  enqueueEmbedding,
+  enqueueMissingEmbeddings,
   startEmbeddingProcessor,
   stopEmbeddingProcessor,
+  usesExternalWorker,
+  isInlineEmbeddingEnabled,
+  getEmbeddingWorkerStatus,
   getEmbeddingStats,
+  requeueFailedEmbeddings,
 };
@@ -0,0 +1,79 @@
+import exifr from 'exifr';
+
+/**
+ * Round to a fixed number of decimals, dropping non-finite values
+ */
+const toNumber = (value, decimals = 6) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) return undefined;
+  return Number(number.toFixed(decimals));
+};
+
+const toText = (value) => {
+  if (typeof value !== 'string') return undefined;
+  const text = value.replace(/\0/g, '').trim();
+  return text || undefined;
+};
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Extract capture date, camera, exposure and GPS data from image EXIF
+ * @param {Buffer|string} input - Image buffer or local file path
+ * @returns {Promise<object>} - { captureDate, exif, gps } (empty object if no EXIF)
+ */
+export const extractExifMetadata = async (input) => {
+  try {
+    const tags = await exifr.parse(input, {
+      tiff: true,
+      exif: true,
+      gps: true,
+      // Keep numeric values (e.g. Orientation 6 instead of "Rotate 90 CW")
+      translateValues: false,
+      reviveValues: true,
+    });
+
+    if (!tags) {
+      return {};
+    }
+
+    const exif = {
+      cameraMake: toText(tags.Make),
+      cameraModel: toText(tags.Model),
+      lens: toText(tags.LensModel) || toText(tags.LensMake),
+      exposureTime: toNumber(tags.ExposureTime, 8),
+      fNumber: toNumber(tags.FNumber, 2),
+      iso: toNumber(tags.ISO ?? tags.ISOSpeedRatings, 0),
+      focalLength: toNumber(tags.FocalLength, 2),
+      orientation: toNumber(tags.Orientation, 0),
+    };
+
+    const metadata = {
+      captureDate: toDate(tags.DateTimeOriginal) || toDate(tags.CreateDate),
+      exif,
+    };
+
+    const latitude = toNumber(tags.latitude);
+    const longitude = toNumber(tags.longitude);
+    if (latitude !== undefined && longitude !== undefined &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      let altitude = toNumber(tags.GPSAltitude, 2);
+      // GPSAltitudeRef 1 means below sea level
+      if (altitude !== undefined && tags.GPSAltitudeRef === 1) altitude = -altitude;
+
+      metadata.gps = { latitude, longitude, altitude };
+    }
+
+    return metadata;
+  } catch (error) {
+    // Missing or corrupt EXIF should never block an upload
+    console.warn('⚠️  Failed to parse EXIF metadata:', error.message);
+    return {};
+  }
+};
+
+export default { extractExifMetadata };
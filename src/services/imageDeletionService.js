@@ -0,0 +1,70 @@
+import Collection from '../models/Collection.js';
+import ShareLink from '../models/ShareLink.js';
+import { withTransaction } from '../config/database.js';
+import storageService from './storageService.js';
+import vectorStore from './vectorStoreService.js';
+import { deleteDerivatives } from './derivativeService.js';
+import { releaseQuota } from './quotaService.js';
+import jobQueue from './jobQueue.js';
+import { EMBEDDING_QUEUE } from './embeddingProcessor.js';
+
+/**
+ * Delete an image everywhere it lives: stored file, derivatives, vector point,
+ * collection memberships, share links, queued jobs and the MongoDB document.
+ * Storage and vector store failures are logged and do not stop the deletion.
+ * @param {object} image - Image document
+ */
+export const deleteImageCompletely = async (image) => {
+  // Delete from storage
+  try {
+    console.log(`Deleting file from storage: ${image.filePath}`);
+    await storageService.deleteFile(image.filePath);
+    console.log(`✅ File deleted from storage: ${image.filePath}`);
+  } catch (error) {
+    console.error('❌ Failed to delete file from storage:', error.message);
+    // Continue with other deletions even if storage deletion fails
+  }
+
+  // Delete derivatives from storage
+  await deleteDerivatives(image);
+
+  // Delete from the vector store (if available)
+  if (vectorStore.isAvailable() && image.qdrantId) {
+    try {
+      await vectorStore.delete([image.qdrantId]);
+      console.log(`✅ Embedding deleted from the vector store: ${image.qdrantId}`);
+    } catch (error) {
+      console.warn('⚠️  Failed to delete from the vector store:', error.message);
+    }
+  }
+
+  // Remove from collections (and as their cover) together with the document
+  await withTransaction(async (session) => {
+    await Collection.updateMany(
+      { images: image._id },
+      { $pull: { images: image._id } },
+      { session }
+    );
+
+    await Collection.updateMany(
+      { coverImage: image._id },
+      { $unset: { coverImage: 1 } },
+      { session }
+    );
+
+    await ShareLink.deleteMany({ resourceType: 'image', resource: image._id }, { session });
+
+    // Delete from MongoDB and give the space back
+    await image.deleteOne({ session });
+    await releaseQuota(image.user, { bytes: image.fileSize || 0, images: 1 }, session);
+  });
+
+  // A leftover job would find no image and finish as a no-op anyway
+  try {
+    await jobQueue.remove(EMBEDDING_QUEUE, image._id);
+  } catch (error) {
+    console.warn('⚠️  Failed to remove embedding job:', error.message);
+  }
+};
+
+export default { deleteImageCompletely };
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import Image from '../models/Image.js';
+import storageService from './storageService.js';
+
+/**
+ * SHA-256 of the file contents (exact duplicates)
+ * @param {Buffer} fileBuffer - Image contents
+ * @returns {string} - Hex digest
+ */
+export const computeContentHash = (fileBuffer) => {
+  return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+};
+
+/**
+ * 64-bit difference hash (near duplicates survive resizing and re-encoding)
+ * @param {Buffer} fileBuffer - Image contents
+ * @returns {Promise<string>} - 16 hex characters
+ */
+export const computePerceptualHash = async (fileBuffer) => {
+  // 9x8 grayscale: each row yields 8 "left brighter than right" bits
+  const pixels = await sharp(fileBuffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Compute both hashes for an image
+ * @param {Buffer} fileBuffer - Image contents
+ * @returns {Promise<{ contentHash: string, perceptualHash: string|undefined }>}
+ */
+export const computeImageHashes = async (fileBuffer) => {
+  const contentHash = computeContentHash(fileBuffer);
+
+  let perceptualHash;
+  try {
+    perceptualHash = await computePerceptualHash(fileBuffer);
+  } catch (error) {
+    console.warn('⚠️  Failed to compute perceptual hash:', error.message);
+  }
+
+  return { contentHash, perceptualHash };
+};
+
+/**
+ * Compute and record hashes for an already-stored image
+ * @param {object} image - Image document
+ * @returns {Promise<boolean>} - Whether hashes were stored
+ */
+export const computeHashesForImage = async (image) => {
+  try {
+    const fileBuffer = await storageService.getFile(image.filePath);
+    const hashes = await computeImageHashes(fileBuffer);
+
+    await Image.findByIdAndUpdate(image._id, hashes);
+    return true;
+  } catch (error) {
+    console.error(`❌ Hash computation failed for image ${image._id}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Backfill hashes for images uploaded before hashing existed
+ * @param {object} options - { batchSize, userId }
+ * @returns {Promise<{ processed: number, succeeded: number, failed: number, failedIds: string[] }>}
+ */
+export const backfillImageHashes = async ({ batchSize = 50, userId } = {}) => {
+  const query = { contentHash: { $exists: false } };
+  if (userId) query.user = userId;
+
+  let processed = 0;
+  let succeeded = 0;
+  const failedIds = [];
+
+  // Walk by _id so failed images are not picked up again in the same run
+  let lastId = null;
+  while (true) {
+    const batchQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+    const images = await Image.find(batchQuery).sort({ _id: 1 }).limit(batchSize);
+
+    if (images.length === 0) {
+      break;
+    }
+
+    for (const image of images) {
+      processed++;
+      if (await computeHashesForImage(image)) {
+        succeeded++;
+      } else {
+        failedIds.push(image._id.toString());
+      }
+    }
+
+    lastId = images[images.length - 1]._id;
+    console.log(`📊 Hash backfill: ${succeeded}/${processed} images processed`);
+  }
+
+  return { processed, succeeded, failed: failedIds.length, failedIds };
+};
+
+export default {
+  computeContentHash,
+  computePerceptualHash,
+  computeImageHashes,
+  computeHashesForImage,
+  backfillImageHashes,
+};
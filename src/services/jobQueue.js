@@ -0,0 +1,328 @@
+import os from 'os';
+import crypto from 'crypto';
+import MongoQueueDriver from './queue/mongoDriver.js';
+
+const drivers = {
+  mongo: MongoQueueDriver,
+};
+
+const DEFAULT_WORKER_OPTIONS = {
+  concurrency: 1,
+  batchSize: 1,
+  leaseMs: 5 * 60 * 1000,
+  pollIntervalMs: 10000,
+  maxAttempts: 5,
+  retryDelayMs: 60000,
+  maxRetryDelayMs: 60 * 60 * 1000,
+};
+
+/**
+ * Handler outcome that puts a job back in the queue without using up an attempt,
+ * for jobs this process can't run right now but another one can
+ */
+export class RequeueJob extends Error {}
+
+const createWorkerId = () => `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Exponential backoff with jitter: retryDelayMs, 2x, 4x, ... up to maxRetryDelayMs
+ */
+const getRetryDelay = (attempts, { retryDelayMs, maxRetryDelayMs }) => {
+  const delay = Math.min(retryDelayMs * 2 ** (attempts - 1), maxRetryDelayMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Job Queue Service - background jobs in a pluggable queue driver
+ * Driver is selected with JOB_QUEUE_DRIVER (mongo), default mongo.
+ * Other drivers can be added with registerDriver().
+ *
+ * Jobs are leased, not locked forever: a worker holds a job for leaseMs and
+ * keeps extending the lease while it runs. If the process dies, the lease
+ * runs out and another worker (in this or another process) picks the job up.
+ * Failed jobs are retried with exponential backoff and dead-lettered after
+ * maxAttempts. A handler that fails a job with a RequeueJob error puts it back
+ * as it was.
+ *
+ * Every driver implements:
+ *   enqueue(queue, key, options), claim(queue, workerId, leaseMs),
+ *   extendLease(job, leaseMs), complete(job), fail(job, error, retryAt),
+ *   release(job), remove(queue, key), getStats(queue)
+ */
+class JobQueueService {
+  constructor() {
+    // Don't pick a driver here - env vars not loaded yet
+    this.driver = null;
+    this.workers = new Set();
+  }
+
+  /**
+   * Make a driver available under a JOB_QUEUE_DRIVER name
+   * @param {string} name - Driver name
+   * @param {Function} Driver - Driver class
+   */
+  registerDriver(name, Driver) {
+    drivers[name] = Driver;
+    this.driver = null;
+  }
+
+  /**
+   * Get the active driver, creating it on first use
+   */
+  getDriver() {
+    if (!this.driver) {
+      const driverName = process.env.JOB_QUEUE_DRIVER || 'mongo';
+      const Driver = drivers[driverName];
+      if (!Driver) {
+        throw new Error(
+          `Unknown JOB_QUEUE_DRIVER "${driverName}". Expected one of: ${Object.keys(drivers).join(', ')}`
+        );
+      }
+      this.driver = new Driver();
+    }
+    return this.driver;
+  }
+
+  /**
+   * Queue a job. A job with the same key is reset to run again (with a fresh
+   * set of attempts), unless it is running; pass replaceExisting: false to
+   * only add missing jobs.
+   * @param {string} queue - Queue name
+   * @param {string} key - Job key (e.g. image ID)
+   * @param {object} [options] - { payload, maxAttempts, attempts, runAt, replaceExisting }
+   * @returns {Promise<boolean>} - Whether a job was queued
+   */
+  async enqueue(queue, key, options = {}) {
+    const queued = await this.getDriver().enqueue(queue, String(key), {
+      maxAttempts: DEFAULT_WORKER_OPTIONS.maxAttempts,
+      ...options,
+    });
+
+    if (queued) {
+      this.wake(queue);
+    }
+    return queued;
+  }
+
+  /**
+   * Remove a job whatever its state
+   */
+  async remove(queue, key) {
+    await this.getDriver().remove(queue, String(key));
+  }
+
+  /**
+   * Run a one-off task in at most one process at a time. The task is held as
+   * a job, so if the process running it dies, another one can take over once
+   * the lease runs out.
+   * @param {string} queue - Queue name (used only for this task)
+   * @param {string} key - Task key
+   * @param {() => Promise<void>} task - Task to run
+   * @param {object} [options] - { leaseMs }
+   * @returns {Promise<boolean>} - false if another process is running it
+   */
+  async runExclusive(queue, key, task, { leaseMs = DEFAULT_WORKER_OPTIONS.leaseMs } = {}) {
+    const driver = this.getDriver();
+
+    await driver.enqueue(queue, String(key), { maxAttempts: DEFAULT_WORKER_OPTIONS.maxAttempts });
+    const job = await driver.claim(queue, createWorkerId(), leaseMs);
+    if (!job) return false;
+
+    const heartbeat = setInterval(() => {
+      driver.extendLease(job, leaseMs)
+        .catch(err => console.error(`Failed to extend lease on ${queue} job ${job.key}:`, err.message));
+    }, Math.max(Math.floor(leaseMs / 3), 1000));
+
+    try {
+      await task();
+      await driver.complete(job);
+      return true;
+    } catch (error) {
+      await driver.fail(job, error.message, new Date());
+      throw error;
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Job counts by status for a queue
+   */
+  async getStats(queue) {
+    return this.getDriver().getStats(queue);
+  }
+
+  /**
+   * Let idle workers of a queue in this process look for work right away
+   */
+  wake(queue) {
+    for (const worker of this.workers) {
+      if (worker.queue === queue) worker.wake();
+    }
+  }
+
+  /**
+   * Start processing a queue in this process
+   * @param {string} queue - Queue name
+   * @param {Function} handler - (job) => Promise<void>, throwing to fail the attempt; with
+   *   batchSize > 1, (jobs) => Promise<(Error|null)[]> with one outcome per job (throw to fail all).
+   *   A RequeueJob error puts the job back without counting the attempt.
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - Handler calls run at the same time
+   * @param {number} [options.batchSize] - Most jobs claimed for one handler call
+   * @param {number} [options.leaseMs] - How long a claimed job is held between lease extensions
+   * @param {number} [options.pollIntervalMs] - Wait between polls when the queue is empty
+   * @param {number} [options.retryDelayMs] - Delay before the first retry (doubles each attempt)
+   * @param {number} [options.maxRetryDelayMs] - Longest retry delay
+   * @param {() => boolean} [options.isReady] - Don't claim jobs while this returns false
+   * @param {(job: object, error: Error, dead: boolean) => Promise<void>} [options.onFailure] - Called after a failed attempt
+   * @returns {{ id: string, getStats: () => object, stop: () => Promise<void> }}
+   */
+  startWorker(queue, handler, options = {}) {
+    const settings = { ...DEFAULT_WORKER_OPTIONS, ...options };
+    const driver = this.getDriver();
+    const workerId = createWorkerId();
+
+    let running = true;
+    const stats = { active: 0, processed: 0, failed: 0 };
+    const sleepers = new Set();
+    const sleep = (ms) => new Promise(resolve => {
+      const wakeUp = () => {
+        clearTimeout(timer);
+        sleepers.delete(wakeUp);
+        resolve();
+      };
+      const timer = setTimeout(wakeUp, ms);
+      sleepers.add(wakeUp);
+    });
+
+    // Batch handlers report one outcome per job; a single-job handler just throws
+    const runHandler = settings.batchSize > 1
+      ? handler
+      : async ([job]) => {
+        try {
+          await handler(job);
+          return [null];
+        } catch (error) {
+          return [error];
+        }
+      };
+
+    const settleFailure = async (job, error) => {
+      stats.failed++;
+      const dead = job.attempts >= job.maxAttempts;
+      const retryAt = dead ? null : new Date(Date.now() + getRetryDelay(job.attempts, settings));
+      await driver.fail(job, error.message, retryAt);
+
+      if (dead) {
+        console.error(`❌ ${queue} job ${job.key} failed ${job.attempts} times, moved to dead letters`);
+      }
+      if (settings.onFailure) await settings.onFailure(job, error, dead);
+    };
+
+    const runJobs = async (claimed) => {
+      // A job whose leases kept running out has used up its attempts already
+      const jobs = [];
+      for (const job of claimed) {
+        if (job.attempts > job.maxAttempts) {
+          await settleFailure(job, new Error('Job lease expired too many times'));
+        } else {
+          jobs.push(job);
+        }
+      }
+      if (jobs.length === 0) return;
+
+      // Keep the leases while the handler runs
+      const heartbeat = setInterval(() => {
+        for (const job of jobs) {
+          driver.extendLease(job, settings.leaseMs)
+            .then(held => {
+              if (!held) console.warn(`⚠️  Lost lease on ${queue} job ${job.key}`);
+            })
+            .catch(err => console.error(`Failed to extend lease on ${queue} job ${job.key}:`, err.message));
+        }
+      }, Math.max(Math.floor(settings.leaseMs / 3), 1000));
+
+      stats.active += jobs.length;
+      try {
+        let outcomes;
+        try {
+          outcomes = await runHandler(jobs);
+        } catch (error) {
+          // The whole batch failed
+          outcomes = jobs.map(() => error);
+        }
+
+        for (const [index, job] of jobs.entries()) {
+          const error = outcomes?.[index];
+          if (error instanceof RequeueJob) {
+            await driver.release(job);
+          } else if (error) {
+            await settleFailure(job, error);
+          } else {
+            await driver.complete(job);
+            stats.processed++;
+          }
+        }
+      } finally {
+        stats.active -= jobs.length;
+        clearInterval(heartbeat);
+      }
+    };
+
+    const claimJobs = async () => {
+      const jobs = [];
+      while (jobs.length < settings.batchSize) {
+        const job = await driver.claim(queue, workerId, settings.leaseMs);
+        if (!job) break;
+        jobs.push(job);
+      }
+      return jobs;
+    };
+
+    const loop = async () => {
+      while (running) {
+        let jobs = [];
+        try {
+          if (!settings.isReady || settings.isReady()) {
+            jobs = await claimJobs();
+          }
+          if (jobs.length > 0) {
+            await runJobs(jobs);
+          }
+        } catch (error) {
+          console.error(`Error in ${queue} worker:`, error.message);
+        }
+
+        if (jobs.length === 0 && running) {
+          await sleep(settings.pollIntervalMs);
+        }
+      }
+    };
+
+    const loops = Array.from({ length: Math.max(settings.concurrency, 1) }, () => loop());
+
+    const worker = {
+      queue,
+      id: workerId,
+      concurrency: settings.concurrency,
+      // Jobs running now, and finished since the worker started
+      getStats: () => ({ ...stats }),
+      wake: () => sleepers.forEach(wakeUp => wakeUp()),
+      stop: async () => {
+        running = false;
+        worker.wake();
+        // Let running jobs finish; unfinished leases are picked up elsewhere
+        await Promise.all(loops);
+        this.workers.delete(worker);
+      },
+    };
+
+    this.workers.add(worker);
+    console.log(`🚀 Started ${queue} worker ${workerId} (concurrency ${settings.concurrency}, batch size ${settings.batchSize})`);
+    return worker;
+  }
+}
+
+// Export singleton instance
+export default new JobQueueService();
@@ -0,0 +1,79 @@
+import User from '../models/User.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const getSettings = () => ({
+  // Failed attempts allowed before the first lockout
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  // First lockout length; doubles with every further failure
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 1) * MINUTE_MS,
+  maxLockoutMs: (parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 60) * MINUTE_MS,
+  // Failures older than this no longer count
+  resetAfterMs: (parseInt(process.env.LOGIN_ATTEMPT_RESET_HOURS) || 24) * 60 * MINUTE_MS,
+});
+
+/**
+ * Seconds until a locked account can try again, or 0 if it is not locked
+ * @param {object} user - User document
+ */
+export const getLockoutRemaining = (user) => {
+  const lockedUntil = user.failedLogins?.lockedUntil;
+  if (!lockedUntil) return 0;
+  return Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+/**
+ * Count a failed login and lock the account once too many have failed.
+ * Each failure past the limit doubles the lockout, up to LOGIN_MAX_LOCKOUT_MINUTES.
+ * @param {string} userId - User ID
+ * @returns {Promise<{ attempts: number, lockedUntil: Date|null }>}
+ */
+export const recordFailedLogin = async (userId) => {
+  const { maxAttempts, lockoutMs, maxLockoutMs, resetAfterMs } = getSettings();
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - resetAfterMs);
+
+  // Increment atomically, starting over when the last failure is stale
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    [{
+      $set: {
+        'failedLogins.count': {
+          $cond: [
+            { $gt: ['$failedLogins.lastFailedAt', staleBefore] },
+            { $add: [{ $ifNull: ['$failedLogins.count', 0] }, 1] },
+            1,
+          ],
+        },
+        'failedLogins.lastFailedAt': now,
+      },
+    }],
+    { new: true }
+  ).select('failedLogins');
+
+  const attempts = user?.failedLogins?.count || 0;
+  if (attempts < maxAttempts) {
+    return { attempts, lockedUntil: null };
+  }
+
+  const duration = Math.min(lockoutMs * 2 ** (attempts - maxAttempts), maxLockoutMs);
+  const lockedUntil = new Date(now.getTime() + duration);
+  await User.updateOne({ _id: userId }, { 'failedLogins.lockedUntil': lockedUntil });
+
+  console.warn(`⚠️  Account ${userId} locked until ${lockedUntil.toISOString()} after ${attempts} failed logins`);
+  return { attempts, lockedUntil };
+};
+
+/**
+ * Forget failed logins after a successful login or password reset
+ * @param {string} userId - User ID
+ */
+export const clearFailedLogins = async (userId) => {
+  await User.updateOne({ _id: userId }, { $unset: { failedLogins: 1 } });
+};
+
+export default {
+  getLockoutRemaining,
+  recordFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,25 @@
+/**
+ * Console mail transport
+ * Prints messages to stdout instead of sending them (local development)
+ */
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  /**
+   * Send a message
+   * @param {object} message - { from, to, subject, text, html }
+   */
+  async send(message) {
+    console.log('\n📧 ----- Email (console transport) -----');
+    console.log(`From:    ${message.from}`);
+    console.log(`To:      ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('📧 -------------------------------------\n');
+  }
+}
+
+export default ConsoleMailTransport;
@@ -0,0 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * File mail transport
+ * Writes each message as a JSON file under MAIL_FILE_DIR (default "mail"),
+ * so local runs and scripts can read the links that would have been emailed.
+ */
+class FileMailTransport {
+  constructor() {
+    this.name = 'file';
+    this.dir = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+  }
+
+  /**
+   * Send a message
+   * @param {object} message - { from, to, subject, text, html }
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.json`;
+    const filePath = path.join(this.dir, filename);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, date: new Date() }, null, 2));
+
+    console.log(`📧 Email to ${message.to} written to ${filePath}`);
+  }
+}
+
+export default FileMailTransport;
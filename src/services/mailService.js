@@ -0,0 +1,62 @@
+import ConsoleMailTransport from './mail/consoleTransport.js';
+import FileMailTransport from './mail/fileTransport.js';
+
+const transports = {
+  console: ConsoleMailTransport,
+  file: FileMailTransport,
+};
+
+/**
+ * Mail Service - delegates to a pluggable mail transport
+ * Transport is selected with MAIL_TRANSPORT (console | file), default console.
+ * Other transports (SMTP, an email API) can be added with registerTransport().
+ *
+ * Every transport implements:
+ *   send({ from, to, subject, text, html })
+ */
+class MailService {
+  constructor() {
+    // Don't pick a transport here - env vars not loaded yet
+    this.transport = null;
+  }
+
+  /**
+   * Make a transport available under a MAIL_TRANSPORT name
+   * @param {string} name - Transport name
+   * @param {Function} Transport - Class with an async send(message) method
+   */
+  registerTransport(name, Transport) {
+    transports[name] = Transport;
+    this.transport = null;
+  }
+
+  /**
+   * Get the active transport, creating it on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      const transportName = process.env.MAIL_TRANSPORT || 'console';
+      const Transport = transports[transportName];
+      if (!Transport) {
+        throw new Error(
+          `Unknown MAIL_TRANSPORT "${transportName}". Expected one of: ${Object.keys(transports).join(', ')}`
+        );
+      }
+      this.transport = new Transport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {object} message - { to, subject, text, html }; from defaults to MAIL_FROM
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    const from = message.from || process.env.MAIL_FROM || 'SmartGallery <no-reply@smartgallery.local>';
+    await this.getTransport().send({ ...message, from });
+  }
+}
+
+// Export singleton instance
+export default new MailService();
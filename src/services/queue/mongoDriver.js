@@ -0,0 +1,171 @@
+import Job from '../../models/Job.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const toJob = (doc) => doc && {
+  id: doc._id.toString(),
+  queue: doc.queue,
+  key: doc.key,
+  payload: doc.payload,
+  attempts: doc.attempts,
+  maxAttempts: doc.maxAttempts,
+  lockedBy: doc.lockedBy,
+  lockedUntil: doc.lockedUntil,
+  lastError: doc.lastError,
+};
+
+/**
+ * MongoDB job queue driver
+ * Jobs live in the jobs collection. Claiming is a single findOneAndUpdate,
+ * so any number of workers in any number of processes can share a queue.
+ */
+class MongoQueueDriver {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  /**
+   * Add a job, or reset an existing job with the same key to run again
+   * (a job that is running right now is left alone)
+   * @param {string} queue - Queue name
+   * @param {string} key - Job key
+   * @param {object} options - { payload, maxAttempts, attempts, runAt, replaceExisting }
+   * @returns {Promise<boolean>} - Whether a job was queued
+   */
+  async enqueue(queue, key, { payload, maxAttempts, attempts = 0, runAt = new Date(), replaceExisting = true }) {
+    const fields = { payload, maxAttempts, attempts, runAt, status: 'queued' };
+
+    if (!replaceExisting) {
+      try {
+        const result = await Job.updateOne(
+          { queue, key },
+          { $setOnInsert: fields },
+          { upsert: true }
+        );
+        return result.upsertedCount > 0;
+      } catch (error) {
+        // Another process inserted the same job at the same moment
+        if (error.code === DUPLICATE_KEY_ERROR) return false;
+        throw error;
+      }
+    }
+
+    try {
+      await Job.updateOne(
+        { queue, key, status: { $ne: 'active' } },
+        { $set: fields, $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1, completedAt: 1 } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // The upsert collided with the active job of the same key
+      if (error.code === DUPLICATE_KEY_ERROR) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next due job: a queued job whose runAt has passed, or an
+   * active job whose worker's lease ran out (the worker probably died)
+   * @param {string} queue - Queue name
+   * @param {string} workerId - Claiming worker
+   * @param {number} leaseMs - How long the job is held
+   * @returns {Promise<object|null>}
+   */
+  async claim(queue, workerId, leaseMs) {
+    const now = new Date();
+    const doc = await Job.findOneAndUpdate(
+      {
+        queue,
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'active', lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: { status: 'active', lockedBy: workerId, lockedUntil: new Date(now.getTime() + leaseMs) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+    return toJob(doc);
+  }
+
+  /**
+   * Extend the lease of a job this worker still holds
+   * @returns {Promise<boolean>} - false if the lease was lost
+   */
+  async extendLease(job, leaseMs) {
+    const result = await Job.updateOne(
+      { _id: job.id, status: 'active', lockedBy: job.lockedBy },
+      { lockedUntil: new Date(Date.now() + leaseMs) }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Mark a held job as done
+   */
+  async complete(job) {
+    await Job.updateOne(
+      { _id: job.id, status: 'active', lockedBy: job.lockedBy },
+      { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedBy: 1, lockedUntil: 1, lastError: 1 } }
+    );
+  }
+
+  /**
+   * Record a failure: retry at retryAt, or dead-letter when retryAt is null
+   */
+  async fail(job, errorMessage, retryAt) {
+    await Job.updateOne(
+      { _id: job.id, status: 'active', lockedBy: job.lockedBy },
+      {
+        $set: {
+          status: retryAt ? 'queued' : 'dead',
+          runAt: retryAt || new Date(),
+          lastError: errorMessage,
+        },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      }
+    );
+  }
+
+  /**
+   * Put a held job back in the queue without counting the attempt
+   */
+  async release(job) {
+    await Job.updateOne(
+      { _id: job.id, status: 'active', lockedBy: job.lockedBy },
+      {
+        $set: { status: 'queued', runAt: new Date() },
+        $inc: { attempts: -1 },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      }
+    );
+  }
+
+  /**
+   * Remove a job whatever its state (e.g. its image was deleted)
+   */
+  async remove(queue, key) {
+    await Job.deleteOne({ queue, key });
+  }
+
+  /**
+   * Job counts by status
+   * @returns {Promise<{ queued: number, active: number, completed: number, dead: number }>}
+   */
+  async getStats(queue) {
+    const rows = await Job.aggregate([
+      { $match: { queue } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+    const stats = { queued: 0, active: 0, completed: 0, dead: 0 };
+    for (const row of rows) {
+      stats[row._id] = row.count;
+    }
+    return stats;
+  }
+}
+
+export default MongoQueueDriver;
@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Image from '../models/Image.js';
+
+// Defaults per role; 0 means unlimited
+const DEFAULT_LIMITS = {
+  user: { maxBytes: 1073741824, maxImages: 10000 }, // 1GB
+  admin: { maxBytes: 0, maxImages: 0 },
+};
+
+const parseLimit = (value, fallback) => {
+  const number = parseInt(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Quota limits for a role, from QUOTA_MAX_BYTES_<ROLE> / QUOTA_MAX_IMAGES_<ROLE>
+ * (e.g. QUOTA_MAX_BYTES_USER). 0 means unlimited.
+ * @param {string} role - User role
+ * @returns {{ maxBytes: number, maxImages: number }}
+ */
+export const getQuotaLimits = (role = 'user') => {
+  const defaults = DEFAULT_LIMITS[role] || DEFAULT_LIMITS.user;
+  const suffix = role.toUpperCase();
+  return {
+    maxBytes: parseLimit(process.env[`QUOTA_MAX_BYTES_${suffix}`], defaults.maxBytes),
+    maxImages: parseLimit(process.env[`QUOTA_MAX_IMAGES_${suffix}`], defaults.maxImages),
+  };
+};
+
+/**
+ * Recount a user's usage from their images (original files only)
+ * @returns {Promise<{ bytes: number, images: number }>}
+ */
+export const recalculateUsage = async (userId) => {
+  const [totals] = await Image.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, images: { $sum: 1 }, bytes: { $sum: { $ifNull: ['$fileSize', 0] } } } },
+  ]);
+
+  const usage = { bytes: totals?.bytes || 0, images: totals?.images || 0 };
+  await User.updateOne(
+    { _id: userId },
+    { storageUsage: { ...usage, calculatedAt: new Date() } }
+  );
+  return usage;
+};
+
+/**
+ * Get a user's current usage, counting it once for users created before usage was tracked
+ * @returns {Promise<{ bytes: number, images: number }>}
+ */
+export const getUsage = async (userId) => {
+  const user = await User.findById(userId).select('storageUsage');
+  if (!user?.storageUsage?.calculatedAt) {
+    return recalculateUsage(userId);
+  }
+  return { bytes: user.storageUsage.bytes || 0, images: user.storageUsage.images || 0 };
+};
+
+/**
+ * Usage and limits for a user, as reported by /api/auth/me
+ * @param {object} user - User document
+ */
+export const getQuotaStatus = async (user) => {
+  const usage = await getUsage(user._id);
+  const limits = getQuotaLimits(user.role);
+  return {
+    usage,
+    limits,
+    remaining: {
+      bytes: limits.maxBytes ? Math.max(limits.maxBytes - usage.bytes, 0) : null,
+      images: limits.maxImages ? Math.max(limits.maxImages - usage.images, 0) : null,
+    },
+  };
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1073741824) return `${(bytes / 1073741824).toFixed(2)} GB`;
+  if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+};
+
+/**
+ * Reserve quota for an upload before anything is written to storage.
+ * The check and the increment are one atomic update, so parallel uploads
+ * cannot overshoot the limit. Release the reservation if the upload fails.
+ * @param {object} user - User document
+ * @param {object} amount - { bytes, images }
+ * @returns {Promise<{ allowed: boolean, message?: string, usage: object, limits: object }>}
+ */
+export const reserveQuota = async (user, { bytes, images = 1 }) => {
+  // Make sure counters exist before relying on them
+  await getUsage(user._id);
+
+  const limits = getQuotaLimits(user.role);
+  const conditions = { _id: user._id };
+  // $not/$gt also matches a missing counter (treated as 0)
+  if (limits.maxBytes) conditions['storageUsage.bytes'] = { $not: { $gt: limits.maxBytes - bytes } };
+  if (limits.maxImages) conditions['storageUsage.images'] = { $not: { $gt: limits.maxImages - images } };
+
+  const updated = await User.findOneAndUpdate(
+    conditions,
+    { $inc: { 'storageUsage.bytes': bytes, 'storageUsage.images': images } },
+    { new: true }
+  ).select('storageUsage');
+
+  if (updated) {
+    return {
+      allowed: true,
+      usage: { bytes: updated.storageUsage.bytes, images: updated.storageUsage.images },
+      limits,
+    };
+  }
+
+  const usage = await getUsage(user._id);
+  const message = limits.maxImages && usage.images + images > limits.maxImages
+    ? `Image limit reached: ${usage.images} of ${limits.maxImages} images used, this upload adds ${images}`
+    : `Storage quota exceeded: ${formatBytes(usage.bytes)} of ${formatBytes(limits.maxBytes)} used, this upload needs ${formatBytes(bytes)}`;
+
+  return { allowed: false, message, usage, limits };
+};
+
+/**
+ * Give back quota for a failed upload or a deleted image
+ * @param {string} userId - User ID
+ * @param {object} amount - { bytes, images }
+ * @param {object} [session] - MongoDB session when part of a transaction
+ */
+export const releaseQuota = async (userId, { bytes, images = 1 }, session = null) => {
+  await User.updateOne(
+    { _id: userId, 'storageUsage.calculatedAt': { $exists: true } },
+    { $inc: { 'storageUsage.bytes': -bytes, 'storageUsage.images': -images } },
+    { session }
+  );
+};
+
+export default {
+  getQuotaLimits,
+  recalculateUsage,
+  getUsage,
+  getQuotaStatus,
+  reserveQuota,
+  releaseQuota,
+};
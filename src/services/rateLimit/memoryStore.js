@@ -0,0 +1,55 @@
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory rate limit store
+ * Fixed-window counters kept in this process. Fine for a single instance;
+ * several instances behind a load balancer each count separately.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map();
+
+    // Drop finished windows so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length for a new counter
+   * @returns {Promise<{ count: number, resetAt: Date }>}
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count++;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  /**
+   * Forget a key's counter
+   * @param {string} key - Bucket key
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+export default MemoryRateLimitStore;
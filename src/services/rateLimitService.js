@@ -0,0 +1,70 @@
+import MemoryRateLimitStore from './rateLimit/memoryStore.js';
+
+const stores = {
+  memory: MemoryRateLimitStore,
+};
+
+/**
+ * Rate Limit Service - counts requests in a pluggable store
+ * Store is selected with RATE_LIMIT_STORE (memory), default memory.
+ * Shared stores (Redis, MongoDB) can be added with registerStore() so that
+ * several server instances count together.
+ *
+ * Every store implements:
+ *   increment(key, windowMs) -> { count, resetAt }
+ *   reset(key)
+ */
+class RateLimitService {
+  constructor() {
+    // Don't pick a store here - env vars not loaded yet
+    this.store = null;
+  }
+
+  /**
+   * Make a store available under a RATE_LIMIT_STORE name
+   * @param {string} name - Store name
+   * @param {Function} Store - Class implementing increment() and reset()
+   */
+  registerStore(name, Store) {
+    stores[name] = Store;
+    this.store = null;
+  }
+
+  /**
+   * Get the active store, creating it on first use
+   */
+  getStore() {
+    if (!this.store) {
+      const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+      const Store = stores[storeName];
+      if (!Store) {
+        throw new Error(
+          `Unknown RATE_LIMIT_STORE "${storeName}". Expected one of: ${Object.keys(stores).join(', ')}`
+        );
+      }
+      this.store = new Store();
+    }
+    return this.store;
+  }
+
+  /**
+   * Count a request against a bucket
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{ count: number, resetAt: Date }>}
+   */
+  async hit(key, windowMs) {
+    return this.getStore().increment(key, windowMs);
+  }
+
+  /**
+   * Clear a bucket
+   * @param {string} key - Bucket key
+   */
+  async reset(key) {
+    await this.getStore().reset(key);
+  }
+}
+
+// Export singleton instance
+export default new RateLimitService();
@@ -0,0 +1,344 @@
+import Image from '../models/Image.js';
+import EmbeddingIndex from '../models/EmbeddingIndex.js';
+import { withTransaction } from '../config/database.js';
+import { loadEmbeddingModel, generateImageEmbeddings } from './aiService.js';
+import storageService from './storageService.js';
+import vectorStore from './vectorStoreService.js';
+import jobQueue from './jobQueue.js';
+import { syncActiveIndex } from './embeddingIndexService.js';
+import { enqueueEmbedding } from './embeddingProcessor.js';
+
+export const REINDEX_QUEUE = 'reindex';
+// Job key of a payload sync in REINDEX_QUEUE (re-index jobs are keyed by model)
+const PAYLOAD_SYNC_KEY = 'sync-payloads';
+const PAYLOAD_SYNC_BATCH_SIZE = 100;
+
+let worker = null;
+
+/**
+ * Collection for a new index: the next unused version number
+ */
+const getNextCollectionName = async () => {
+  const indexes = await EmbeddingIndex.find().select('collectionName');
+  const versions = indexes.map(index => parseInt(index.collectionName.match(/_v(\d+)$/)?.[1]) || 0);
+  return vectorStore.getVersionedCollectionName(Math.max(0, ...versions) + 1);
+};
+
+/**
+ * Bring a collection built by a re-index up to date with changes made meanwhile,
+ * which only reached the active collection: drop points of deleted images and
+ * rewrite payloads that changed (tags, visibility)
+ * @param {string} collectionName - Collection being built
+ */
+const reconcileCollection = async (collectionName) => {
+  const orphanIds = [];
+  let updated = 0;
+  let offset = null;
+
+  do {
+    const page = await vectorStore.scroll(collectionName, { offset, limit: 256 });
+    const images = await Image.find({ qdrantId: { $in: page.points.map(point => point.id) } });
+    const imagesByPointId = new Map(images.map(image => [image.qdrantId, image]));
+
+    for (const point of page.points) {
+      const image = imagesByPointId.get(point.id);
+      if (!image) {
+        orphanIds.push(point.id);
+        continue;
+      }
+
+      const payload = vectorStore.buildImagePayload(image);
+      const changed = Object.keys(payload)
+        .some(key => JSON.stringify(payload[key]) !== JSON.stringify(point.payload?.[key]));
+      if (changed) {
+        await vectorStore.setPayload(point.id, payload, collectionName);
+        updated++;
+      }
+    }
+    offset = page.nextOffset;
+  } while (offset !== null);
+
+  // Deleted after paging, so no points are skipped
+  if (orphanIds.length > 0) {
+    await vectorStore.delete(orphanIds, collectionName);
+  }
+  console.log(`📊 Reconciled '${collectionName}': ${orphanIds.length} removed, ${updated} payload(s) updated`);
+};
+
+/**
+ * Re-embed every image with another model into a new vector collection, then
+ * switch the vector store over to it in one step. Search keeps using the old
+ * index until the switch. Images uploaded during the re-index are picked up by
+ * the final passes, and deletes and edits made meanwhile are reconciled before
+ * the switch; images that could not be embedded are queued again for the
+ * embedding worker, which loads the new model after the switch. An interrupted
+ * re-index resumes after the last image it embedded.
+ * @param {string} modelName - Model to re-index with
+ * @param {object} [options] - { batchSize }
+ * @returns {Promise<{ collectionName: string, processed: number, failed: number }>}
+ */
+export const reindexEmbeddings = async (modelName, { batchSize = 16 } = {}) => {
+  if (!vectorStore.isAvailable()) {
+    throw new Error('Vector store is not available');
+  }
+
+  const active = await syncActiveIndex();
+  if (active?.model === modelName) {
+    throw new Error(`The active index already uses ${modelName}`);
+  }
+
+  console.log(`🔄 Re-indexing embeddings with ${modelName}...`);
+  const model = await loadEmbeddingModel(modelName);
+
+  // Resume an unfinished re-index for the same model where it stopped, otherwise start a new collection
+  let index = await EmbeddingIndex.findOneAndUpdate(
+    { model: modelName, status: { $in: ['building', 'failed'] } },
+    { status: 'building', $unset: { error: 1 } },
+    { new: true }
+  );
+  if (!index) {
+    const collectionName = await getNextCollectionName();
+    await vectorStore.createCollection(collectionName, model.dimension, { model: modelName });
+    index = await EmbeddingIndex.create({ collectionName, model: modelName, dimension: model.dimension });
+  }
+
+  const failedIds = [...index.failedImageIds];
+  let lastId = index.progress?.lastImageId || null;
+  const progress = {
+    total: await Image.estimatedDocumentCount(),
+    processed: lastId ? index.progress.processed : 0,
+    failed: failedIds.length,
+  };
+  if (lastId) {
+    console.log(`🔄 Resuming after image ${lastId} (${progress.processed} already processed)`);
+  }
+
+  try {
+    // Walk images in _id order until none are left, including ones uploaded meanwhile
+    while (true) {
+      const query = lastId ? { _id: { $gt: lastId } } : {};
+      const images = await Image.find(query).sort({ _id: 1 }).limit(batchSize);
+      if (images.length === 0) break;
+
+      const results = await generateImageEmbeddings(
+        images.map(image => storageService.getFullPath(image.filePath)),
+        model
+      );
+
+      const points = [];
+      const batchFailedIds = [];
+      results.forEach((result, position) => {
+        if (result.error) {
+          batchFailedIds.push(images[position]._id);
+          console.warn(`⚠️  Re-index failed for image ${images[position]._id}:`, result.error.message);
+        } else {
+          points.push({
+            id: images[position].qdrantId,
+            vector: result.embedding,
+            payload: vectorStore.buildImagePayload(images[position]),
+          });
+        }
+      });
+
+      if (points.length > 0) {
+        await vectorStore.upsert(points, index.collectionName);
+      }
+
+      lastId = images[images.length - 1]._id;
+      failedIds.push(...batchFailedIds);
+      progress.processed += images.length;
+      progress.failed = failedIds.length;
+      progress.total = Math.max(progress.total, progress.processed);
+      await EmbeddingIndex.updateOne({ _id: index._id }, {
+        $set: { progress: { ...progress, lastImageId: lastId } },
+        $push: { failedImageIds: { $each: batchFailedIds } },
+      });
+      console.log(`📊 Re-indexed ${progress.processed}/${progress.total} images (${progress.failed} failed)`);
+    }
+
+    await reconcileCollection(index.collectionName);
+
+    // Activate the new index in MongoDB, then switch searches and writes over to
+    // its collection as the last step; if the store can't switch, the records are put back
+    const previousIds = await EmbeddingIndex.find({ status: 'active' }).distinct('_id');
+    await withTransaction(async (session) => {
+      await EmbeddingIndex.updateMany(
+        { _id: { $in: previousIds } },
+        { status: 'retired', retiredAt: new Date() },
+        { session }
+      );
+      await EmbeddingIndex.updateOne(
+        { _id: index._id },
+        { status: 'active', activatedAt: new Date() },
+        { session }
+      );
+    });
+
+    try {
+      await vectorStore.switchActiveCollection(index.collectionName);
+    } catch (error) {
+      await withTransaction(async (session) => {
+        await EmbeddingIndex.updateMany(
+          { _id: { $in: previousIds } },
+          { status: 'active', $unset: { retiredAt: 1 } },
+          { session }
+        );
+        await EmbeddingIndex.updateOne(
+          { _id: index._id },
+          { status: 'building', $unset: { activatedAt: 1 } },
+          { session }
+        );
+      });
+      throw error;
+    }
+    await syncActiveIndex();
+
+    // Once more for edits made between the reconcile and the switch (writes now reach the new collection)
+    await reconcileCollection(index.collectionName).catch(error => {
+      console.warn(`⚠️  Failed to reconcile '${index.collectionName}' after the switch:`, error.message);
+    });
+  } catch (error) {
+    await EmbeddingIndex.updateOne({ _id: index._id }, { status: 'failed', error: error.message });
+    throw error;
+  }
+
+  // Images now have vectors from the new model
+  const reindexed = { _id: { $nin: failedIds } };
+  if (lastId) reindexed._id.$lte = lastId;
+  await Image.updateMany(reindexed, {
+    isEmbedded: true,
+    embeddingStatus: 'completed',
+    embeddingError: null,
+    embeddingModel: modelName,
+    embeddingDimension: model.dimension,
+  });
+
+  // Failed images and uploads that slipped in after the last pass go back to the queue
+  const missing = { $or: [{ _id: { $in: failedIds } }] };
+  if (lastId) missing.$or.push({ _id: { $gt: lastId } });
+  const missingIds = await Image.find(missing).distinct('_id');
+  if (missingIds.length > 0) {
+    await Image.updateMany({ _id: { $in: missingIds } }, {
+      isEmbedded: false,
+      embeddingStatus: 'pending',
+      embeddingAttempts: 0,
+    });
+    for (const imageId of missingIds) {
+      await enqueueEmbedding(imageId);
+    }
+  }
+
+  console.log(`✅ Re-index complete: ${index.collectionName} (${modelName}) is active, ${missingIds.length} image(s) queued again`);
+  if (active) {
+    console.log(`📊 Previous collection '${active.collectionName}' is kept; delete it from the vector store once it is no longer needed`);
+  }
+
+  return { collectionName: index.collectionName, processed: progress.processed, failed: failedIds.length };
+};
+
+/**
+ * Rewrite the vector store payload (userId, uploadDate, captureDate, tags, isPublic)
+ * of every embedded image, so points created before payload filtering existed
+ * are found by filtered searches
+ * @returns {Promise<{ synced: number, failed: number }>}
+ */
+export const syncImagePayloads = async () => {
+  let synced = 0;
+  let failed = 0;
+  let lastId = null;
+
+  while (true) {
+    const query = { isEmbedded: true };
+    if (lastId) query._id = { $gt: lastId };
+
+    const images = await Image.find(query).sort({ _id: 1 }).limit(PAYLOAD_SYNC_BATCH_SIZE);
+    if (images.length === 0) {
+      break;
+    }
+
+    for (const image of images) {
+      if (await vectorStore.syncImagePayload(image)) {
+        synced++;
+      } else {
+        failed++;
+      }
+    }
+
+    lastId = images[images.length - 1]._id;
+    console.log(`📊 Synced ${synced} payloads (${failed} failed)`);
+  }
+
+  console.log(`✅ Payload sync complete: ${synced} synced, ${failed} failed`);
+  return { synced, failed };
+};
+
+/**
+ * Ask a worker to sync every image's payload (runs in whichever process runs
+ * the re-index worker, so it also works with a store that isn't shared)
+ * @returns {Promise<boolean>} - false if a payload sync is already running
+ */
+export const requestPayloadSync = async () => {
+  return jobQueue.enqueue(REINDEX_QUEUE, PAYLOAD_SYNC_KEY, {
+    payload: { task: PAYLOAD_SYNC_KEY },
+    maxAttempts: 3,
+  });
+};
+
+/**
+ * Ask a worker to re-index with a model (runs in whichever process runs the re-index worker)
+ * @param {string} modelName - Model to re-index with
+ * @returns {Promise<boolean>} - false if a re-index for this model is already running
+ */
+export const requestReindex = async (modelName) => {
+  return jobQueue.enqueue(REINDEX_QUEUE, modelName, {
+    payload: { model: modelName },
+    maxAttempts: 3,
+  });
+};
+
+/**
+ * Start the worker that runs requested re-indexes and payload syncs
+ */
+export const startReindexWorker = () => {
+  if (worker) return;
+
+  worker = jobQueue.startWorker(REINDEX_QUEUE, async (job) => {
+    if (job.payload.task === PAYLOAD_SYNC_KEY) {
+      const { failed } = await syncImagePayloads();
+      if (failed > 0) {
+        throw new Error(`${failed} payload(s) could not be synced`);
+      }
+      return;
+    }
+
+    await reindexEmbeddings(job.payload.model, {
+      batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 16,
+    });
+  }, {
+    leaseMs: 10 * 60 * 1000,
+    pollIntervalMs: 60000,
+    retryDelayMs: 5 * 60 * 1000,
+    isReady: () => vectorStore.isAvailable(),
+  });
+};
+
+/**
+ * Stop the re-index worker. A running re-index is waited for; if the process is
+ * killed first, another worker resumes it once the job's lease runs out.
+ */
+export const stopReindexWorker = async () => {
+  if (worker) {
+    const stopping = worker;
+    worker = null;
+    await stopping.stop();
+  }
+};
+
+export default {
+  reindexEmbeddings,
+  syncImagePayloads,
+  requestPayloadSync,
+  requestReindex,
+  startReindexWorker,
+  stopReindexWorker,
+};
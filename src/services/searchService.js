@@ -0,0 +1,376 @@
+import Image from '../models/Image.js';
+import { generateTextEmbedding, isAIModelReady } from './aiService.js';
+import { isModelCurrent } from './embeddingIndexService.js';
+import vectorStore from './vectorStoreService.js';
+
+// Date fields images can be filtered and sorted by
+export const DATE_FIELDS = ['uploadDate', 'captureDate'];
+
+// Mean Earth radius, to convert distances for $centerSphere
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Escape user input for use as a literal inside $regex
+ */
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a date range condition (endDate is inclusive of the whole day)
+ */
+export const buildDateRange = (startDate, endDate) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return range;
+};
+
+/**
+ * Build a date sort. Images without EXIF capture date fall back to upload order.
+ * @param {string} sortBy - One of DATE_FIELDS
+ * @param {number} sortOrder - 1 or -1
+ */
+export const buildDateSort = (sortBy, sortOrder) => {
+  return sortBy === 'captureDate'
+    ? { captureDate: sortOrder, uploadDate: sortOrder }
+    : { uploadDate: sortOrder };
+};
+
+/**
+ * Build the Mongo filter shared by the search endpoints
+ * (user, date range, tags, visibility, name, camera, location text, distance from a point)
+ * @param {string} userId - Owner of the images
+ * @param {object} params - { startDate, endDate, dateField, tags, isPublic, name, camera, location, near: { lat, lng, radius } }
+ */
+export const buildSearchFilter = (userId, { startDate, endDate, dateField, tags, isPublic, name, camera, location, near } = {}) => {
+  const filter = { user: userId };
+
+  // Apply date filter (on upload date or EXIF capture date)
+  if (startDate || endDate) {
+    filter[DATE_FIELDS.includes(dateField) ? dateField : 'uploadDate'] = buildDateRange(startDate, endDate);
+  }
+
+  // Apply tag filter (any of the given tags)
+  if (tags && tags.length > 0) {
+    filter.tags = { $in: Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim()) };
+  }
+
+  // Apply visibility filter
+  if (isPublic !== undefined) {
+    filter.isPublic = isPublic === true || isPublic === 'true';
+  }
+
+  const conditions = [];
+
+  // Apply name filter
+  if (name) {
+    const pattern = escapeRegex(name);
+    conditions.push({
+      $or: [
+        { title: { $regex: pattern, $options: 'i' } },
+        { originalName: { $regex: pattern, $options: 'i' } },
+      ],
+    });
+  }
+
+  // Apply camera filter (EXIF make or model, case-insensitive partial match)
+  if (camera) {
+    const pattern = escapeRegex(camera);
+    conditions.push({
+      $or: [
+        { 'exif.cameraMake': { $regex: pattern, $options: 'i' } },
+        { 'exif.cameraModel': { $regex: pattern, $options: 'i' } },
+      ],
+    });
+  }
+
+  // Apply location filter (case-insensitive partial match)
+  if (location) {
+    filter.location = { $regex: escapeRegex(location), $options: 'i' };
+  }
+
+  // Apply distance filter (GPS position within radius meters of a point)
+  if (near && [near.lat, near.lng, near.radius].every(value => Number.isFinite(Number(value)))) {
+    filter.geoLocation = {
+      $geoWithin: {
+        $centerSphere: [[Number(near.lng), Number(near.lat)], Number(near.radius) / EARTH_RADIUS_METERS],
+      },
+    };
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  return filter;
+};
+
+/**
+ * Build the filters and paging options shared by the vector search endpoints
+ * @param {string} userId - Owner of the images
+ * @param {object} params - Request body/query (filters plus limit, offset, minScore)
+ * @returns {object} - Options for findImagesByVector
+ */
+export const buildVectorSearchOptions = (userId, params = {}) => {
+  const minScore = parseFloat(params.minScore);
+  return {
+    baseFilter: buildSearchFilter(userId, params),
+    vectorFilter: vectorStore.buildFilter(userId, params),
+    limit: Math.min(parseInt(params.limit) || 20, 100),
+    offset: Math.max(parseInt(params.offset) || 0, 0),
+    scoreThreshold: Number.isFinite(minScore) ? minScore : undefined,
+    // Name, camera and location filters are not in the vector payload, so they are applied in MongoDB
+    postFilterInMongo: Boolean(params.name || params.camera || params.location || params.near),
+  };
+};
+
+/**
+ * Search the vector store and resolve the hits to images matching the filter.
+ * User, date, tag and visibility filters run inside the store, so paging is exact
+ * unless name, camera or location filters are applied afterwards in MongoDB.
+ * @param {number[]} vector - Query embedding
+ * @param {object} options - From buildVectorSearchOptions, plus optional excludePointIds
+ * @returns {Promise<object[]>} - Plain image objects with a `score`, best first
+ */
+export const findImagesByVector = async (vector, options) => {
+  const {
+    baseFilter,
+    vectorFilter,
+    limit,
+    offset = 0,
+    scoreThreshold,
+    postFilterInMongo = false,
+    excludePointIds = [],
+  } = options;
+
+  // Excluded points (e.g. the query image) are dropped inside the store so paging stays exact
+  const searchResults = await vectorStore.search(vector, {
+    filter: vectorFilter,
+    excludeIds: excludePointIds,
+    // Over-fetch only when MongoDB still has to drop results
+    limit: limit * (postFilterInMongo ? 3 : 1),
+    offset,
+    scoreThreshold,
+  });
+
+  const scores = new Map();
+  for (const result of searchResults) {
+    const imageId = result.payload?.imageId;
+    if (imageId && !scores.has(imageId)) {
+      scores.set(imageId, result.score);
+    }
+  }
+
+  if (scores.size === 0) {
+    return [];
+  }
+
+  // Filter by user and additional filters, get images from MongoDB
+  const images = await Image.find({ ...baseFilter, _id: { $in: [...scores.keys()] } })
+    .populate('collections', 'name');
+
+  // Sort images by vector score and apply the requested limit
+  return images
+    .map(image => ({ ...image.toObject(), score: scores.get(image._id.toString()) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Search modes accepted by searchImages
+export const SEARCH_MODES = ['hybrid', 'ai', 'text'];
+
+// Reciprocal-rank fusion constant (standard value from the RRF paper)
+const RRF_K = 60;
+
+/**
+ * Keyword search using the title/description/tags text index
+ * @returns {Promise<object[]>} - Plain image objects with a `textScore`, best first
+ */
+export const findImagesByKeyword = async (query, baseFilter, limit, skip = 0) => {
+  const images = await Image.find(
+    { ...baseFilter, $text: { $search: query } },
+    { textScore: { $meta: 'textScore' } }
+  )
+    .sort({ textScore: { $meta: 'textScore' } })
+    .skip(skip)
+    .limit(limit)
+    .populate('collections', 'name');
+
+  return images.map(image => image.toObject());
+};
+
+/**
+ * Semantic search from a text query. Never throws: failures are returned
+ * so the caller can fall back to keyword results.
+ * @param {number[]} [queryEmbedding] - Embedding of the query computed earlier
+ * @returns {Promise<{ results: object[]|null, error: Error|null }>}
+ */
+export const findImagesByQueryEmbedding = async (query, options, queryEmbedding) => {
+  let embedding = null;
+
+  try {
+    // AI-powered semantic search in the vector store (only searches embedded images)
+    embedding = queryEmbedding || await generateTextEmbedding(query);
+
+    // Validate embedding
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+      throw new Error('Invalid embedding generated');
+    }
+
+    const results = await findImagesByVector(embedding, options);
+    return {
+      results: results.map(({ score, ...image }) => ({ ...image, vectorScore: score })),
+      error: null,
+    };
+  } catch (error) {
+    console.error('❌ AI search failed, falling back to keyword search:', {
+      message: error.message,
+      name: error.name,
+      status: error.status,
+      data: error.data,
+    });
+
+    // Log embedding details for debugging (e.g. dimension mismatch with the collection)
+    if (embedding) {
+      console.error('Embedding details:', {
+        length: embedding.length,
+        firstValues: embedding.slice(0, 5),
+        type: typeof embedding[0],
+      });
+    }
+
+    return { results: null, error };
+  }
+};
+
+/**
+ * Merge ranked result lists with reciprocal-rank fusion
+ * @param {object[][]} rankings - Lists of image objects, each best first
+ * @returns {object[]} - Merged images with a fused `score`, best first
+ */
+export const fuseRankings = (rankings) => {
+  const fused = new Map();
+
+  for (const ranking of rankings) {
+    ranking.forEach((image, index) => {
+      const id = image._id.toString();
+      const entry = fused.get(id) || { image: {}, score: 0 };
+      entry.image = { ...entry.image, ...image };
+      entry.score += 1 / (RRF_K + index + 1);
+      fused.set(id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .map(({ image, score }) => ({ ...image, score }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Run a text search over a user's images: hybrid (semantic + keyword, fused),
+ * semantic only ('ai') or keyword only ('text'). Falls back to keyword results
+ * when AI search is unavailable or fails. Without a query, returns the filtered
+ * images newest first.
+ * @param {string} userId - Owner of the images
+ * @param {object} params - { query, mode, ...filters, limit, offset, minScore, queryEmbedding }
+ * @returns {Promise<{ images: object[], searchType: string, limit: number, offset: number, unembeddedCount?: number, warning: string|null }>}
+ */
+export const searchUserImages = async (userId, params = {}) => {
+  const { query } = params;
+  const mode = SEARCH_MODES.includes(params.mode) ? params.mode : 'hybrid';
+
+  // Filters (user, date, tags, visibility, name, camera, location) and paging
+  const options = buildVectorSearchOptions(userId, params);
+  const { baseFilter, limit, offset } = options;
+
+  // If no query provided, return filtered images
+  if (typeof query !== 'string' || !query.trim()) {
+    const images = await Image.find(baseFilter)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .populate('collections', 'name');
+
+    return { images, searchType: 'all', limit, offset, warning: null };
+  }
+
+  // Check how many images are not yet embedded
+  const unembeddedCount = await Image.countDocuments({
+    user: userId,
+    isEmbedded: false,
+  });
+
+  // Check if the vector store is available for AI search (and the query would be embedded by the index's model)
+  const useAISearch = mode !== 'text' && await vectorStore.checkHealth() && isAIModelReady() && isModelCurrent();
+
+  let vectorSearch = { results: null, error: null };
+  let images;
+
+  if (useAISearch && mode === 'ai') {
+    // Vector-only: the vector store pages directly
+    vectorSearch = await findImagesByQueryEmbedding(query, options, params.queryEmbedding);
+    if (vectorSearch.results) {
+      return {
+        images: vectorSearch.results,
+        searchType: 'ai',
+        limit,
+        offset,
+        unembeddedCount,
+        warning: unembeddedCount > 0 ? `${unembeddedCount} image(s) not yet indexed for AI search` : null,
+      };
+    }
+  } else if (useAISearch) {
+    // Hybrid: rank the first pages of both lists, fuse, then cut the requested page.
+    // Fetch more candidates than requested so fusion has overlap to work with.
+    const candidateLimit = (offset + limit) * 2;
+    let textResults;
+    [vectorSearch, textResults] = await Promise.all([
+      findImagesByQueryEmbedding(query, { ...options, limit: candidateLimit, offset: 0 }, params.queryEmbedding),
+      findImagesByKeyword(query, baseFilter, candidateLimit),
+    ]);
+
+    if (vectorSearch.results) {
+      return {
+        images: fuseRankings([vectorSearch.results, textResults]).slice(offset, offset + limit),
+        searchType: 'hybrid',
+        limit,
+        offset,
+        unembeddedCount,
+        warning: unembeddedCount > 0 ? `${unembeddedCount} image(s) not yet indexed for AI search` : null,
+      };
+    }
+    images = textResults.slice(offset, offset + limit);
+  }
+
+  // AI search unavailable, disabled or failed: keyword results only
+  if (!images) {
+    images = await findImagesByKeyword(query, baseFilter, limit, offset);
+  }
+
+  let warning = null;
+  if (vectorSearch.error) {
+    warning = 'AI search failed, showing keyword matches only';
+  } else if (mode !== 'text') {
+    warning = 'AI search is currently unavailable, showing keyword matches only';
+  }
+
+  return { images, searchType: 'text', limit, offset, warning };
+};
+
+export default {
+  DATE_FIELDS,
+  SEARCH_MODES,
+  escapeRegex,
+  buildDateRange,
+  buildDateSort,
+  buildSearchFilter,
+  buildVectorSearchOptions,
+  findImagesByVector,
+  findImagesByKeyword,
+  findImagesByQueryEmbedding,
+  fuseRankings,
+  searchUserImages,
+};
@@ -0,0 +1,213 @@
+import Image from '../models/Image.js';
+import Collection from '../models/Collection.js';
+import { generateTextEmbedding, getLoadedModel, isAIModelReady } from './aiService.js';
+import { isModelCurrent } from './embeddingIndexService.js';
+import { normalizeTags } from './tagService.js';
+import {
+  DATE_FIELDS,
+  SEARCH_MODES,
+  buildDateSort,
+  buildSearchFilter,
+  searchUserImages,
+} from './searchService.js';
+
+// Semantic search pages are capped at 100 images
+const MAX_QUERY_PAGE_SIZE = 100;
+
+const MAX_NEAR_RADIUS_METERS = 500000; // 500 km
+
+/**
+ * Validate and normalize a smart collection rule from a request body
+ * @param {object} input - { query, mode, tags, startDate, endDate, dateField, camera, location, near, minScore, maxImages }
+ * @returns {{ rule?: object, error?: string }}
+ */
+export const normalizeSmartRule = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Smart collections need a rule' };
+  }
+
+  const rule = {};
+
+  if (typeof input.query === 'string' && input.query.trim()) {
+    rule.query = input.query.trim();
+    rule.mode = SEARCH_MODES.includes(input.mode) ? input.mode : 'hybrid';
+  }
+
+  if (input.tags !== undefined) {
+    const tags = normalizeTags(input.tags);
+    if (tags.length > 0) rule.tags = tags;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (input[field]) {
+      const date = new Date(input[field]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `Invalid ${field}` };
+      }
+      rule[field] = date;
+    }
+  }
+  if (rule.startDate && rule.endDate && rule.startDate > rule.endDate) {
+    return { error: 'startDate must be before endDate' };
+  }
+  rule.dateField = DATE_FIELDS.includes(input.dateField) ? input.dateField : 'uploadDate';
+
+  for (const field of ['camera', 'location']) {
+    if (typeof input[field] === 'string' && input[field].trim()) {
+      rule[field] = input[field].trim();
+    }
+  }
+
+  if (input.near) {
+    const lat = parseFloat(input.near.lat);
+    const lng = parseFloat(input.near.lng);
+    const radius = parseFloat(input.near.radius);
+    if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && radius > 0 && radius <= MAX_NEAR_RADIUS_METERS)) {
+      return { error: `near needs valid lat, lng and a radius up to ${MAX_NEAR_RADIUS_METERS} meters` };
+    }
+    rule.near = { lat, lng, radius };
+  }
+
+  const minScore = parseFloat(input.minScore);
+  if (Number.isFinite(minScore)) rule.minScore = minScore;
+
+  const maxImages = parseInt(input.maxImages);
+  if (Number.isFinite(maxImages)) rule.maxImages = Math.min(Math.max(maxImages, 1), 1000);
+
+  const hasCriteria = rule.query || rule.tags || rule.startDate || rule.endDate ||
+    rule.camera || rule.location || rule.near;
+  if (!hasCriteria) {
+    return { error: 'Rule needs at least one of query, tags, date range, camera or location' };
+  }
+
+  return { rule };
+};
+
+/**
+ * Turn a stored rule into search parameters for the search service
+ */
+const getRuleSearchParams = (rule) => {
+  return {
+    query: rule.query,
+    mode: rule.mode,
+    tags: rule.tags?.length > 0 ? rule.tags : undefined,
+    startDate: rule.startDate,
+    endDate: rule.endDate,
+    dateField: rule.dateField,
+    camera: rule.camera,
+    location: rule.location,
+    near: rule.near?.lat !== undefined ? rule.near : undefined,
+    minScore: rule.minScore,
+  };
+};
+
+/**
+ * Embedding of a rule's query, cached on the collection so that every viewer
+ * (including share link visitors) doesn't run CLIP again
+ * @returns {Promise<number[]|undefined>} - undefined if AI search can't run here
+ */
+const getQueryEmbedding = async (collection, rule) => {
+  if (rule.mode === 'text' || !isAIModelReady() || !isModelCurrent()) {
+    return undefined;
+  }
+
+  const model = getLoadedModel().name;
+  const cached = (await Collection.findById(collection._id).select('+queryEmbedding').lean())?.queryEmbedding;
+  if (cached?.query === rule.query && cached.model === model && cached.vector?.length > 0) {
+    return cached.vector;
+  }
+
+  try {
+    const vector = await generateTextEmbedding(rule.query);
+    await Collection.updateOne(
+      { _id: collection._id },
+      { queryEmbedding: { query: rule.query, model, vector } }
+    );
+    return vector;
+  } catch (error) {
+    // The search embeds the query itself and reports the failure
+    console.warn(`⚠️  Failed to cache the query embedding of collection ${collection._id}:`, error.message);
+    return undefined;
+  }
+};
+
+/**
+ * Evaluate a smart collection's rule and return one page of its images.
+ * Rules without a query list every matching image by date (newest first);
+ * rules with a query are ranked like searchImages and capped at rule.maxImages.
+ * @param {object} collection - Smart collection document
+ * @param {object} options - { page, limit }
+ * @returns {Promise<{ images: object[], pagination: object, searchType: string, warning: string|null }>}
+ */
+export const getSmartCollectionImages = async (collection, { page = 1, limit = 50 } = {}) => {
+  const rule = collection.rule || {};
+  const params = getRuleSearchParams(rule);
+
+  if (!rule.query) {
+    const filter = buildSearchFilter(collection.user, params);
+    const skip = (page - 1) * limit;
+
+    const [images, total] = await Promise.all([
+      Image.find(filter)
+        .sort(buildDateSort(rule.dateField, -1))
+        .skip(skip)
+        .limit(limit),
+      Image.countDocuments(filter),
+    ]);
+
+    return {
+      images,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      searchType: 'all',
+      warning: null,
+    };
+  }
+
+  const maxImages = rule.maxImages || 200;
+  const pageSize = Math.min(limit, MAX_QUERY_PAGE_SIZE);
+  const offset = (page - 1) * pageSize;
+  const pageLimit = Math.min(pageSize, maxImages - offset);
+
+  if (pageLimit <= 0) {
+    return {
+      images: [],
+      pagination: { page, limit: pageSize, hasMore: false },
+      searchType: rule.mode,
+      warning: null,
+    };
+  }
+
+  const { images, searchType, warning } = await searchUserImages(collection.user, {
+    ...params,
+    queryEmbedding: await getQueryEmbedding(collection, rule),
+    limit: pageLimit,
+    offset,
+  });
+
+  return {
+    images,
+    pagination: {
+      page,
+      limit: pageSize,
+      hasMore: images.length === pageLimit && offset + pageLimit < maxImages,
+    },
+    searchType,
+    warning,
+  };
+};
+
+/**
+ * Check whether an image matches a smart collection's filters (used for the cover).
+ * Query relevance is not checked, only the rule's filters.
+ * @returns {Promise<boolean>}
+ */
+export const smartCollectionMatches = async (collection, imageId) => {
+  const filter = buildSearchFilter(collection.user, getRuleSearchParams(collection.rule || {}));
+  return Boolean(await Image.exists({ ...filter, _id: imageId }));
+};
+
+export default {
+  normalizeSmartRule,
+  getSmartCollectionImages,
+  smartCollectionMatches,
+};
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local filesystem storage driver
+ * Files are written under STORAGE_LOCAL_DIR and served by Express at
+ * STORAGE_PUBLIC_PATH, so the stored URL can be turned back into a disk path.
+ */
+class LocalStorageDriver {
+  constructor() {
+    this.name = 'local';
+    this.rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+    this.publicPath = process.env.STORAGE_PUBLIC_PATH || '/uploads';
+    this.baseUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`)
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Initialize storage
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+    await fs.promises.access(this.rootDir, fs.constants.W_OK);
+
+    console.log('✅ Using local filesystem storage');
+    console.log(`📦 Directory: ${this.rootDir}`);
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the storage root
+   * @param {string} key - Relative key (e.g. "abc.jpg" or "thumbnails/abc.webp")
+   * @returns {string} - Absolute path
+   */
+  resolveKey(key) {
+    const fullPath = path.resolve(this.rootDir, key);
+    if (fullPath !== this.rootDir && !fullPath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return fullPath;
+  }
+
+  /**
+   * Extract the storage key from a stored file URL
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {string} - Storage key
+   */
+  getKey(fileUrl) {
+    let pathname = fileUrl;
+    if (/^https?:\/\//.test(fileUrl)) {
+      pathname = new URL(fileUrl).pathname;
+    }
+
+    const prefix = `${this.publicPath.replace(/\/+$/, '')}/`;
+    if (!pathname.startsWith(prefix)) {
+      throw new Error(`File is not managed by local storage: ${fileUrl}`);
+    }
+    return decodeURIComponent(pathname.slice(prefix.length));
+  }
+
+  /**
+   * Save file to storage
+   * @param {Buffer} fileBuffer - File buffer
+   * @param {string} filename - Storage key to save as
+   * @returns {Promise<string>} - URL to saved file
+   */
+  async saveFile(fileBuffer, filename) {
+    try {
+      const fullPath = this.resolveKey(filename);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, fileBuffer);
+      return this.getPublicUrl(filename);
+    } catch (error) {
+      console.error('Error saving file to local storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get file from storage
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {Promise<Buffer>} - File buffer
+   */
+  async getFile(fileUrl) {
+    try {
+      return await fs.promises.readFile(this.getFullPath(fileUrl));
+    } catch (error) {
+      console.error('Error reading file from local storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete file from storage
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileUrl) {
+    try {
+      await fs.promises.unlink(this.getFullPath(fileUrl));
+    } catch (error) {
+      // Already gone is as good as deleted
+      if (error.code === 'ENOENT') return;
+      console.error('Error deleting file from local storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get absolute disk path for file (readable by the AI model)
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {string} - Absolute path
+   */
+  getFullPath(fileUrl) {
+    return this.resolveKey(this.getKey(fileUrl));
+  }
+
+  /**
+   * Get public URL for file
+   * @param {string} fileUrlOrKey - Stored URL or storage key
+   * @returns {string} - Public URL
+   */
+  getPublicUrl(fileUrlOrKey) {
+    if (/^https?:\/\//.test(fileUrlOrKey)) {
+      return fileUrlOrKey;
+    }
+    const key = fileUrlOrKey.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}${this.publicPath.replace(/\/+$/, '')}/${key}`;
+  }
+
+  /**
+   * Static mount for Express (served by the API process)
+   * @returns {{ path: string, dir: string }}
+   */
+  getStaticMount() {
+    return { path: this.publicPath, dir: this.rootDir };
+  }
+}
+
+export default LocalStorageDriver;
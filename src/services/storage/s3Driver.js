@@ -0,0 +1,210 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, R2, ...)
+ * Objects are addressed by their public URL: S3_PUBLIC_URL + "/" + key.
+ * The bucket (or S3_PUBLIC_URL in front of it) must be publicly readable,
+ * since the AI model and clients fetch images by URL.
+ */
+class S3StorageDriver {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.client = null;
+
+    const endpoint = process.env.S3_ENDPOINT;
+    const defaultPublicUrl = endpoint
+      ? `${endpoint.replace(/\/+$/, '')}/${this.bucket}`
+      : `https://${this.bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+    this.publicUrl = (process.env.S3_PUBLIC_URL || defaultPublicUrl).replace(/\/+$/, '');
+  }
+
+  /**
+   * Initialize storage
+   */
+  async initialize() {
+    if (!this.bucket) {
+      const error = new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+      console.error('❌ Storage initialization failed:', error.message);
+      throw error;
+    }
+
+    const config = {
+      region: process.env.S3_REGION || 'us-east-1',
+    };
+
+    // Custom endpoint for MinIO and other S3-compatible services
+    if (process.env.S3_ENDPOINT) {
+      config.endpoint = process.env.S3_ENDPOINT;
+      config.forcePathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false';
+    }
+
+    // Explicit credentials (otherwise the default AWS provider chain is used)
+    if (process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY) {
+      config.credentials = {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      };
+    }
+
+    this.client = new S3Client(config);
+
+    console.log('✅ Using S3-compatible storage');
+    console.log(`📦 Bucket: ${this.bucket}${process.env.S3_ENDPOINT ? ` @ ${process.env.S3_ENDPOINT}` : ''}`);
+  }
+
+  getClient() {
+    if (!this.client) {
+      throw new Error('S3 storage not initialized');
+    }
+    return this.client;
+  }
+
+  /**
+   * Extract the object key from a stored file URL
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {string} - Object key
+   */
+  getKey(fileUrl) {
+    const prefix = `${this.publicUrl}/`;
+    if (!fileUrl.startsWith(prefix)) {
+      throw new Error(`File is not managed by S3 storage: ${fileUrl}`);
+    }
+    return decodeURIComponent(fileUrl.slice(prefix.length));
+  }
+
+  /**
+   * Save file to storage
+   * @param {Buffer} fileBuffer - File buffer
+   * @param {string} filename - Object key to save as
+   * @param {object} options - Optional { contentType }
+   * @returns {Promise<string>} - URL to saved file
+   */
+  async saveFile(fileBuffer, filename, options = {}) {
+    try {
+      await this.getClient().send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: filename,
+        Body: fileBuffer,
+        ...(options.contentType && { ContentType: options.contentType }),
+      }));
+      return this.getPublicUrl(filename);
+    } catch (error) {
+      console.error('Error saving file to S3:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get file from storage
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {Promise<Buffer>} - File buffer
+   */
+  async getFile(fileUrl) {
+    try {
+      const response = await this.getClient().send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.getKey(fileUrl),
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      console.error('Error reading file from S3:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete file from storage
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileUrl) {
+    try {
+      await this.getClient().send(new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: this.getKey(fileUrl),
+      }));
+    } catch (error) {
+      console.error('Error deleting file from S3:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get size and content type of a stored object
+   * @param {string} fileUrl - URL returned from saveFile / createUploadUrl
+   * @returns {Promise<{ size: number, contentType: string } | null>} - null if missing
+   */
+  async getFileInfo(fileUrl) {
+    try {
+      const head = await this.getClient().send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.getKey(fileUrl),
+      }));
+      return {
+        size: head.ContentLength,
+        contentType: head.ContentType,
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      console.error('Error reading file info from S3:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a presigned PUT URL so clients upload directly to the bucket
+   * @param {string} key - Object key to upload to
+   * @param {object} options - { contentType, expiresIn (seconds) }
+   * @returns {Promise<{ uploadUrl: string, fileUrl: string, expiresAt: Date }>}
+   */
+  async createUploadUrl(key, options = {}) {
+    const expiresIn = options.expiresIn || 900;
+    const command = new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(options.contentType && { ContentType: options.contentType }),
+    });
+
+    const uploadUrl = await getSignedUrl(this.getClient(), command, { expiresIn });
+
+    return {
+      uploadUrl,
+      fileUrl: this.getPublicUrl(key),
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+    };
+  }
+
+  /**
+   * Get location readable by the AI model (public object URL)
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {string} - Full URL
+   */
+  getFullPath(fileUrl) {
+    return fileUrl;
+  }
+
+  /**
+   * Get public URL for file
+   * @param {string} fileUrlOrKey - Stored URL or object key
+   * @returns {string} - Public URL
+   */
+  getPublicUrl(fileUrlOrKey) {
+    if (/^https?:\/\//.test(fileUrlOrKey)) {
+      return fileUrlOrKey;
+    }
+    const key = fileUrlOrKey.split('/').map(encodeURIComponent).join('/');
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+export default S3StorageDriver;
@@ -1,106 +1,140 @@
-import { put, del } from '@vercel/blob';
+import VercelBlobDriver from './storage/vercelBlobDriver.js';
+import LocalStorageDriver from './storage/localDriver.js';
+import S3StorageDriver from './storage/s3Driver.js';
+
+const drivers = {
+  'vercel-blob': VercelBlobDriver,
+  local: LocalStorageDriver,
+  s3: S3StorageDriver,
+};
 
 /**
- * Storage Service - Vercel Blob Storage only
- * No local file storage support
+ * Storage Service - delegates to a pluggable storage driver
+ * Driver is selected with STORAGE_DRIVER (vercel-blob | local | s3), default vercel-blob
+ *
+ * Every driver implements:
+ *   initialize(), saveFile(buffer, key, options), getFile(url), deleteFile(url),
+ *   getFullPath(url), getPublicUrl(url)
+ * and may implement getStaticMount() when files are served by this API,
+ * and createUploadUrl()/getFileInfo() when clients can upload directly.
  */
 class StorageService {
   constructor() {
-    // Don't check here - env vars not loaded yet
+    // Don't pick a driver here - env vars not loaded yet
+    this.driver = null;
+  }
+
+  /**
+   * Get the active driver, creating it on first use
+   */
+  getDriver() {
+    if (!this.driver) {
+      const driverName = process.env.STORAGE_DRIVER || 'vercel-blob';
+      const Driver = drivers[driverName];
+      if (!Driver) {
+        throw new Error(
+          `Unknown STORAGE_DRIVER "${driverName}". Expected one of: ${Object.keys(drivers).join(', ')}`
+        );
+      }
+      this.driver = new Driver();
+    }
+    return this.driver;
   }
 
   /**
    * Initialize storage
    */
   async initialize() {
-    if (!process.env.BLOB_READ_WRITE_TOKEN) {
-      const error = new Error(
-        'BLOB_READ_WRITE_TOKEN is required. Get your token from https://vercel.com/dashboard/stores'
-      );
-      console.error('❌ Storage initialization failed:', error.message);
-      throw error;
-    }
-    
-    console.log('✅ Using Vercel Blob Storage');
-    console.log(`📦 Token: ${process.env.BLOB_READ_WRITE_TOKEN.substring(0, 20)}...`);
+    await this.getDriver().initialize();
   }
 
   /**
    * Save file to storage
    * @param {Buffer} fileBuffer - File buffer
    * @param {string} filename - Filename to save as
+   * @param {object} options - Optional { contentType }
    * @returns {Promise<string>} - URL to saved file
    */
-  async saveFile(fileBuffer, filename) {
-    if (!process.env.BLOB_READ_WRITE_TOKEN) {
-      throw new Error('BLOB_READ_WRITE_TOKEN is required');
-    }
-
-    try {
-      const blob = await put(filename, fileBuffer, {
-        access: 'public',
-        token: process.env.BLOB_READ_WRITE_TOKEN,
-      });
-      return blob.url;
-    } catch (error) {
-      console.error('Error saving file to Vercel Blob:', error);
-      throw error;
-    }
+  async saveFile(fileBuffer, filename, options = {}) {
+    return this.getDriver().saveFile(fileBuffer, filename, options);
   }
 
   /**
    * Get file from storage
-   * @param {string} fileUrl - Full URL to file
+   * @param {string} fileUrl - URL returned from saveFile
    * @returns {Promise<Buffer>} - File buffer
    */
   async getFile(fileUrl) {
-    try {
-      const response = await fetch(fileUrl);
-      if (!response.ok) throw new Error('Failed to fetch from Vercel Blob');
-      const arrayBuffer = await response.arrayBuffer();
-      return Buffer.from(arrayBuffer);
-    } catch (error) {
-      console.error('Error reading file from Vercel Blob:', error);
-      throw error;
-    }
+    return this.getDriver().getFile(fileUrl);
   }
 
   /**
    * Delete file from storage
-   * @param {string} fileUrl - Full URL to file
+   * @param {string} fileUrl - URL returned from saveFile
    * @returns {Promise<void>}
    */
   async deleteFile(fileUrl) {
-    if (!process.env.BLOB_READ_WRITE_TOKEN) {
-      throw new Error('BLOB_READ_WRITE_TOKEN is required');
-    }
-    
-    try {
-      await del(fileUrl, {
-        token: process.env.BLOB_READ_WRITE_TOKEN,
-      });
-    } catch (error) {
-      console.error('Error deleting file from Vercel Blob:', error);
-      throw error;
-    }
+    return this.getDriver().deleteFile(fileUrl);
   }
 
   /**
-   * Get full URL to file
-   * @param {string} fileUrl - Full URL to file
-   * @returns {string} - Full URL
+   * Get a path or URL the AI model can read the file from
+   * @param {string} fileUrl - URL returned from saveFile
+   * @returns {string} - Local path or URL
    */
   getFullPath(fileUrl) {
-    return fileUrl; // Always returns URL from Vercel Blob
+    return this.getDriver().getFullPath(fileUrl);
   }
 
   /**
    * Get public URL for file
-   * @param {string} fileUrl - Full URL to file
+   * @param {string} fileUrl - URL returned from saveFile
    * @returns {string} - Public URL
    */
   getPublicUrl(fileUrl) {
-    return fileUrl; // Always returns URL from Vercel Blob
+    return this.getDriver().getPublicUrl(fileUrl);
+  }
+
+  /**
+   * Whether the active driver supports direct (presigned) client uploads
+   */
+  supportsPresignedUploads() {
+    const driver = this.getDriver();
+    return typeof driver.createUploadUrl === 'function' && typeof driver.getFileInfo === 'function';
+  }
+
+  /**
+   * Create a presigned upload URL for a client-side upload
+   * @param {string} key - Storage key to upload to
+   * @param {object} options - { contentType, expiresIn (seconds) }
+   * @returns {Promise<{ uploadUrl: string, fileUrl: string, expiresAt: Date }>}
+   */
+  async createUploadUrl(key, options = {}) {
+    if (!this.supportsPresignedUploads()) {
+      throw new Error(`Storage driver "${this.getDriver().name}" does not support presigned uploads`);
+    }
+    return this.getDriver().createUploadUrl(key, options);
+  }
+
+  /**
+   * Get size and content type of a stored file
+   * @param {string} fileUrl - URL of the stored file
+   * @returns {Promise<{ size: number, contentType: string } | null>} - null if missing
+   */
+  async getFileInfo(fileUrl) {
+    if (!this.supportsPresignedUploads()) {
+      throw new Error(`Storage driver "${this.getDriver().name}" does not support file info lookups`);
+    }
+    return this.getDriver().getFileInfo(fileUrl);
+  }
+
+  /**
+   * Get the static mount for drivers whose files are served by Express
+   * @returns {{ path: string, dir: string } | null}
+   */
+  getStaticMount() {
+    const driver = this.getDriver();
+    return typeof driver.getStaticMount === 'function' ? driver.getStaticMount() : null;
   }
 }
 
@@ -0,0 +1,145 @@
+import Image from '../models/Image.js';
+import User from '../models/User.js';
+import { classifyImageEmbedding } from './aiService.js';
+
+/**
+ * Built-in vocabulary used when neither AUTO_TAG_VOCABULARY nor the user's own
+ * vocabulary is set
+ */
+const DEFAULT_TAG_VOCABULARY = [
+  'people', 'portrait', 'selfie', 'group photo', 'baby', 'dog', 'cat', 'bird', 'wildlife',
+  'beach', 'ocean', 'lake', 'river', 'mountain', 'forest', 'desert', 'snow', 'sky', 'sunset',
+  'city', 'street', 'building', 'architecture', 'interior', 'food', 'drink', 'flowers', 'plants',
+  'car', 'bicycle', 'boat', 'airplane', 'sports', 'concert', 'party', 'wedding', 'night',
+  'document', 'screenshot', 'art',
+];
+
+export const MAX_VOCABULARY_SIZE = 200;
+
+/**
+ * Normalize a list of tags: trimmed, lowercase, unique, non-empty
+ * @param {string[]|string} tags - Array or comma-separated string
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(
+    list
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+};
+
+/**
+ * Vocabulary used for users who have not defined their own
+ */
+export const getDefaultVocabulary = () => {
+  if (process.env.AUTO_TAG_VOCABULARY) {
+    return normalizeTags(process.env.AUTO_TAG_VOCABULARY);
+  }
+  return DEFAULT_TAG_VOCABULARY;
+};
+
+/**
+ * Get the tag vocabulary for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<{ tags: string[], isDefault: boolean }>}
+ */
+export const getUserVocabulary = async (userId) => {
+  const user = await User.findById(userId).select('tagVocabulary');
+  if (user?.tagVocabulary?.length > 0) {
+    return { tags: user.tagVocabulary, isDefault: false };
+  }
+  return { tags: getDefaultVocabulary(), isDefault: true };
+};
+
+// Retries when a decision or tag edit lands between reading and writing suggestions
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Does the work for suggestTagsForImage
+const computeSuggestions = async (image, embedding) => {
+  const minConfidence = parseFloat(process.env.AUTO_TAG_MIN_CONFIDENCE) || 0.1;
+  const maxSuggestions = parseInt(process.env.AUTO_TAG_MAX_SUGGESTIONS) || 5;
+
+  const { tags: vocabulary } = await getUserVocabulary(image.user);
+  const scores = await classifyImageEmbedding(embedding, vocabulary);
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const pending = await writeSuggestions(image._id, scores, minConfidence, maxSuggestions);
+    if (pending) {
+      return pending;
+    }
+  }
+
+  throw new Error('Tags kept changing while storing suggestions');
+};
+
+/**
+ * Replace an image's pending suggestions, keeping accepted/rejected ones.
+ * The write only applies if tags and suggestions are still as read, so a
+ * decision made in between is never overwritten.
+ * @returns {Promise<object[]|null>} - The new pending suggestions, null if the image changed
+ */
+const writeSuggestions = async (imageId, scores, minConfidence, maxSuggestions) => {
+  // Read current state fresh: the user may have edited tags meanwhile
+  const current = await Image.findById(imageId).select('tags suggestedTags').lean();
+  if (!current) {
+    return [];
+  }
+
+  const existingTags = new Set((current.tags || []).map(tag => tag.toLowerCase()));
+  const decided = (current.suggestedTags || []).filter(suggestion => suggestion.status !== 'pending');
+  const decidedTags = new Set(decided.map(suggestion => suggestion.tag));
+
+  const pending = scores
+    .filter(({ label, confidence }) =>
+      confidence >= minConfidence && !existingTags.has(label) && !decidedTags.has(label)
+    )
+    .slice(0, maxSuggestions)
+    .map(({ label, confidence }) => ({
+      tag: label,
+      confidence: Number(confidence.toFixed(4)),
+      status: 'pending',
+    }));
+
+  const { matchedCount } = await Image.updateOne(
+    {
+      _id: imageId,
+      tags: current.tags ?? { $exists: false },
+      suggestedTags: current.suggestedTags ?? { $exists: false },
+    },
+    { suggestedTags: [...decided, ...pending] }
+  );
+
+  return matchedCount > 0 ? pending : null;
+};
+
+/**
+ * Score an embedded image against its owner's vocabulary and store suggestions.
+ * Tags the user already has or has rejected are never suggested again.
+ * Disabled with AUTO_TAGGING=false. Errors are logged, not thrown.
+ * @param {object} image - Image document
+ * @param {number[]} embedding - Image embedding
+ * @returns {Promise<object[]>} - The new pending suggestions
+ */
+export const suggestTagsForImage = async (image, embedding) => {
+  if (process.env.AUTO_TAGGING === 'false') {
+    return [];
+  }
+
+  try {
+    return await computeSuggestions(image, embedding);
+  } catch (error) {
+    console.warn(`⚠️  Tag suggestion failed for image ${image._id}:`, error.message);
+    return [];
+  }
+};
+
+export default {
+  MAX_VOCABULARY_SIZE,
+  normalizeTags,
+  getDefaultVocabulary,
+  getUserVocabulary,
+  suggestTagsForImage,
+};
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Single-use tokens sent by email; only their hash is stored on the user
+const USER_TOKEN_TYPES = {
+  emailVerification: {
+    hashField: 'emailVerificationTokenHash',
+    expiresField: 'emailVerificationExpires',
+    getLifetime: () => (parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24) * HOUR_MS,
+  },
+  passwordReset: {
+    hashField: 'passwordResetTokenHash',
+    expiresField: 'passwordResetExpires',
+    getLifetime: () => (parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60) * MINUTE_MS,
+  },
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const getRefreshTokenLifetime = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * DAY_MS;
+
+/**
+ * Generate a short-lived access token (JWT) bound to a session
+ * @param {object} user - User document
+ * @param {string} sessionId - Session the token belongs to
+ */
+export const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, sid: sessionId, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+  );
+};
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+ * @returns {{ sessionId: string, secret: string }|null}
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) return null;
+  return { sessionId, secret };
+};
+
+const issueTokens = (user, sessionId, secret) => {
+  const accessToken = generateAccessToken(user, sessionId);
+  return {
+    accessToken,
+    accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    refreshToken: `${sessionId}.${secret}`,
+  };
+};
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @param {object} user - User document
+ * @param {object} meta - { userAgent, ip }
+ * @returns {Promise<{ accessToken: string, accessTokenExpiresAt: Date, refreshToken: string }>}
+ */
+export const createSession = async (user, { userAgent, ip } = {}) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetime()),
+    userAgent,
+    ip,
+  });
+
+  return issueTokens(user, session._id, secret);
+};
+
+/**
+ * Exchange a refresh token for new tokens. The refresh token rotates: the old
+ * one stops working, and presenting it again revokes the whole session
+ * (it was probably stolen).
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<{ user: object, tokens: object }|null>} - null if the token is not valid
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const now = new Date();
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: now },
+    },
+    { refreshTokenHash: hashToken(secret), lastUsedAt: now },
+    { new: true }
+  );
+
+  if (!session) {
+    // A known session with a stale token means the token was reused
+    const reused = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, revokedAt: { $exists: false } },
+      { revokedAt: now }
+    );
+    if (reused) {
+      console.warn(`⚠️  Refresh token reuse detected, session ${parsed.sessionId} revoked`);
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.isDisabled) return null;
+
+  return { user, tokens: issueTokens(user, session._id, secret) };
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await Session.updateOne(
+    { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke one of a user's sessions by ID
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+export const revokeSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session of a user and invalidate all access tokens already issued
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+
+  // Access tokens carry the version they were issued with
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Check that an access token's session has not been revoked or expired
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  return Boolean(await Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }));
+};
+
+/**
+ * Create a single-use emailed token for a user, replacing any earlier one of the same type
+ * @param {string} userId - User ID
+ * @param {'emailVerification'|'passwordReset'} type - Token type
+ * @returns {Promise<string>} - Raw token to put in the email link
+ */
+export const createUserToken = async (userId, type) => {
+  const { hashField, expiresField, getLifetime } = USER_TOKEN_TYPES[type];
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await User.updateOne(
+    { _id: userId },
+    { [hashField]: hashToken(token), [expiresField]: new Date(Date.now() + getLifetime()) }
+  );
+
+  return token;
+};
+
+/**
+ * Use up an emailed token. It is removed in the same update, so it works only once.
+ * @param {string} token - Raw token from the email link
+ * @param {'emailVerification'|'passwordReset'} type - Token type
+ * @param {object} update - Extra fields to set on the user in the same update
+ * @returns {Promise<object|null>} - The user, or null if the token is invalid or expired
+ */
+export const consumeUserToken = async (token, type, update = {}) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const { hashField, expiresField } = USER_TOKEN_TYPES[type];
+  return User.findOneAndUpdate(
+    { [hashField]: hashToken(token), [expiresField]: { $gt: new Date() } },
+    { ...(Object.keys(update).length > 0 && { $set: update }), $unset: { [hashField]: 1, [expiresField]: 1 } },
+    { new: true }
+  );
+};
+
+export default {
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  createUserToken,
+  consumeUserToken,
+};
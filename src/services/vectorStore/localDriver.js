@@ -0,0 +1,480 @@
+import fs from 'fs';
+import path from 'path';
+
+const ACTIVE_FILE = 'active.json';
+// A collection's log is compacted into its snapshot once it holds more records
+// than this or than the collection has points, whichever is larger
+const MIN_COMPACT_RECORDS = 1000;
+
+/**
+ * Scale a vector to unit length, so cosine similarity is a dot product
+ * @param {number[]} vector - Embedding
+ * @returns {Float32Array}
+ */
+const normalize = (vector) => {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) norm += result[i] * result[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) result[i] /= norm;
+  }
+  return result;
+};
+
+const encodeVector = (vector) =>
+  Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+
+const decodeVector = (encoded) => {
+  // Copied out of Node's buffer pool, whose offsets aren't 4-byte aligned
+  const bytes = new Uint8Array(Buffer.from(encoded, 'base64'));
+  return new Float32Array(bytes.buffer);
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+/**
+ * Evaluate one filter condition ({ key, match: { value | any } } or { key, range })
+ * against a payload. Array fields match if any element does, as in Qdrant.
+ */
+const matchesCondition = (payload, condition) => {
+  const raw = payload?.[condition.key];
+  const values = Array.isArray(raw) ? raw : [raw];
+
+  if (condition.match) {
+    if ('any' in condition.match) {
+      return values.some(value => condition.match.any.includes(value));
+    }
+    return values.some(value => value === condition.match.value);
+  }
+
+  if (condition.range) {
+    const { gt, gte, lt, lte } = condition.range;
+    return values.some(value =>
+      typeof value === 'number' &&
+      (gt === undefined || value > gt) &&
+      (gte === undefined || value >= gte) &&
+      (lt === undefined || value < lt) &&
+      (lte === undefined || value <= lte)
+    );
+  }
+
+  throw new Error(`Unsupported vector store filter condition on '${condition.key}'`);
+};
+
+const matchesFilter = (payload, filter) => {
+  if (!filter) return true;
+  return (filter.must || []).every(condition => matchesCondition(payload, condition)) &&
+    !(filter.must_not || []).some(condition => matchesCondition(payload, condition));
+};
+
+/**
+ * In-process vector store driver
+ * Vectors are held in memory and searched by brute force (exact cosine
+ * similarity), which is fast enough for tens of thousands of images.
+ *
+ * Each collection is stored under VECTOR_STORE_DIR as a snapshot (<name>.json)
+ * and a log of the changes made since (<name>.log, one JSON record per line).
+ * Changes are appended to the log VECTOR_STORE_FLUSH_MS after the last one (and
+ * on close), so a flush costs as much as the changes it writes. Once the log is
+ * as long as the collection it is compacted: the snapshot is rewritten and the
+ * log emptied. Compaction serializes the whole collection on the event loop,
+ * about 3 KB per 512-dimension vector, which is another reason to keep local
+ * collections to tens of thousands of images.
+ *
+ * The files belong to one process: run the API with inline embedding rather
+ * than the standalone worker, and don't point two instances at the same directory.
+ */
+class LocalVectorStoreDriver {
+  constructor() {
+    this.name = 'local';
+    // Other processes can't see this process's vectors
+    this.shared = false;
+    this.rootDir = path.resolve(process.env.VECTOR_STORE_DIR || 'data/vectors');
+    this.baseName = process.env.VECTOR_STORE_COLLECTION || 'images';
+    this.flushDelay = parseInt(process.env.VECTOR_STORE_FLUSH_MS) || 1000;
+    this.collections = new Map();
+    this.activeName = null;
+    this.saveTimers = new Map();
+    this.saving = new Map();
+    this.available = false;
+  }
+
+  /**
+   * Load the active collection, creating the first one if there is none
+   * @returns {Promise<boolean>}
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+
+    const active = await this.readJson(ACTIVE_FILE);
+    if (active?.collection) {
+      const collection = await this.loadCollection(active.collection);
+      if (!collection) {
+        throw new Error(`Active vector collection '${active.collection}' is missing from ${this.rootDir}`);
+      }
+      this.activeName = active.collection;
+    } else {
+      const name = this.getVersionedCollectionName(1);
+      await this.createCollection(name, parseInt(process.env.EMBEDDING_DIMENSION) || 512, {
+        model: process.env.EMBEDDING_MODEL || 'Xenova/clip-vit-base-patch32',
+      });
+      await this.switchActiveCollection(name);
+    }
+
+    this.available = true;
+    console.log('✅ Using local vector store');
+    console.log(`📦 Directory: ${this.rootDir} (${this.collections.get(this.activeName).points.size} vectors)`);
+    return true;
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  async checkHealth() {
+    return this.available;
+  }
+
+  getVersionedCollectionName(version) {
+    return `${this.baseName}_v${version}`;
+  }
+
+  getCollectionFile(name, extension = 'json') {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid vector collection name '${name}'`);
+    }
+    return path.join(this.rootDir, `${name}.${extension}`);
+  }
+
+  async readJson(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.rootDir, file), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a file in the store directory via a temp file, so a crash never leaves half a file
+   */
+  async writeJson(file, data) {
+    const target = path.join(this.rootDir, file);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(data));
+    await fs.promises.rename(temp, target);
+  }
+
+  /**
+   * Get a collection, reading its snapshot and replaying its log on first use
+   * @returns {Promise<object|null>} - { name, dimension, metadata, points, pending, logSize },
+   *   null if it doesn't exist
+   */
+  async loadCollection(name) {
+    if (this.collections.has(name)) {
+      return this.collections.get(name);
+    }
+
+    const data = await this.readJson(path.basename(this.getCollectionFile(name)));
+    if (!data) return null;
+
+    const points = new Map();
+    for (const point of data.points) {
+      points.set(point.id, { vector: decodeVector(point.vector), payload: point.payload });
+    }
+
+    let log = '';
+    try {
+      log = await fs.promises.readFile(this.getCollectionFile(name, 'log'), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let logSize = 0;
+    let unreadable = 0;
+    for (const line of log.split('\n')) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A crash in the middle of an append leaves half a line
+        unreadable++;
+        continue;
+      }
+      this.applyRecord(points, record);
+      logSize++;
+    }
+
+    const collection = {
+      name,
+      dimension: data.dimension,
+      metadata: data.metadata || {},
+      points,
+      // Log records not yet written to disk
+      pending: [],
+      logSize,
+    };
+    this.collections.set(name, collection);
+
+    if (unreadable > 0) {
+      console.warn(`⚠️  Skipped ${unreadable} unreadable record(s) in the log of vector collection '${name}'`);
+      await this.saveCollection(name, { compact: true });
+    }
+    return collection;
+  }
+
+  /**
+   * Replay one log record onto a collection's points
+   */
+  applyRecord(points, record) {
+    if (record.op === 'upsert') {
+      points.set(record.id, { vector: decodeVector(record.vector), payload: record.payload });
+    } else if (record.op === 'payload') {
+      const point = points.get(record.id);
+      if (point) point.payload = { ...point.payload, ...record.payload };
+    } else if (record.op === 'delete') {
+      for (const id of record.ids) points.delete(id);
+    }
+  }
+
+  async getCollection(name = this.activeName) {
+    const collection = name && await this.loadCollection(name);
+    if (!collection) {
+      throw new Error(`Vector collection '${name}' does not exist`);
+    }
+    return collection;
+  }
+
+  /**
+   * Queue a change for the log and persist it after FLUSH_MS without further changes
+   */
+  record(collection, record) {
+    collection.pending.push(record);
+    this.scheduleSave(collection.name);
+  }
+
+  /**
+   * Persist a collection after FLUSH_MS without further changes
+   */
+  scheduleSave(name) {
+    clearTimeout(this.saveTimers.get(name));
+    this.saveTimers.set(name, setTimeout(() => {
+      this.saveTimers.delete(name);
+      this.saveCollection(name).catch(error => {
+        console.error(`❌ Failed to save vector collection '${name}':`, error.message);
+      });
+    }, this.flushDelay));
+  }
+
+  /**
+   * Append a collection's pending changes to its log, or compact it if the log
+   * has grown as long as the collection (one write at a time per collection)
+   * @param {string} name - Collection name
+   * @param {object} options - { compact: rewrite the snapshot whatever the log size }
+   */
+  async saveCollection(name, { compact = false } = {}) {
+    const previous = this.saving.get(name) || Promise.resolve();
+    const current = previous.catch(() => {}).then(async () => {
+      const collection = this.collections.get(name);
+      const records = collection.pending;
+      collection.pending = [];
+
+      try {
+        if (compact || collection.logSize + records.length > Math.max(MIN_COMPACT_RECORDS, collection.points.size)) {
+          // The snapshot is serialized before anything else can change the points,
+          // so it includes the records taken above and they can be dropped
+          await this.writeJson(path.basename(this.getCollectionFile(name)), {
+            name,
+            dimension: collection.dimension,
+            metadata: collection.metadata,
+            points: [...collection.points].map(([id, point]) => ({
+              id,
+              payload: point.payload,
+              vector: encodeVector(point.vector),
+            })),
+          });
+          // A crash before this only means replaying records the snapshot already has
+          await fs.promises.writeFile(this.getCollectionFile(name, 'log'), '');
+          collection.logSize = 0;
+        } else if (records.length > 0) {
+          await fs.promises.appendFile(
+            this.getCollectionFile(name, 'log'),
+            records.map(record => `${JSON.stringify(record)}\n`).join('')
+          );
+          collection.logSize += records.length;
+        }
+      } catch (error) {
+        collection.pending = records.concat(collection.pending);
+        // The log may end in half a record now - rewrite the snapshot next time instead
+        collection.logSize = Infinity;
+        throw error;
+      }
+    });
+    this.saving.set(name, current);
+    return current;
+  }
+
+  async upsert(points, collectionName) {
+    const collection = await this.getCollection(collectionName);
+
+    for (const point of points) {
+      if (point.vector.length !== collection.dimension) {
+        throw new Error(`Vector has ${point.vector.length} dimensions, collection '${collection.name}' expects ${collection.dimension}`);
+      }
+    }
+    for (const point of points) {
+      const vector = normalize(point.vector);
+      const payload = point.payload || {};
+      collection.points.set(point.id, { vector, payload });
+      collection.pending.push({ op: 'upsert', id: point.id, payload, vector: encodeVector(vector) });
+    }
+    this.scheduleSave(collection.name);
+  }
+
+  async setPayload(id, payload, collectionName) {
+    const collection = await this.getCollection(collectionName);
+    const point = collection.points.get(id);
+    if (point) {
+      point.payload = { ...point.payload, ...payload };
+      this.record(collection, { op: 'payload', id, payload });
+    }
+  }
+
+  async retrieve(id) {
+    const collection = await this.getCollection();
+    const point = collection.points.get(id);
+    return point ? { id, vector: Array.from(point.vector), payload: point.payload } : null;
+  }
+
+  async delete(ids, collectionName) {
+    const collection = await this.getCollection(collectionName);
+    const deleted = ids.filter(id => collection.points.delete(id));
+    if (deleted.length > 0) {
+      this.record(collection, { op: 'delete', ids: deleted });
+    }
+  }
+
+  /**
+   * Points in insertion order; the offset is a position, so deleting while
+   * paging skips points
+   */
+  async scroll(collectionName, { offset = null, limit = 256 } = {}) {
+    const collection = await this.getCollection(collectionName);
+    const start = offset ?? 0;
+    const points = [...collection.points]
+      .slice(start, start + limit)
+      .map(([id, point]) => ({ id, payload: point.payload }));
+    const next = start + points.length;
+    return { points, nextOffset: next < collection.points.size ? next : null };
+  }
+
+  /**
+   * Score every point that passes the filter, best first
+   */
+  scoreAll(collection, query, { filter, excludeIds = [], scoreThreshold }) {
+    const excluded = new Set(excludeIds);
+    const results = [];
+
+    for (const [id, point] of collection.points) {
+      if (excluded.has(id) || !matchesFilter(point.payload, filter)) continue;
+      const score = dot(query, point.vector);
+      if (scoreThreshold === undefined || score >= scoreThreshold) {
+        results.push({ id, score, payload: point.payload });
+      }
+    }
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  async search(vector, { filter, excludeIds, limit, offset = 0, scoreThreshold }) {
+    const collection = await this.getCollection();
+    return this.scoreAll(collection, normalize(vector), { filter, excludeIds, scoreThreshold })
+      .slice(offset, offset + limit);
+  }
+
+  async searchByIds(ids, { filter, limit, scoreThreshold }) {
+    const collection = await this.getCollection();
+    return ids.map(id => {
+      const point = collection.points.get(id);
+      if (!point) return [];
+      return this.scoreAll(collection, point.vector, { filter, excludeIds: [id], scoreThreshold })
+        .slice(0, limit);
+    });
+  }
+
+  async getActiveCollectionInfo() {
+    if (!this.activeName) return null;
+    const collection = await this.getCollection();
+    return {
+      name: collection.name,
+      dimension: collection.dimension,
+      metadata: collection.metadata,
+    };
+  }
+
+  async createCollection(name, dimension, metadata = {}) {
+    if (await this.loadCollection(name)) {
+      throw new Error(`Vector collection '${name}' already exists`);
+    }
+    this.collections.set(name, {
+      name,
+      dimension,
+      metadata: { ...metadata, dimension },
+      points: new Map(),
+      pending: [],
+      logSize: 0,
+    });
+    // Also empties any log left behind by a deleted snapshot
+    await this.saveCollection(name, { compact: true });
+    console.log(`✅ Local vector collection '${name}' created (${dimension} dimensions)`);
+  }
+
+  /**
+   * Make another collection the one searched and written to. The previous
+   * collection stays on disk (delete its files once it is no longer needed).
+   */
+  async switchActiveCollection(name) {
+    const collection = await this.getCollection(name);
+    const previous = this.activeName;
+
+    // Everything in the new collection is on disk before the pointer moves
+    clearTimeout(this.saveTimers.get(name));
+    this.saveTimers.delete(name);
+    await this.saveCollection(name);
+    await this.writeJson(ACTIVE_FILE, { collection: name });
+    this.activeName = collection.name;
+
+    if (previous && previous !== name) {
+      await this.flush(previous);
+      this.collections.delete(previous);
+    }
+    console.log(`✅ Local vector store now uses '${name}'`);
+  }
+
+  /**
+   * Write a collection's pending changes now
+   */
+  async flush(name) {
+    // Pending without a timer = put back by a failed write
+    if (this.saveTimers.has(name) || this.collections.get(name)?.pending.length > 0) {
+      clearTimeout(this.saveTimers.get(name));
+      this.saveTimers.delete(name);
+      await this.saveCollection(name);
+    }
+    await this.saving.get(name);
+  }
+
+  /**
+   * Write pending changes to disk (call before the process exits)
+   */
+  async close() {
+    await Promise.all([...this.collections.keys()].map(name => this.flush(name)));
+  }
+}
+
+export default LocalVectorStoreDriver;
@@ -0,0 +1,137 @@
+import {
+  initQdrant,
+  getQdrantClient,
+  isQdrantConnected,
+  checkQdrantHealth,
+  getVersionedCollectionName,
+  getActiveCollectionInfo,
+  createVectorCollection,
+  switchActiveCollection,
+} from '../../config/qdrant.js';
+import jobQueue from '../jobQueue.js';
+
+// Job queue holding the migration of a collection from before versioning
+const MIGRATION_QUEUE = 'qdrant-migration';
+
+/**
+ * Qdrant vector store driver
+ * Vectors live in the collection behind the QDRANT_COLLECTION alias (see config/qdrant.js),
+ * which reconnects on its own when Qdrant goes away.
+ */
+class QdrantVectorStoreDriver {
+  constructor() {
+    this.name = 'qdrant';
+    this.shared = true;
+  }
+
+  /**
+   * Connect to Qdrant and create the first collection if needed
+   * @param {object} [options] - { migrate: move a collection from before versioning behind
+   *   the alias (needs MongoDB, which keeps other processes from migrating at the same time) }
+   * @returns {Promise<boolean>} - Whether Qdrant is usable (retried in the background if not)
+   */
+  async initialize({ migrate = false } = {}) {
+    return Boolean(await initQdrant({
+      migrate: migrate
+        ? (migration) => jobQueue.runExclusive(MIGRATION_QUEUE, process.env.QDRANT_COLLECTION, migration, { leaseMs: 60000 })
+        : null,
+    }));
+  }
+
+  isAvailable() {
+    return isQdrantConnected();
+  }
+
+  async checkHealth() {
+    return checkQdrantHealth();
+  }
+
+  async upsert(points, collection = process.env.QDRANT_COLLECTION) {
+    await getQdrantClient().upsert(collection, { wait: true, points });
+  }
+
+  async setPayload(id, payload, collection = process.env.QDRANT_COLLECTION) {
+    await getQdrantClient().setPayload(collection, {
+      wait: true,
+      points: [id],
+      payload,
+    });
+  }
+
+  async retrieve(id) {
+    const [point] = await getQdrantClient().retrieve(process.env.QDRANT_COLLECTION, {
+      ids: [id],
+      with_vector: true,
+      with_payload: true,
+    });
+    return point?.vector ? { id: point.id, vector: point.vector, payload: point.payload } : null;
+  }
+
+  async delete(ids, collection = process.env.QDRANT_COLLECTION) {
+    await getQdrantClient().delete(collection, { wait: true, points: ids });
+  }
+
+  async scroll(collection, { offset = null, limit = 256 } = {}) {
+    const page = await getQdrantClient().scroll(collection, {
+      offset: offset ?? undefined,
+      limit,
+      with_payload: true,
+      with_vector: false,
+    });
+    return {
+      points: page.points.map(({ id, payload }) => ({ id, payload })),
+      nextOffset: page.next_page_offset ?? null,
+    };
+  }
+
+  async search(vector, { filter, excludeIds = [], limit, offset = 0, scoreThreshold }) {
+    const results = await getQdrantClient().search(process.env.QDRANT_COLLECTION, {
+      vector,
+      filter: excludeIds.length > 0
+        ? { ...filter, must_not: [...(filter?.must_not || []), { has_id: excludeIds }] }
+        : filter,
+      limit,
+      offset,
+      ...(scoreThreshold !== undefined && { score_threshold: scoreThreshold }),
+      with_payload: true,
+    });
+    return results.map(({ id, score, payload }) => ({ id, score, payload }));
+  }
+
+  async searchByIds(ids, { filter, limit, scoreThreshold }) {
+    // Recommend with a single positive example = search by that point's own vector
+    const results = await getQdrantClient().recommendBatch(process.env.QDRANT_COLLECTION, {
+      searches: ids.map(id => ({
+        positive: [id],
+        filter,
+        limit,
+        ...(scoreThreshold !== undefined && { score_threshold: scoreThreshold }),
+        with_payload: true,
+      })),
+    });
+    return results.map(matches => matches.map(({ id, score, payload }) => ({ id, score, payload })));
+  }
+
+  getVersionedCollectionName(version) {
+    return getVersionedCollectionName(version);
+  }
+
+  async getActiveCollectionInfo() {
+    return getActiveCollectionInfo();
+  }
+
+  async createCollection(name, dimension, metadata) {
+    await createVectorCollection(name, dimension, metadata);
+  }
+
+  async switchActiveCollection(name) {
+    await switchActiveCollection(name);
+  }
+
+  /**
+   * Nothing to flush - every write waits for Qdrant
+   */
+  async close() {}
+}
+
+export default QdrantVectorStoreDriver;
@@ -0,0 +1,289 @@
+import QdrantVectorStoreDriver from './vectorStore/qdrantDriver.js';
+import LocalVectorStoreDriver from './vectorStore/localDriver.js';
+
+const drivers = {
+  qdrant: QdrantVectorStoreDriver,
+  local: LocalVectorStoreDriver,
+};
+
+/**
+ * Vector Store Service - image embeddings in a pluggable vector store
+ * Driver is selected with VECTOR_STORE (qdrant | local), default qdrant.
+ * The local driver runs in this process and persists to disk, so semantic
+ * search works without an external service. Other drivers can be added with
+ * registerDriver().
+ *
+ * Points are { id, vector, payload } where the payload comes from
+ * buildImagePayload(). Filters use Qdrant's syntax (must / must_not lists of
+ * { key, match: { value | any } } and { key, range } conditions), which every
+ * driver supports.
+ *
+ * Every driver has a name and a shared flag (whether other processes see
+ * its writes), and implements:
+ *   initialize(options), isAvailable(), checkHealth(), upsert(points, collection),
+ *   setPayload(id, payload, collection), retrieve(id), delete(ids, collection),
+ *   scroll(collection, options), search(vector, options),
+ *   searchByIds(ids, options), getVersionedCollectionName(version),
+ *   getActiveCollectionInfo(), createCollection(name, dimension, metadata),
+ *   switchActiveCollection(name), close()
+ */
+class VectorStoreService {
+  constructor() {
+    // Don't pick a driver here - env vars not loaded yet
+    this.driver = null;
+  }
+
+  /**
+   * Make a driver available under a VECTOR_STORE name
+   * @param {string} name - Driver name
+   * @param {Function} Driver - Driver class
+   */
+  registerDriver(name, Driver) {
+    drivers[name] = Driver;
+    this.driver = null;
+  }
+
+  /**
+   * Get the active driver, creating it on first use
+   */
+  getDriver() {
+    if (!this.driver) {
+      const driverName = process.env.VECTOR_STORE || 'qdrant';
+      const Driver = drivers[driverName];
+      if (!Driver) {
+        throw new Error(
+          `Unknown VECTOR_STORE "${driverName}". Expected one of: ${Object.keys(drivers).join(', ')}`
+        );
+      }
+      this.driver = new Driver();
+    }
+    return this.driver;
+  }
+
+  /**
+   * Name of the active driver
+   */
+  getName() {
+    return this.getDriver().name;
+  }
+
+  /**
+   * Whether API servers, workers and scripts all see the same vectors. The
+   * local store lives in one process, so embedding and re-indexing must run there.
+   */
+  isShared() {
+    return this.getDriver().shared;
+  }
+
+  /**
+   * Connect to or load the vector store. Failures are logged; AI search stays
+   * disabled until the store is available.
+   * @param {object} [options] - { migrate: upgrade storage left by an older version (only
+   *   the API server does; other processes wait for it) }
+   * @returns {Promise<boolean>} - Whether the store is available
+   */
+  async initialize(options) {
+    try {
+      return await this.getDriver().initialize(options);
+    } catch (error) {
+      console.warn(`⚠️  Vector store (${this.getName()}) failed to initialize:`, error.message);
+      console.warn('⚠️  AI search features will be disabled. Other features will work normally.');
+      return false;
+    }
+  }
+
+  /**
+   * Whether the store was reachable at the last check (no I/O)
+   */
+  isAvailable() {
+    return this.getDriver().isAvailable();
+  }
+
+  /**
+   * Check that the store is reachable right now
+   * @returns {Promise<boolean>}
+   */
+  async checkHealth() {
+    return this.isAvailable() && this.getDriver().checkHealth();
+  }
+
+  /**
+   * Insert or replace points
+   * @param {object[]} points - [{ id, vector, payload }]
+   * @param {string} [collection] - Collection to write to, default the active one
+   */
+  async upsert(points, collection) {
+    return this.getDriver().upsert(points, collection);
+  }
+
+  /**
+   * Merge fields into a point's payload
+   * @param {string} id - Point ID
+   * @param {object} payload - Fields to set
+   * @param {string} [collection] - Collection to write to, default the active one
+   */
+  async setPayload(id, payload, collection) {
+    return this.getDriver().setPayload(id, payload, collection);
+  }
+
+  /**
+   * Get a stored point with its vector
+   * @param {string} id - Point ID
+   * @returns {Promise<{ id: string, vector: number[], payload: object }|null>}
+   */
+  async retrieve(id) {
+    return this.getDriver().retrieve(id);
+  }
+
+  /**
+   * Delete points
+   * @param {string[]} ids - Point IDs
+   * @param {string} [collection] - Collection to delete from, default the active one
+   */
+  async delete(ids, collection) {
+    return this.getDriver().delete(ids, collection);
+  }
+
+  /**
+   * Page through the points of a collection (IDs and payloads, no vectors)
+   * @param {string} collection - Collection name
+   * @param {object} options - { offset (from the previous page), limit }
+   * @returns {Promise<{ points: { id: string, payload: object }[], nextOffset: *|null }>}
+   */
+  async scroll(collection, options) {
+    return this.getDriver().scroll(collection, options);
+  }
+
+  /**
+   * Nearest neighbours of a vector by cosine similarity
+   * @param {number[]} vector - Query embedding
+   * @param {object} options - { filter, excludeIds, limit, offset, scoreThreshold }
+   * @returns {Promise<{ id: string, score: number, payload: object }[]>} - Best first
+   */
+  async search(vector, options) {
+    return this.getDriver().search(vector, options);
+  }
+
+  /**
+   * Nearest neighbours of stored points, one result list per ID (the point itself excluded)
+   * @param {string[]} ids - Point IDs
+   * @param {object} options - { filter, limit, scoreThreshold }
+   * @returns {Promise<{ id: string, score: number, payload: object }[][]>}
+   */
+  async searchByIds(ids, options) {
+    return this.getDriver().searchByIds(ids, options);
+  }
+
+  /**
+   * Name of versioned collection N (one collection per embedding model)
+   * @param {number} version - Version number
+   */
+  getVersionedCollectionName(version) {
+    return this.getDriver().getVersionedCollectionName(version);
+  }
+
+  /**
+   * Collection searches and writes currently go to
+   * @returns {Promise<{ name: string, dimension: number, metadata: object }|null>}
+   */
+  async getActiveCollectionInfo() {
+    return this.getDriver().getActiveCollectionInfo();
+  }
+
+  /**
+   * Create a collection for one embedding model
+   * @param {string} name - Collection name
+   * @param {number} dimension - Vector size of the model
+   * @param {object} metadata - Stored with the collection (e.g. { model })
+   */
+  async createCollection(name, dimension, metadata = {}) {
+    return this.getDriver().createCollection(name, dimension, metadata);
+  }
+
+  /**
+   * Move searches and writes over to another collection in one step
+   * @param {string} name - Collection to make active
+   */
+  async switchActiveCollection(name) {
+    return this.getDriver().switchActiveCollection(name);
+  }
+
+  /**
+   * Write pending changes (call before the process exits)
+   */
+  async close() {
+    if (this.driver) {
+      await this.driver.close();
+    }
+  }
+
+  /**
+   * Build the payload stored with an image's point
+   * @param {object} image - Image document
+   * @returns {object} - Payload with the filterable fields
+   */
+  buildImagePayload(image) {
+    return {
+      imageId: image._id.toString(),
+      userId: image.user.toString(),
+      filename: image.filename,
+      uploadDate: image.uploadDate ? new Date(image.uploadDate).getTime() : null,
+      captureDate: image.captureDate ? new Date(image.captureDate).getTime() : null,
+      tags: image.tags || [],
+      isPublic: Boolean(image.isPublic),
+    };
+  }
+
+  /**
+   * Overwrite the filterable payload of an image's point (errors are logged, not thrown)
+   * @param {object} image - Image document
+   * @returns {Promise<boolean>} - Whether the payload was updated
+   */
+  async syncImagePayload(image) {
+    if (!this.isAvailable() || !image.qdrantId) {
+      return false;
+    }
+
+    try {
+      await this.setPayload(image.qdrantId, this.buildImagePayload(image));
+      return true;
+    } catch (error) {
+      console.warn(`⚠️  Failed to sync vector payload for image ${image._id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Build a filter from search parameters
+   * @param {string} userId - Owner of the images
+   * @param {object} params - { startDate, endDate, dateField, tags, isPublic }
+   * @returns {object} - Filter
+   */
+  buildFilter(userId, { startDate, endDate, dateField, tags, isPublic } = {}) {
+    const must = [{ key: 'userId', match: { value: userId.toString() } }];
+
+    if (startDate || endDate) {
+      const range = {};
+      if (startDate) range.gte = new Date(startDate).getTime();
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        range.lte = end.getTime();
+      }
+      must.push({ key: dateField === 'captureDate' ? 'captureDate' : 'uploadDate', range });
+    }
+
+    if (tags && tags.length > 0) {
+      must.push({ key: 'tags', match: { any: Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim()) } });
+    }
+
+    if (isPublic !== undefined) {
+      must.push({ key: 'isPublic', match: { value: isPublic === true || isPublic === 'true' } });
+    }
+
+    return { must };
+  }
+}
+
+// Export singleton instance
+export default new VectorStoreService();
@@ -0,0 +1,68 @@
+import os from 'os';
+import WorkerHeartbeat from '../models/WorkerHeartbeat.js';
+
+const getIntervalMs = () => (parseInt(process.env.WORKER_HEARTBEAT_INTERVAL_SECONDS) || 15) * 1000;
+
+/**
+ * Report that a worker is alive every WORKER_HEARTBEAT_INTERVAL_SECONDS
+ * @param {string} workerId - Unique worker ID
+ * @param {string} role - What the worker does (e.g. 'embedding')
+ * @param {() => object} [getDetails] - Extra numbers stored with each beat
+ * @returns {{ stop: () => Promise<void> }}
+ */
+export const startHeartbeat = (workerId, role, getDetails = () => ({})) => {
+  const startedAt = new Date();
+
+  const beat = (status = 'running') => WorkerHeartbeat.updateOne(
+    { _id: workerId },
+    {
+      $set: { role, hostname: os.hostname(), pid: process.pid, status, lastBeatAt: new Date(), details: getDetails() },
+      $setOnInsert: { startedAt },
+    },
+    { upsert: true }
+  ).catch(err => console.error('Failed to record worker heartbeat:', err.message));
+
+  beat();
+  const interval = setInterval(() => beat(), getIntervalMs());
+  interval.unref();
+
+  return {
+    stop: async () => {
+      clearInterval(interval);
+      await beat('stopped');
+    },
+  };
+};
+
+/**
+ * Workers of a role seen recently. A worker is alive while it is running and
+ * its last beat is less than three intervals old.
+ * @param {string} role - Worker role
+ * @returns {Promise<{ alive: number, workers: object[] }>}
+ */
+export const getWorkerStatus = async (role) => {
+  const staleBefore = new Date(Date.now() - getIntervalMs() * 3);
+  const heartbeats = await WorkerHeartbeat.find({ role, lastBeatAt: { $gt: staleBefore } })
+    .sort({ startedAt: 1 })
+    .lean();
+
+  const workers = heartbeats.map(heartbeat => ({
+    id: heartbeat._id,
+    hostname: heartbeat.hostname,
+    pid: heartbeat.pid,
+    status: heartbeat.status,
+    startedAt: heartbeat.startedAt,
+    lastBeatAt: heartbeat.lastBeatAt,
+    ...heartbeat.details,
+  }));
+
+  return {
+    alive: workers.filter(worker => worker.status === 'running').length,
+    workers,
+  };
+};
+
+export default {
+  startHeartbeat,
+  getWorkerStatus,
+};
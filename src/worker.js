@@ -0,0 +1,92 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from './config/database.js';
+import { initAIModel } from './services/aiService.js';
+import storageService from './services/storageService.js';
+import vectorStore from './services/vectorStoreService.js';
+import { startEmbeddingProcessor, stopEmbeddingProcessor } from './services/embeddingProcessor.js';
+import { syncActiveIndex, getActiveModelName, watchActiveIndex, unwatchActiveIndex } from './services/embeddingIndexService.js';
+import { startReindexWorker, stopReindexWorker } from './services/reindexService.js';
+
+/**
+ * Standalone embedding worker. Loads the CLIP model and works through the
+ * embedding queue (and requested re-indexes), so inference doesn't compete
+ * with API requests and can be scaled separately (run as many workers as needed). Pair it with
+ * EMBEDDING_WORKER=external (or DISABLE_AI_MODEL=true) on the API server.
+ *
+ * Usage: npm run worker
+ */
+
+// Load environment variables
+dotenv.config();
+
+let shuttingDown = false;
+
+/**
+ * Let the running jobs finish, then exit. Jobs that don't finish before
+ * SHUTDOWN_TIMEOUT_MS are picked up by another worker once their lease runs out.
+ */
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(`\n${signal} received, finishing running jobs...`);
+  const forceExit = setTimeout(() => {
+    console.error('❌ Shutdown timed out, exiting');
+    process.exit(1);
+  }, parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000);
+  forceExit.unref();
+
+  try {
+    unwatchActiveIndex();
+    await Promise.all([stopEmbeddingProcessor(), stopReindexWorker()]);
+    await vectorStore.close();
+    await mongoose.disconnect();
+    console.log('✅ Worker stopped');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error.message);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  try {
+    // Vectors written here have to reach the API's searches
+    if (!vectorStore.isShared()) {
+      throw new Error(`VECTOR_STORE=${vectorStore.getName()} is not shared between processes; embed inline in the API instead`);
+    }
+
+    await connectDB();
+    await storageService.initialize();
+
+    // Jobs wait in the queue until the vector store is reachable
+    if (!(await vectorStore.initialize())) {
+      console.warn('Starting worker without the vector store...');
+    }
+
+    // Load the model the active embedding index was built with, and follow re-indexes
+    await syncActiveIndex().catch(err => {
+      console.warn('⚠️  Could not load the embedding index:', err.message);
+    });
+    watchActiveIndex();
+
+    console.log('Initializing AI model (this may take a moment)...');
+    const aiModelLoaded = await initAIModel(getActiveModelName());
+    if (!aiModelLoaded) {
+      console.warn('⚠️  AI model not loaded yet; jobs wait until it is');
+    }
+
+    startEmbeddingProcessor();
+    startReindexWorker();
+    console.log('\n🚀 Embedding worker running\n');
+  } catch (error) {
+    console.error('❌ Failed to start worker:', error);
+    process.exit(1);
+  }
+};
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+run();
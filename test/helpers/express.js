@@ -0,0 +1,33 @@
+/**
+ * Minimal Express response for calling middleware directly
+ */
+export const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  set(name, value) {
+    Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+/**
+ * Run a middleware
+ * @returns {Promise<{ res: object, passed: boolean }>} - The response, and whether next() was called
+ */
+export const runMiddleware = async (middleware, req) => {
+  const res = createResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+};
@@ -0,0 +1,195 @@
+import { mock } from 'node:test';
+import { isDeepStrictEqual } from 'util';
+import mongoose from 'mongoose';
+
+/**
+ * Keeps a Mongoose model's documents in memory for service tests, by
+ * replacing the model methods the services use. Understands the query and
+ * update operators those services send; anything else throws, so a test
+ * never passes on a query it didn't really evaluate.
+ * Restored with mock.restoreAll().
+ */
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(comparable);
+  return value;
+};
+
+const equals = (a, b) => isDeepStrictEqual(comparable(a), comparable(b));
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length === 0 ? doc : undefined);
+  if (parent) delete parent[last];
+};
+
+const isOperatorObject = (value) =>
+  value && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const compare = (value, expected, test) =>
+  value !== undefined && value !== null && test(comparable(value), comparable(expected));
+
+const QUERY_OPERATORS = {
+  $exists: (value, expected) => (value !== undefined) === expected,
+  $ne: (value, expected) => !equals(value, expected),
+  $gt: (value, expected) => compare(value, expected, (a, b) => a > b),
+  $lte: (value, expected) => compare(value, expected, (a, b) => a <= b),
+  $not: (value, expected) => !matchesCondition(value, expected),
+};
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) return equals(value, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    if (!QUERY_OPERATORS[operator]) throw new Error(`memoryModel: unsupported query operator ${operator}`);
+    return QUERY_OPERATORS[operator](value, expected);
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key.startsWith('$')) throw new Error(`memoryModel: unsupported query operator ${key}`);
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+// Aggregation expressions used in pipeline updates
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (!isOperatorObject(expression)) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const values = () => args.map(arg => evaluate(doc, arg));
+  switch (operator) {
+    case '$cond': {
+      const [condition, then, otherwise] = args;
+      return evaluate(doc, condition) ? evaluate(doc, then) : evaluate(doc, otherwise);
+    }
+    case '$gt': {
+      const [a, b] = values();
+      return compare(a, b, (x, y) => x > y);
+    }
+    case '$add':
+      return values().reduce((sum, value) => sum + value, 0);
+    case '$ifNull': {
+      const [value, fallback] = values();
+      return value ?? fallback;
+    }
+    default:
+      throw new Error(`memoryModel: unsupported expression ${operator}`);
+  }
+};
+
+const applyUpdate = (doc, update) => {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      const [[name, fields]] = Object.entries(stage);
+      if (name !== '$set') throw new Error(`memoryModel: unsupported pipeline stage ${name}`);
+      // Every expression in a stage sees the document as it was before the stage
+      const before = clone(doc);
+      for (const [path, expression] of Object.entries(fields)) {
+        setPath(doc, path, evaluate(before, expression));
+      }
+    }
+    return;
+  }
+
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$set') {
+      Object.entries(value).forEach(([path, field]) => setPath(doc, path, clone(field)));
+    } else if (key === '$unset') {
+      Object.keys(value).forEach(path => unsetPath(doc, path));
+    } else if (key === '$inc') {
+      Object.entries(value).forEach(([path, by]) => setPath(doc, path, (getPath(doc, path) || 0) + by));
+    } else if (key.startsWith('$')) {
+      throw new Error(`memoryModel: unsupported update operator ${key}`);
+    } else {
+      setPath(doc, key, clone(value));
+    }
+  }
+};
+
+// Chainable like a Mongoose query for the calls the services make
+const query = (run) => ({
+  select() { return this; },
+  lean() { return this; },
+  then(resolve, reject) {
+    return Promise.resolve().then(run).then(resolve, reject);
+  },
+});
+
+/**
+ * Replace a model's methods with an in-memory collection
+ * @param {mongoose.Model} Model - Model to replace
+ * @param {object[]} [initial] - Documents to start with
+ * @returns {{ docs: object[] }} - The stored documents, to inspect in tests
+ */
+export const useMemoryModel = (Model, initial = []) => {
+  const docs = initial.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...clone(doc) }));
+  const byId = (id) => docs.find(doc => equals(doc._id, id));
+
+  mock.method(Model, 'create', async (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), ...clone(fields) };
+    docs.push(doc);
+    return clone(doc);
+  });
+
+  mock.method(Model, 'findById', (id) => query(() => clone(byId(id)) ?? null));
+
+  mock.method(Model, 'findOne', (filter) => query(() => clone(docs.find(doc => matches(doc, filter))) ?? null));
+
+  mock.method(Model, 'exists', (filter) => query(() => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    return doc ? { _id: doc._id } : null;
+  }));
+
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc) return null;
+    const before = clone(doc);
+    applyUpdate(doc, update);
+    return options.new ? clone(doc) : before;
+  }));
+
+  mock.method(Model, 'updateOne', (filter, update) => query(() => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+    const before = clone(doc);
+    applyUpdate(doc, update);
+    return { matchedCount: 1, modifiedCount: equals(before, doc) ? 0 : 1 };
+  }));
+
+  mock.method(Model, 'updateMany', (filter, update) => query(() => {
+    const matched = docs.filter(doc => matches(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  }));
+
+  return { docs };
+};
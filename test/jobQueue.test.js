@@ -0,0 +1,242 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jobQueue, { RequeueJob } from '../src/services/jobQueue.js';
+
+/**
+ * Queue driver with the MongoDB driver's semantics, kept in memory
+ */
+class MemoryQueueDriver {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+    this.nextId = 1;
+  }
+
+  async enqueue(queue, key, { payload, maxAttempts, attempts = 0, runAt = new Date(), replaceExisting = true }) {
+    const existing = this.jobs.get(`${queue}:${key}`);
+    if (existing && (!replaceExisting || existing.status === 'active')) return false;
+
+    this.jobs.set(`${queue}:${key}`, {
+      id: existing?.id || String(this.nextId++),
+      queue, key, payload, maxAttempts, attempts, runAt, status: 'queued',
+    });
+    return true;
+  }
+
+  async claim(queue, workerId, leaseMs) {
+    const now = Date.now();
+    const job = [...this.jobs.values()]
+      .filter(candidate => candidate.queue === queue && (
+        (candidate.status === 'queued' && candidate.runAt <= now) ||
+        (candidate.status === 'active' && candidate.lockedUntil <= now)
+      ))
+      .sort((a, b) => a.runAt - b.runAt)[0];
+    if (!job) return null;
+
+    Object.assign(job, { status: 'active', lockedBy: workerId, lockedUntil: now + leaseMs });
+    job.attempts++;
+    return { ...job };
+  }
+
+  held(job) {
+    const stored = this.jobs.get(`${job.queue}:${job.key}`);
+    return stored?.status === 'active' && stored.lockedBy === job.lockedBy ? stored : null;
+  }
+
+  async extendLease(job, leaseMs) {
+    const stored = this.held(job);
+    if (stored) stored.lockedUntil = Date.now() + leaseMs;
+    return Boolean(stored);
+  }
+
+  async complete(job) {
+    const stored = this.held(job);
+    if (stored) Object.assign(stored, { status: 'completed', lockedBy: null, lastError: null });
+  }
+
+  async fail(job, lastError, retryAt) {
+    const stored = this.held(job);
+    if (stored) {
+      Object.assign(stored, { status: retryAt ? 'queued' : 'dead', runAt: retryAt || new Date(), lastError, lockedBy: null });
+    }
+  }
+
+  async release(job) {
+    const stored = this.held(job);
+    if (stored) {
+      Object.assign(stored, { status: 'queued', runAt: new Date(), lockedBy: null });
+      stored.attempts--;
+    }
+  }
+
+  async remove(queue, key) {
+    this.jobs.delete(`${queue}:${key}`);
+  }
+
+  async getStats(queue) {
+    const stats = { queued: 0, active: 0, completed: 0, dead: 0 };
+    for (const job of this.jobs.values()) {
+      if (job.queue === queue) stats[job.status]++;
+    }
+    return stats;
+  }
+}
+
+let driver;
+let worker;
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const getJob = (key) => driver.jobs.get(`test:${key}`);
+
+beforeEach(() => {
+  process.env.JOB_QUEUE_DRIVER = 'memory';
+  // Registering again gives each test a fresh driver
+  jobQueue.registerDriver('memory', MemoryQueueDriver);
+  driver = jobQueue.getDriver();
+});
+
+afterEach(async () => {
+  await worker?.stop();
+  worker = null;
+});
+
+test('a worker runs queued jobs and marks them completed', async () => {
+  const handled = [];
+  worker = jobQueue.startWorker('test', async (job) => {
+    handled.push([job.key, job.payload]);
+  }, { pollIntervalMs: 1000 });
+
+  // Enqueueing wakes the idle worker instead of waiting for the next poll
+  await jobQueue.enqueue('test', 'a', { payload: { n: 1 } });
+  await waitFor(async () => (await jobQueue.getStats('test')).completed === 1);
+
+  assert.deepEqual(handled, [['a', { n: 1 }]]);
+  assert.equal(worker.getStats().processed, 1);
+});
+
+test('a failed job is retried with backoff and dead-lettered after maxAttempts', async () => {
+  const failures = [];
+  worker = jobQueue.startWorker('test', async () => {
+    throw new Error('boom');
+  }, {
+    pollIntervalMs: 5,
+    retryDelayMs: 1000,
+    onFailure: async (job, error, dead) => failures.push({ attempts: job.attempts, dead }),
+  });
+
+  await jobQueue.enqueue('test', 'a', { maxAttempts: 2 });
+  await waitFor(() => failures.length === 1);
+
+  // First retry is retryDelayMs away, with up to 20% jitter
+  const delay = getJob('a').runAt - Date.now();
+  assert.equal(getJob('a').status, 'queued');
+  assert.equal(getJob('a').lastError, 'boom');
+  assert.ok(delay > 700 && delay <= 1200, `retry in ${delay}ms`);
+
+  // Make the retry due now
+  getJob('a').runAt = new Date();
+  await waitFor(() => failures.length === 2);
+
+  assert.deepEqual(failures, [{ attempts: 1, dead: false }, { attempts: 2, dead: true }]);
+  assert.equal(getJob('a').status, 'dead');
+  assert.equal(worker.getStats().failed, 2);
+});
+
+test('a RequeueJob outcome puts the job back without using an attempt', async () => {
+  let calls = 0;
+  worker = jobQueue.startWorker('test', async () => {
+    calls++;
+    if (calls < 3) throw new RequeueJob('not here');
+  }, { pollIntervalMs: 5 });
+
+  await jobQueue.enqueue('test', 'a', { maxAttempts: 1 });
+  await waitFor(() => getJob('a').status === 'completed');
+
+  assert.equal(calls, 3);
+  assert.equal(getJob('a').attempts, 1);
+  assert.equal(worker.getStats().failed, 0);
+});
+
+test('a batch handler reports one outcome per job', async () => {
+  worker = jobQueue.startWorker('test', async (jobs) => (
+    jobs.map(job => (job.key === 'bad' ? new Error('bad job') : null))
+  ), { batchSize: 3, pollIntervalMs: 5 });
+
+  await jobQueue.enqueue('test', 'good', { maxAttempts: 1 });
+  await jobQueue.enqueue('test', 'bad', { maxAttempts: 1 });
+  await waitFor(async () => {
+    const stats = await jobQueue.getStats('test');
+    return stats.completed === 1 && stats.dead === 1;
+  });
+
+  assert.equal(getJob('good').status, 'completed');
+  assert.equal(getJob('bad').lastError, 'bad job');
+});
+
+test('a job whose lease ran out is claimed again, and dead-lettered once out of attempts', async () => {
+  await jobQueue.enqueue('test', 'a', { maxAttempts: 2 });
+
+  // Two workers that died holding the job
+  for (let i = 0; i < 2; i++) {
+    await driver.claim('test', `dead-worker-${i}`, 1000);
+    getJob('a').lockedUntil = Date.now() - 1;
+  }
+
+  let calls = 0;
+  worker = jobQueue.startWorker('test', async () => {
+    calls++;
+  }, { pollIntervalMs: 5 });
+
+  await waitFor(() => getJob('a').status === 'dead');
+  assert.equal(calls, 0);
+  assert.equal(getJob('a').lastError, 'Job lease expired too many times');
+});
+
+test('enqueueing a running job leaves it alone', async () => {
+  await jobQueue.enqueue('test', 'a', { payload: { n: 1 } });
+  await driver.claim('test', 'worker-1', 60000);
+
+  assert.equal(await jobQueue.enqueue('test', 'a', { payload: { n: 2 } }), false);
+  assert.equal(getJob('a').status, 'active');
+  assert.deepEqual(getJob('a').payload, { n: 1 });
+});
+
+test('runExclusive runs a task in one process at a time', async () => {
+  let release;
+  let runs = 0;
+  const running = jobQueue.runExclusive('exclusive', 'task', async () => {
+    runs++;
+    await new Promise(resolve => { release = resolve; });
+  });
+  await waitFor(() => release);
+
+  // Held by the first call
+  assert.equal(await jobQueue.runExclusive('exclusive', 'task', async () => runs++), false);
+
+  release();
+  assert.equal(await running, true);
+  assert.equal(runs, 1);
+
+  // Free again once finished
+  assert.equal(await jobQueue.runExclusive('exclusive', 'task', async () => runs++), true);
+  assert.equal(runs, 2);
+});
+
+test('runExclusive rethrows a failed task and frees it for the next try', async () => {
+  await assert.rejects(
+    jobQueue.runExclusive('exclusive', 'task', async () => {
+      throw new Error('migration failed');
+    }),
+    /migration failed/
+  );
+  assert.equal(driver.jobs.get('exclusive:task').status, 'queued');
+
+  assert.equal(await jobQueue.runExclusive('exclusive', 'task', async () => {}), true);
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../src/models/User.js';
+import {
+  getLockoutRemaining,
+  recordFailedLogin,
+  clearFailedLogins,
+} from '../src/services/loginLockoutService.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const MINUTE_MS = 60 * 1000;
+
+let user;
+
+beforeEach(() => {
+  process.env.LOGIN_MAX_ATTEMPTS = '3';
+  process.env.LOGIN_LOCKOUT_MINUTES = '1';
+  process.env.LOGIN_MAX_LOCKOUT_MINUTES = '3';
+  user = useMemoryModel(User, [{ email: 'ann@example.com' }]).docs[0];
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.LOGIN_MAX_ATTEMPTS;
+  delete process.env.LOGIN_LOCKOUT_MINUTES;
+  delete process.env.LOGIN_MAX_LOCKOUT_MINUTES;
+});
+
+// Lockout length in whole minutes, as returned by recordFailedLogin
+const lockoutMinutes = ({ lockedUntil }) => Math.round((lockedUntil - Date.now()) / MINUTE_MS);
+
+test('an account is locked once too many logins fail, longer with each failure', async () => {
+  assert.deepEqual(await recordFailedLogin(user._id), { attempts: 1, lockedUntil: null });
+  assert.deepEqual(await recordFailedLogin(user._id), { attempts: 2, lockedUntil: null });
+  assert.equal(getLockoutRemaining(user), 0);
+
+  assert.equal(lockoutMinutes(await recordFailedLogin(user._id)), 1);
+  assert.ok(getLockoutRemaining(user) > 55 && getLockoutRemaining(user) <= 60);
+
+  assert.equal(lockoutMinutes(await recordFailedLogin(user._id)), 2);
+  // Capped at LOGIN_MAX_LOCKOUT_MINUTES
+  assert.equal(lockoutMinutes(await recordFailedLogin(user._id)), 3);
+  assert.equal(lockoutMinutes(await recordFailedLogin(user._id)), 3);
+});
+
+test('failures older than LOGIN_ATTEMPT_RESET_HOURS no longer count', async () => {
+  await recordFailedLogin(user._id);
+  await recordFailedLogin(user._id);
+  user.failedLogins.lastFailedAt = new Date(Date.now() - 25 * 60 * MINUTE_MS);
+
+  assert.deepEqual(await recordFailedLogin(user._id), { attempts: 1, lockedUntil: null });
+});
+
+test('a successful login clears the failures', async () => {
+  for (let i = 0; i < 3; i++) await recordFailedLogin(user._id);
+  assert.ok(getLockoutRemaining(user) > 0);
+
+  await clearFailedLogins(user._id);
+  assert.equal(user.failedLogins, undefined);
+  assert.equal(getLockoutRemaining(user), 0);
+  assert.equal((await recordFailedLogin(user._id)).attempts, 1);
+});
+
+test('an expired lockout leaves nothing remaining', () => {
+  assert.equal(getLockoutRemaining({ failedLogins: { lockedUntil: new Date(Date.now() - 1000) } }), 0);
+  assert.equal(getLockoutRemaining({}), 0);
+});
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import ApiKey from '../../src/models/ApiKey.js';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import { protect } from '../../src/middleware/auth.js';
+import { createApiKey } from '../../src/services/apiKeyService.js';
+import { createSession, revokeAllSessions, revokeRefreshToken } from '../../src/services/tokenService.js';
+import { useMemoryModel } from '../helpers/memoryModel.js';
+import { runMiddleware } from '../helpers/express.js';
+
+let user;
+let apiKeys;
+
+const createRequest = ({ method = 'GET', headers = {}, ...fields } = {}) => ({
+  method,
+  headers,
+  get: (name) => headers[name.toLowerCase()],
+  ...fields,
+});
+
+const withApiKey = (key, fields) => createRequest({ ...fields, headers: { 'x-api-key': key } });
+const withBearer = (token) => createRequest({ headers: { authorization: `Bearer ${token}` } });
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  user = useMemoryModel(User, [{ email: 'ann@example.com', tokenVersion: 0 }]).docs[0];
+  apiKeys = useMemoryModel(ApiKey).docs;
+  useMemoryModel(Session);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('an API key authenticates its owner and records its use', async () => {
+  const { key } = await createApiKey(user._id, { name: 'script', scope: 'read' });
+  assert.ok(!apiKeys[0].keyHash.includes(key));
+
+  const req = withApiKey(key);
+  const { passed } = await runMiddleware(protect, req);
+
+  assert.equal(passed, true);
+  assert.equal(req.user.email, 'ann@example.com');
+  assert.equal(req.apiKey.name, 'script');
+  assert.ok(apiKeys[0].lastUsedAt);
+});
+
+test('a read-only API key may only make safe or read-only requests', async () => {
+  const { key } = await createApiKey(user._id, { name: 'read', scope: 'read' });
+  const { key: writeKey } = await createApiKey(user._id, { name: 'write', scope: 'read-write' });
+
+  const denied = await runMiddleware(protect, withApiKey(key, { method: 'DELETE' }));
+  assert.equal(denied.passed, false);
+  assert.equal(denied.res.statusCode, 403);
+
+  // POST /search is marked with readOnlyOperation
+  assert.equal((await runMiddleware(protect, withApiKey(key, { method: 'POST', isReadOnlyOperation: true }))).passed, true);
+  assert.equal((await runMiddleware(protect, withApiKey(writeKey, { method: 'DELETE' }))).passed, true);
+});
+
+test('unknown, revoked and expired API keys are rejected', async () => {
+  const { key: revoked } = await createApiKey(user._id, { name: 'revoked' });
+  apiKeys[0].revokedAt = new Date();
+  const { key: expired } = await createApiKey(user._id, { name: 'expired', expiresAt: new Date(Date.now() - 1000) });
+
+  for (const key of ['sg_unknown', 'not-a-key', revoked, expired]) {
+    const { res, passed } = await runMiddleware(protect, withApiKey(key));
+    assert.equal(passed, false, key);
+    assert.equal(res.statusCode, 401);
+  }
+});
+
+test('an API key of a disabled account is refused', async () => {
+  const { key } = await createApiKey(user._id, { name: 'script' });
+  user.isDisabled = true;
+
+  const { res } = await runMiddleware(protect, withApiKey(key));
+  assert.equal(res.statusCode, 403);
+});
+
+test('access tokens stop working when their session or all sessions are revoked', async () => {
+  const first = await createSession(user);
+  const second = await createSession(user);
+
+  assert.equal((await runMiddleware(protect, withBearer(first.accessToken))).passed, true);
+
+  await revokeRefreshToken(first.refreshToken);
+  assert.equal((await runMiddleware(protect, withBearer(first.accessToken))).res.statusCode, 401);
+  assert.equal((await runMiddleware(protect, withBearer(second.accessToken))).passed, true);
+
+  await revokeAllSessions(user._id);
+  const { res } = await runMiddleware(protect, withBearer(second.accessToken));
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, 'Token has been revoked');
+
+  const forged = jwt.sign({ id: user._id }, 'wrong-secret');
+  assert.equal((await runMiddleware(protect, withBearer(forged))).res.statusCode, 401);
+});
@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit } from '../../src/middleware/rateLimit.js';
+import rateLimitService from '../../src/services/rateLimitService.js';
+import MemoryRateLimitStore from '../../src/services/rateLimit/memoryStore.js';
+import { runMiddleware } from '../helpers/express.js';
+
+const createRequest = (fields = {}) => ({ ip: '10.0.0.1', ...fields });
+
+const run = (middleware, req = createRequest()) => runMiddleware(middleware, req);
+
+beforeEach(() => {
+  // A fresh memory store per test
+  rateLimitService.registerStore('memory', MemoryRateLimitStore);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  clearInterval(rateLimitService.getStore().cleanupTimer);
+  delete process.env.RATE_LIMIT_TEST_MAX;
+  delete process.env.RATE_LIMIT_DISABLED;
+});
+
+test('requests over the limit get 429 with Retry-After', async () => {
+  const limiter = rateLimit({ name: 'test', max: 2, windowMinutes: 1, message: 'Slow down' });
+
+  const first = await run(limiter);
+  assert.equal(first.passed, true);
+  assert.equal(first.res.headers['RateLimit-Limit'], '2');
+  assert.equal(first.res.headers['RateLimit-Remaining'], '1');
+  assert.equal(first.res.headers['RateLimit-Reset'], '60');
+
+  assert.equal((await run(limiter)).passed, true);
+
+  const blocked = await run(limiter);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.headers['RateLimit-Remaining'], '0');
+  assert.equal(blocked.res.headers['Retry-After'], '60');
+  assert.deepEqual(blocked.res.body, { success: false, message: 'Slow down', retryAfter: 60 });
+
+  // Another IP has its own bucket
+  assert.equal((await run(limiter, createRequest({ ip: '10.0.0.2' }))).passed, true);
+});
+
+test('limits are read from the environment on each request', async () => {
+  const limiter = rateLimit({ name: 'test', max: 100, windowMinutes: 1 });
+  process.env.RATE_LIMIT_TEST_MAX = '1';
+
+  assert.equal((await run(limiter)).passed, true);
+  assert.equal((await run(limiter)).res.statusCode, 429);
+
+  process.env.RATE_LIMIT_DISABLED = 'true';
+  assert.equal((await run(limiter)).passed, true);
+});
+
+test('keyBy user counts per user, falling back to the IP', async () => {
+  const limiter = rateLimit({ name: 'test', max: 1, windowMinutes: 1, keyBy: 'user' });
+  const ann = createRequest({ user: { _id: 'ann' } });
+  const bob = createRequest({ user: { _id: 'bob' } });
+
+  assert.equal((await run(limiter, ann)).passed, true);
+  assert.equal((await run(limiter, bob)).passed, true);
+  assert.equal((await run(limiter, createRequest())).passed, true);
+  assert.equal((await run(limiter, ann)).res.statusCode, 429);
+});
+
+test('a failing store lets requests through', async () => {
+  mock.method(rateLimitService, 'hit', async () => {
+    throw new Error('store down');
+  });
+  mock.method(console, 'error', () => {});
+  const limiter = rateLimit({ name: 'test', max: 1, windowMinutes: 1 });
+
+  assert.equal((await run(limiter)).passed, true);
+  assert.equal((await run(limiter)).passed, true);
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Image from '../src/models/Image.js';
+import User from '../src/models/User.js';
+import {
+  getQuotaLimits,
+  getQuotaStatus,
+  reserveQuota,
+  releaseQuota,
+} from '../src/services/quotaService.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const MB = 1048576;
+
+let user;
+
+beforeEach(() => {
+  process.env.QUOTA_MAX_BYTES_USER = String(10 * MB);
+  process.env.QUOTA_MAX_IMAGES_USER = '3';
+  user = useMemoryModel(User, [{ email: 'ann@example.com', role: 'user' }]).docs[0];
+  // Usage before the counters existed: one 2 MB image
+  mock.method(Image, 'aggregate', async () => [{ _id: null, images: 1, bytes: 2 * MB }]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.QUOTA_MAX_BYTES_USER;
+  delete process.env.QUOTA_MAX_IMAGES_USER;
+});
+
+test('limits come from the environment per role, 0 meaning unlimited', () => {
+  assert.deepEqual(getQuotaLimits('user'), { maxBytes: 10 * MB, maxImages: 3 });
+  assert.deepEqual(getQuotaLimits('admin'), { maxBytes: 0, maxImages: 0 });
+
+  process.env.QUOTA_MAX_IMAGES_USER = 'lots';
+  assert.equal(getQuotaLimits('user').maxImages, 10000);
+});
+
+test('usage is counted from the images once, then kept in counters', async () => {
+  const status = await getQuotaStatus(user);
+
+  assert.deepEqual(status.usage, { bytes: 2 * MB, images: 1 });
+  assert.deepEqual(status.remaining, { bytes: 8 * MB, images: 2 });
+  assert.ok(user.storageUsage.calculatedAt);
+
+  await getQuotaStatus(user);
+  assert.equal(Image.aggregate.mock.callCount(), 1);
+});
+
+test('reservations count against the quota until it is used up', async () => {
+  const first = await reserveQuota(user, { bytes: 3 * MB });
+  assert.equal(first.allowed, true);
+  assert.deepEqual(first.usage, { bytes: 5 * MB, images: 2 });
+
+  const tooBig = await reserveQuota(user, { bytes: 6 * MB });
+  assert.equal(tooBig.allowed, false);
+  assert.match(tooBig.message, /Storage quota exceeded: 5\.0 MB of 10\.0 MB used/);
+  assert.equal(user.storageUsage.bytes, 5 * MB);
+
+  assert.equal((await reserveQuota(user, { bytes: 5 * MB })).allowed, true);
+
+  const tooMany = await reserveQuota(user, { bytes: 0 });
+  assert.equal(tooMany.allowed, false);
+  assert.match(tooMany.message, /Image limit reached: 3 of 3 images used/);
+});
+
+test('parallel reservations never go over the limit', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => reserveQuota(user, { bytes: 3 * MB }))
+  );
+
+  assert.equal(results.filter(result => result.allowed).length, 2);
+  assert.deepEqual(
+    { bytes: user.storageUsage.bytes, images: user.storageUsage.images },
+    { bytes: 8 * MB, images: 3 }
+  );
+});
+
+test('released quota can be reserved again', async () => {
+  await reserveQuota(user, { bytes: 8 * MB });
+  assert.equal((await reserveQuota(user, { bytes: MB })).allowed, false);
+
+  await releaseQuota(user._id, { bytes: 8 * MB });
+  assert.deepEqual(
+    { bytes: user.storageUsage.bytes, images: user.storageUsage.images },
+    { bytes: 2 * MB, images: 1 }
+  );
+  assert.equal((await reserveQuota(user, { bytes: MB })).allowed, true);
+});
@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryRateLimitStore from '../../src/services/rateLimit/memoryStore.js';
+import rateLimitService from '../../src/services/rateLimitService.js';
+
+let store;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  store = new MemoryRateLimitStore();
+});
+
+afterEach(() => {
+  clearInterval(store.cleanupTimer);
+});
+
+test('hits are counted per key within a window', async () => {
+  const first = await store.increment('a', 60000);
+  const second = await store.increment('a', 60000);
+  const other = await store.increment('b', 60000);
+
+  assert.equal(first.count, 1);
+  assert.equal(second.count, 2);
+  assert.equal(other.count, 1);
+  // The window is fixed by the first hit
+  assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+});
+
+test('a new window starts once the old one is over', async () => {
+  await store.increment('a', 20);
+  await store.increment('a', 20);
+  await sleep(30);
+
+  assert.equal((await store.increment('a', 20)).count, 1);
+});
+
+test('reset and cleanup drop counters', async () => {
+  await store.increment('a', 60000);
+  await store.reset('a');
+  assert.equal((await store.increment('a', 60000)).count, 1);
+
+  await store.increment('short', 10);
+  await sleep(20);
+  store.cleanup();
+  assert.deepEqual([...store.counters.keys()], ['a']);
+});
+
+test('the service uses the store named by RATE_LIMIT_STORE', async () => {
+  const calls = [];
+  class RecordingStore {
+    async increment(key, windowMs) {
+      calls.push(['increment', key, windowMs]);
+      return { count: 1, resetAt: new Date() };
+    }
+
+    async reset(key) {
+      calls.push(['reset', key]);
+    }
+  }
+
+  process.env.RATE_LIMIT_STORE = 'recording';
+  rateLimitService.registerStore('recording', RecordingStore);
+  try {
+    await rateLimitService.hit('login:ip:1.2.3.4', 1000);
+    await rateLimitService.reset('login:ip:1.2.3.4');
+    assert.deepEqual(calls, [['increment', 'login:ip:1.2.3.4', 1000], ['reset', 'login:ip:1.2.3.4']]);
+
+    process.env.RATE_LIMIT_STORE = 'missing';
+    rateLimitService.registerStore('recording', RecordingStore);
+    assert.throws(() => rateLimitService.getStore(), /Unknown RATE_LIMIT_STORE "missing"/);
+  } finally {
+    delete process.env.RATE_LIMIT_STORE;
+    rateLimitService.registerStore('recording', RecordingStore);
+  }
+});
@@ -0,0 +1,114 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import Session from '../src/models/Session.js';
+import User from '../src/models/User.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  isSessionActive,
+  createUserToken,
+  consumeUserToken,
+} from '../src/services/tokenService.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+let sessions;
+let users;
+let user;
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  users = useMemoryModel(User, [{ email: 'ann@example.com', tokenVersion: 0 }]).docs;
+  sessions = useMemoryModel(Session).docs;
+  user = users[0];
+  // Reuse detection logs a warning
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a refresh token rotates: the new one works, the old one does not', async () => {
+  const { refreshToken, accessToken } = await createSession(user, { userAgent: 'test', ip: '127.0.0.1' });
+  const { sid } = jwt.verify(accessToken, process.env.JWT_SECRET);
+
+  const first = await rotateRefreshToken(refreshToken);
+  assert.equal(first.user.email, 'ann@example.com');
+  assert.notEqual(first.tokens.refreshToken, refreshToken);
+  assert.equal(jwt.verify(first.tokens.accessToken, process.env.JWT_SECRET).sid, sid);
+
+  const second = await rotateRefreshToken(first.tokens.refreshToken);
+  assert.ok(second);
+  assert.ok(await isSessionActive(sid));
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  const { refreshToken } = await createSession(user);
+  const rotated = await rotateRefreshToken(refreshToken);
+
+  // The old token was stolen and replayed
+  assert.equal(await rotateRefreshToken(refreshToken), null);
+
+  assert.ok(sessions[0].revokedAt);
+  assert.equal(await isSessionActive(sessions[0]._id), false);
+  // The legitimate client's current token is dead too
+  assert.equal(await rotateRefreshToken(rotated.tokens.refreshToken), null);
+});
+
+test('malformed, expired and logged out refresh tokens are rejected', async () => {
+  assert.equal(await rotateRefreshToken('not-a-token'), null);
+  assert.equal(await rotateRefreshToken({ $gt: '' }), null);
+
+  const expired = await createSession(user);
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await rotateRefreshToken(expired.refreshToken), null);
+
+  const loggedOut = await createSession(user);
+  assert.equal(await revokeRefreshToken(loggedOut.refreshToken), true);
+  assert.equal(await rotateRefreshToken(loggedOut.refreshToken), null);
+});
+
+test('a disabled user cannot refresh', async () => {
+  const { refreshToken } = await createSession(user);
+  user.isDisabled = true;
+
+  assert.equal(await rotateRefreshToken(refreshToken), null);
+});
+
+test('revoking all sessions ends every session and bumps the token version', async () => {
+  await createSession(user);
+  await createSession(user);
+
+  assert.equal(await revokeAllSessions(user._id), 2);
+  assert.ok(sessions.every(session => session.revokedAt));
+  assert.equal(user.tokenVersion, 1);
+});
+
+test('an emailed token works once and carries the update with it', async () => {
+  const token = await createUserToken(user._id, 'emailVerification');
+  assert.ok(user.emailVerificationTokenHash);
+  assert.notEqual(user.emailVerificationTokenHash, token);
+
+  const verified = await consumeUserToken(token, 'emailVerification', { isEmailVerified: true });
+  assert.equal(verified.isEmailVerified, true);
+  assert.equal(user.emailVerificationTokenHash, undefined);
+
+  assert.equal(await consumeUserToken(token, 'emailVerification'), null);
+});
+
+test('an emailed token is rejected when expired, replaced or of another type', async () => {
+  const expired = await createUserToken(user._id, 'passwordReset');
+  user.passwordResetExpires = new Date(Date.now() - 1000);
+  assert.equal(await consumeUserToken(expired, 'passwordReset'), null);
+
+  const replaced = await createUserToken(user._id, 'passwordReset');
+  const current = await createUserToken(user._id, 'passwordReset');
+  assert.equal(await consumeUserToken(replaced, 'passwordReset'), null);
+  assert.equal(await consumeUserToken(current, 'emailVerification'), null);
+  assert.ok(await consumeUserToken(current, 'passwordReset'));
+
+  assert.equal(await consumeUserToken(undefined, 'passwordReset'), null);
+});
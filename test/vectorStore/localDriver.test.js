@@ -0,0 +1,162 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import LocalVectorStoreDriver from '../../src/services/vectorStore/localDriver.js';
+import vectorStore from '../../src/services/vectorStoreService.js';
+
+let dir;
+let driver;
+
+const createDriver = async () => {
+  const store = new LocalVectorStoreDriver();
+  await store.initialize();
+  return store;
+};
+
+const payload = (imageId, fields = {}) => ({
+  imageId,
+  userId: 'user-1',
+  uploadDate: Date.UTC(2024, 0, 15),
+  captureDate: null,
+  tags: [],
+  isPublic: false,
+  ...fields,
+});
+
+beforeEach(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vector-store-'));
+  process.env.VECTOR_STORE_DIR = dir;
+  process.env.VECTOR_STORE_FLUSH_MS = '10';
+  process.env.EMBEDDING_DIMENSION = '4';
+  driver = await createDriver();
+});
+
+afterEach(async () => {
+  await driver.close();
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('upserted points are found by similarity, best first', async () => {
+  await driver.upsert([
+    { id: 'a', vector: [1, 0, 0, 0], payload: payload('a') },
+    { id: 'b', vector: [0.8, 0.6, 0, 0], payload: payload('b') },
+    { id: 'c', vector: [0, 0, 1, 0], payload: payload('c') },
+  ]);
+
+  const results = await driver.search([2, 0, 0, 0], { limit: 2 });
+
+  assert.deepEqual(results.map(result => result.id), ['a', 'b']);
+  assert.ok(Math.abs(results[0].score - 1) < 1e-6);
+  assert.ok(Math.abs(results[1].score - 0.8) < 1e-6);
+  assert.equal(results[0].payload.imageId, 'a');
+});
+
+test('vectors of the wrong dimension are rejected', async () => {
+  await assert.rejects(driver.upsert([{ id: 'a', vector: [1, 0, 0], payload: payload('a') }]), /expects 4/);
+});
+
+test('search applies the filters built by the vector store service', async () => {
+  await driver.upsert([
+    { id: 'a', vector: [1, 0, 0, 0], payload: payload('a', { tags: ['beach', 'sunset'] }) },
+    { id: 'b', vector: [1, 0.1, 0, 0], payload: payload('b', { tags: ['beach'], uploadDate: Date.UTC(2023, 5, 1) }) },
+    { id: 'c', vector: [1, 0.2, 0, 0], payload: payload('c', { tags: ['city'] }) },
+    { id: 'd', vector: [1, 0, 0, 0], payload: payload('d', { userId: 'user-2', tags: ['beach'] }) },
+  ]);
+
+  const byTag = await driver.search([1, 0, 0, 0], {
+    filter: vectorStore.buildFilter('user-1', { tags: 'beach' }),
+    limit: 10,
+  });
+  assert.deepEqual(byTag.map(result => result.id), ['a', 'b']);
+
+  const byDate = await driver.search([1, 0, 0, 0], {
+    filter: vectorStore.buildFilter('user-1', { tags: ['beach'], startDate: '2024-01-01' }),
+    limit: 10,
+  });
+  assert.deepEqual(byDate.map(result => result.id), ['a']);
+
+  const excluded = await driver.search([1, 0, 0, 0], {
+    filter: vectorStore.buildFilter('user-1'),
+    excludeIds: ['a'],
+    scoreThreshold: 0.99,
+    limit: 10,
+  });
+  assert.deepEqual(excluded.map(result => result.id), ['b']);
+});
+
+test('upserts, payload changes and deletes survive a reload from disk', async () => {
+  await driver.upsert([
+    { id: 'a', vector: [1, 0, 0, 0], payload: payload('a') },
+    { id: 'b', vector: [0, 1, 0, 0], payload: payload('b') },
+    { id: 'c', vector: [0, 0, 1, 0], payload: payload('c') },
+  ]);
+  await driver.setPayload('a', { tags: ['cat'], isPublic: true });
+  await driver.delete(['b', 'missing']);
+  await driver.close();
+
+  // Changes went to the log, the snapshot is still the empty collection
+  const log = (await fs.promises.readFile(path.join(dir, 'images_v1.log'), 'utf8')).trim().split('\n');
+  assert.deepEqual(log.map(line => JSON.parse(line).op), ['upsert', 'upsert', 'upsert', 'payload', 'delete']);
+
+  driver = await createDriver();
+
+  const a = await driver.retrieve('a');
+  assert.deepEqual(a.vector, [1, 0, 0, 0]);
+  assert.deepEqual(a.payload, payload('a', { tags: ['cat'], isPublic: true }));
+  assert.equal(await driver.retrieve('b'), null);
+
+  const results = await driver.search([0, 0, 1, 0], {
+    filter: vectorStore.buildFilter('user-1', { isPublic: false }),
+    limit: 10,
+  });
+  assert.deepEqual(results.map(result => result.id), ['c']);
+});
+
+test('a long log is compacted into the snapshot', async () => {
+  const points = Array.from({ length: 1200 }, (_, i) => ({
+    id: `p${i}`,
+    vector: [1, i, 0, 0],
+    payload: payload(`p${i}`),
+  }));
+  await driver.upsert(points);
+  await driver.delete(['p0']);
+  await driver.close();
+
+  assert.equal(await fs.promises.readFile(path.join(dir, 'images_v1.log'), 'utf8'), '');
+  const snapshot = JSON.parse(await fs.promises.readFile(path.join(dir, 'images_v1.json'), 'utf8'));
+  assert.equal(snapshot.points.length, 1199);
+
+  driver = await createDriver();
+  assert.equal(await driver.retrieve('p0'), null);
+  assert.equal((await driver.retrieve('p1199')).payload.imageId, 'p1199');
+});
+
+test('a half-written log record is skipped on reload', async () => {
+  await driver.upsert([{ id: 'a', vector: [1, 0, 0, 0], payload: payload('a') }]);
+  await driver.close();
+  await fs.promises.appendFile(path.join(dir, 'images_v1.log'), '{"op":"upsert","id":"b","payl');
+
+  driver = await createDriver();
+  assert.equal((await driver.retrieve('a')).payload.imageId, 'a');
+  assert.equal(await driver.retrieve('b'), null);
+  // Rewritten so the next append doesn't land after the broken line
+  assert.equal(await fs.promises.readFile(path.join(dir, 'images_v1.log'), 'utf8'), '');
+});
+
+test('the active collection is remembered across reloads', async () => {
+  await driver.upsert([{ id: 'old', vector: [1, 0, 0, 0], payload: payload('old') }]);
+  await driver.createCollection('images_v2', 4, { model: 'other' });
+  await driver.upsert([{ id: 'new', vector: [1, 0, 0, 0], payload: payload('new') }], 'images_v2');
+  await driver.switchActiveCollection('images_v2');
+  await driver.close();
+
+  driver = await createDriver();
+  assert.deepEqual(await driver.getActiveCollectionInfo(), {
+    name: 'images_v2',
+    dimension: 4,
+    metadata: { model: 'other', dimension: 4 },
+  });
+  assert.deepEqual((await driver.search([1, 0, 0, 0], { limit: 10 })).map(result => result.id), ['new']);
+});